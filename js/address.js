@@ -0,0 +1,215 @@
+/**
+ * Address module - parses free-text vendor addresses into street, city, state, ZIP and NYC borough
+ */
+
+const Address = {
+    STATES: {
+        AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+        CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+        GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+        IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+        MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+        MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+        NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+        OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+        SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+        VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+        WY: 'Wyoming', PR: 'Puerto Rico', VI: 'United States Virgin Islands', GU: 'Guam'
+    },
+
+    // NYC ZIP ranges by borough ([first, last] inclusive)
+    BOROUGH_ZIPS: [
+        ['Manhattan', 10001, 10282],
+        ['Staten Island', 10301, 10314],
+        ['Bronx', 10451, 10475],
+        ['Queens', 11004, 11005],
+        ['Queens', 11101, 11120],
+        ['Brooklyn', 11201, 11256],
+        ['Queens', 11351, 11436],
+        ['Queens', 11691, 11697]
+    ],
+
+    // City names used in NYC addresses -> borough (Queens addresses use neighborhood names)
+    CITY_BOROUGHS: {
+        'NEW YORK': 'Manhattan',
+        'MANHATTAN': 'Manhattan',
+        'NEW YORK CITY': 'Manhattan',
+        'NYC': 'Manhattan',
+        'BRONX': 'Bronx',
+        'THE BRONX': 'Bronx',
+        'BROOKLYN': 'Brooklyn',
+        'STATEN ISLAND': 'Staten Island',
+        'QUEENS': 'Queens',
+        'LONG ISLAND CITY': 'Queens',
+        'ASTORIA': 'Queens',
+        'FLUSHING': 'Queens',
+        'JAMAICA': 'Queens',
+        'CORONA': 'Queens',
+        'ELMHURST': 'Queens',
+        'WOODSIDE': 'Queens',
+        'MASPETH': 'Queens',
+        'RIDGEWOOD': 'Queens',
+        'FOREST HILLS': 'Queens',
+        'REGO PARK': 'Queens',
+        'BAYSIDE': 'Queens',
+        'COLLEGE POINT': 'Queens',
+        'WHITESTONE': 'Queens',
+        'OZONE PARK': 'Queens',
+        'SOUTH OZONE PARK': 'Queens',
+        'RICHMOND HILL': 'Queens',
+        'SOUTH RICHMOND HILL': 'Queens',
+        'JACKSON HEIGHTS': 'Queens',
+        'EAST ELMHURST': 'Queens',
+        'FRESH MEADOWS': 'Queens',
+        'KEW GARDENS': 'Queens',
+        'HOLLIS': 'Queens',
+        'ST. ALBANS': 'Queens',
+        'SAINT ALBANS': 'Queens',
+        'SPRINGFIELD GARDENS': 'Queens',
+        'ROSEDALE': 'Queens',
+        'HOWARD BEACH': 'Queens',
+        'MIDDLE VILLAGE': 'Queens',
+        'GLENDALE': 'Queens',
+        'SUNNYSIDE': 'Queens',
+        'FAR ROCKAWAY': 'Queens',
+        'ROCKAWAY PARK': 'Queens',
+        'ARVERNE': 'Queens',
+        'QUEENS VILLAGE': 'Queens',
+        'CAMBRIA HEIGHTS': 'Queens',
+        'LITTLE NECK': 'Queens',
+        'DOUGLASTON': 'Queens',
+        'OAKLAND GARDENS': 'Queens',
+        'WOODHAVEN': 'Queens',
+        'BELLEROSE': 'Queens',
+        'GLEN OAKS': 'Queens'
+    },
+
+    // Words that end the street part of an address (the city follows)
+    STREET_ENDINGS: /\b(STREET|ST|AVENUE|AVE|AV|ROAD|RD|BOULEVARD|BLVD|DRIVE|DR|PLACE|PL|LANE|LN|COURT|CT|PLAZA|PLZ|PARKWAY|PKWY|TURNPIKE|TPKE|HIGHWAY|HWY|WAY|TERRACE|TER|SQUARE|SQ|BROADWAY|CIRCLE|CIR|EXPRESSWAY|EXPY|(?:SUITE|STE|FLOOR|FL|ROOM|RM|UNIT|APT|#)\.?\s*[\w-]+|\d+(?:ST|ND|RD|TH)\s+FL(?:OOR)?)\.?$/,
+
+    // Address text -> parsed fields (the same addresses repeat across many records)
+    cache: new Map(),
+
+    /**
+     * Parse a free-text address
+     * Returns { street, city, state, zip, borough } (missing parts are empty strings)
+     */
+    parse(text) {
+        const key = (text || '').trim();
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.parseUncached(key));
+        }
+        return this.cache.get(key);
+    },
+
+    /**
+     * Parse an address without the cache
+     */
+    parseUncached(text) {
+        const result = { street: '', city: '', state: '', zip: '', borough: '' };
+        let rest = text.toUpperCase().replace(/\s+/g, ' ').replace(/[\s,.]+$/, '');
+        if (!rest) return result;
+        
+        // ZIP (5 digits, optional +4) at the end
+        const zipMatch = rest.match(/[\s,]*\b(\d{5})(?:-\d{4})?$/);
+        if (zipMatch) {
+            result.zip = zipMatch[1];
+            rest = rest.slice(0, zipMatch.index);
+        }
+        
+        // State as a postal code or full name before the ZIP
+        const stateMatch = rest.match(/[\s,]+([A-Z]{2})\.?$/);
+        if (stateMatch && this.STATES[stateMatch[1]]) {
+            result.state = stateMatch[1];
+            rest = rest.slice(0, stateMatch.index);
+        } else {
+            const names = Object.entries(this.STATES)
+                .sort((a, b) => b[1].length - a[1].length);
+            const found = names.find(([, name]) => rest.endsWith(`, ${name.toUpperCase()}`));
+            if (found) {
+                result.state = found[0];
+                rest = rest.slice(0, -(found[1].length + 2));
+            }
+        }
+        rest = rest.replace(/[\s,]+$/, '');
+        
+        // City after the last comma, else a known NYC place name or the words after the street suffix
+        const comma = rest.lastIndexOf(',');
+        const knownCity = Object.keys(this.CITY_BOROUGHS)
+            .sort((a, b) => b.length - a.length)
+            .find(city => rest === city || rest.endsWith(` ${city}`));
+        if (comma !== -1 && !/^\d/.test(rest.slice(comma + 1).trim())) {
+            result.city = rest.slice(comma + 1).trim();
+            rest = rest.slice(0, comma);
+            
+            // "..., Suite 500 Long Island City" - the unit belongs to the street
+            const unit = result.city.match(/^(?:(?:SUITE|STE|FLOOR|FL|ROOM|RM|UNIT|APT|#)\.?\s*[\w-]+|\d+(?:ST|ND|RD|TH)\s+FL(?:OOR)?)\s+/);
+            if (unit) {
+                rest = `${rest}, ${unit[0].trim()}`;
+                result.city = result.city.slice(unit[0].length);
+            }
+        } else if (knownCity) {
+            result.city = knownCity;
+            rest = rest.slice(0, rest.length - knownCity.length);
+        } else if (result.state) {
+            const words = rest.split(' ');
+            for (let i = words.length - 1; i > 0; i--) {
+                if (this.STREET_ENDINGS.test(words.slice(0, i).join(' '))) {
+                    result.city = words.slice(i).join(' ');
+                    rest = words.slice(0, i).join(' ');
+                    break;
+                }
+            }
+        }
+        
+        result.street = rest.replace(/[\s,]+$/, '').trim();
+        result.city = this.titleCase(result.city);
+        result.borough = this.getBorough(result);
+        return result;
+    },
+
+    /**
+     * NYC borough for a parsed address (ZIP first, then the city name)
+     */
+    getBorough({ zip = '', city = '', state = '' }) {
+        if (zip) {
+            const code = parseInt(zip);
+            const range = this.BOROUGH_ZIPS.find(([, first, last]) => code >= first && code <= last);
+            return range ? range[0] : '';
+        }
+        if (state && state !== 'NY') return '';
+        return this.CITY_BOROUGHS[city.toUpperCase()] || '';
+    },
+
+    /**
+     * Where a parsed address falls for in-city vs out-of-state totals
+     * Returns 'nyc', 'ny' (rest of the state), 'out' (out of state) or 'unknown'
+     */
+    getScope(location) {
+        if (location.borough) return 'nyc';
+        if (location.state === 'NY') return 'ny';
+        if (location.state) return 'out';
+        return 'unknown';
+    },
+
+    /**
+     * Flat vendor_* fields for a record's vendor_address
+     */
+    toFields(text) {
+        const { street, city, state, zip, borough } = this.parse(text);
+        return {
+            vendor_street: street,
+            vendor_city: city,
+            vendor_state: state,
+            vendor_zip: zip,
+            vendor_borough: borough
+        };
+    },
+
+    /**
+     * "STATEN ISLAND" -> "Staten Island"
+     */
+    titleCase(text) {
+        return text.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+    }
+};
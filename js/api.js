@@ -3,24 +3,77 @@
  */
 
 const API = {
+    // Resource URL and app token (see Settings)
     BASE_URL: 'https://data.cityofnewyork.us/resource/dg92-zbpx.json',
+    appToken: '',
     PAGE_SIZE: 10000,
+    MAX_RECORDS: 100000,
+    MAX_GROUPS: 500000,
+    // Page requests in flight at once
+    CONCURRENCY: 3,
+    // Retries per request, backing off from RETRY_DELAY ms (doubling) up to MAX_RETRY_DELAY ms
+    MAX_RETRIES: 4,
+    RETRY_DELAY: 1000,
+    MAX_RETRY_DELAY: 60000,
+    // Responses worth retrying (timeouts, rate limits, server errors)
+    RETRY_STATUSES: [408, 429, 500, 502, 503, 504],
+    // Milliseconds before a connectivity check gives up
+    CHECK_TIMEOUT: 15000,
+    // Whether the last fetch stopped at a safety limit
+    truncated: false,
+    // Error that stopped the last fetch early (the rows loaded before it were kept), or null
+    partialError: null,
+    // AbortController of the current load
+    controller: null,
+    // AbortController of the current drill-down fetch (a pair's records in aggregate mode)
+    drillController: null,
+    // Signal of a single page request -> signal of the load it belongs to (see linkSignal)
+    linkedSignals: new WeakMap(),
+    // Pages and rows loaded by the current download ({ pages, rows, total })
+    progress: { pages: 0, rows: 0, total: null },
+
+    // Record fields that can be used as Sankey columns
+    SANKEY_DIMENSIONS: {
+        vendor: { field: 'vendor_name', label: 'Vendor', plural: 'Vendors' },
+        agency: { field: 'agency_name', label: 'Agency', plural: 'Agencies' },
+        category: { field: 'category_description', label: 'Category', plural: 'Categories' },
+        method: { field: 'selection_method_description', label: 'Selection Method', plural: 'Selection Methods' },
+        notice: { field: 'type_of_notice_description', label: 'Notice Type', plural: 'Notice Types' }
+    },
+
+    // Fields selected from the dataset
+    FIELDS: [
+        'request_id',
+        'start_date',
+        'end_date',
+        'agency_name',
+        'vendor_name',
+        'vendor_address',
+        'contract_amount',
+        'short_title',
+        'type_of_notice_description',
+        'category_description',
+        'selection_method_description',
+        'pin',
+        'other_info_1',
+        'other_info_2',
+        'other_info_3'
+    ],
 
     /**
-     * Build SoQL query URL
+     * Build SoQL WHERE clause
      */
-    buildUrl(params = {}) {
+    buildWhere(params = {}) {
         const {
             startDate = '2026-01-01',
             endDate = null,
             minAmount = 0,
-            limit = this.PAGE_SIZE,
-            offset = 0
+            vendorNames = null,
+            agencyName = null,
+            updatedSince = null,
+            where = null
         } = params;
-
-        const url = new URL(this.BASE_URL);
         
-        // Build WHERE clause
         const conditions = [];
         
         // Date filter
@@ -37,29 +90,50 @@ const API = {
         // Only include records that have a vendor_name (awards)
         conditions.push(`vendor_name IS NOT NULL`);
         
-        if (conditions.length > 0) {
-            url.searchParams.set('$where', conditions.join(' AND '));
+        // Drill-down to specific vendor spellings / agency
+        if (vendorNames && vendorNames.length > 0) {
+            conditions.push(`vendor_name IN (${vendorNames.map(v => this.quote(v)).join(', ')})`);
         }
+        if (agencyName) {
+            conditions.push(`agency_name = ${this.quote(agencyName)}`);
+        }
+        
+        // Rows changed on the server since an ISO time (:updated_at is a Socrata system field)
+        if (updatedSince) {
+            conditions.push(`:updated_at > ${this.quote(updatedSince)}`);
+        }
+        
+        // Condition compiled from the query language
+        if (where) {
+            conditions.push(`(${where})`);
+        }
+        
+        return conditions.join(' AND ');
+    },
+
+    /**
+     * Quote a string literal for SoQL
+     */
+    quote(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    },
+
+    /**
+     * Build SoQL query URL
+     */
+    buildUrl(params = {}) {
+        const {
+            limit = this.PAGE_SIZE,
+            offset = 0
+        } = params;
+        
+        const url = new URL(this.BASE_URL);
+        
+        // Build WHERE clause
+        url.searchParams.set('$where', this.buildWhere(params));
 
         // Select specific fields
-        const fields = [
-            'request_id',
-            'start_date',
-            'end_date',
-            'agency_name',
-            'vendor_name',
-            'vendor_address',
-            'contract_amount',
-            'short_title',
-            'type_of_notice_description',
-            'category_description',
-            'selection_method_description',
-            'pin',
-            'other_info_1',
-            'other_info_2',
-            'other_info_3'
-        ];
-        url.searchParams.set('$select', fields.join(','));
+        url.searchParams.set('$select', this.FIELDS.join(','));
 
         // Ordering
         url.searchParams.set('$order', 'contract_amount DESC');
@@ -72,77 +146,484 @@ const API = {
     },
 
     /**
-     * Fetch a single page of data
+     * Build SoQL query URL for server-side vendor/agency totals
      */
-    async fetchPage(params = {}) {
-        const url = this.buildUrl(params);
+    buildAggregateUrl(params = {}) {
+        const {
+            limit = this.PAGE_SIZE,
+            offset = 0
+        } = params;
+        
+        const url = new URL(this.BASE_URL);
+        
+        url.searchParams.set('$select', [
+            'vendor_name',
+            'agency_name',
+            'sum(contract_amount) AS total_amount',
+            'count(*) AS contract_count'
+        ].join(','));
+        url.searchParams.set('$where', this.buildWhere(params));
+        url.searchParams.set('$group', 'vendor_name,agency_name');
+        url.searchParams.set('$order', 'total_amount DESC');
+        url.searchParams.set('$limit', limit.toString());
+        url.searchParams.set('$offset', offset.toString());
+        
+        return url.toString();
+    },
+
+    /**
+     * Build SoQL URL counting the records a query matches
+     */
+    buildCountUrl(params = {}) {
+        const url = new URL(this.BASE_URL);
+        
+        url.searchParams.set('$select', 'count(*) AS count');
+        url.searchParams.set('$where', this.buildWhere(params));
+        
+        return url.toString();
+    },
+
+    /**
+     * Start a new load, aborting the one in progress and any drill-down (its pair may be gone)
+     * Returns the AbortSignal to pass along as params.signal
+     */
+    startLoad() {
+        this.abort();
+        this.drillController = null;
+        this.controller = new AbortController();
+        return this.controller.signal;
+    },
+
+    /**
+     * Start a drill-down fetch, aborting the previous drill-down but not the load in progress
+     * Returns the AbortSignal to pass along as params.signal
+     */
+    startDrillDown() {
+        this.abortController(this.drillController);
+        this.drillController = new AbortController();
+        return this.drillController.signal;
+    },
+
+    /**
+     * Abort the load and drill-down in progress
+     * Pass cancelled = true when the user stopped them, so the rows already loaded are kept
+     */
+    abort(cancelled = false) {
+        this.abortController(this.controller, cancelled);
+        this.abortController(this.drillController, cancelled);
+    },
+
+    /**
+     * Abort one controller, marking whether the user cancelled or a newer request replaced it
+     */
+    abortController(controller, cancelled = false) {
+        if (!controller) return;
         
+        const reason = new DOMException(cancelled ? 'Download cancelled' : 'Replaced by a newer load', 'AbortError');
+        reason.cancelled = cancelled;
+        controller.abort(reason);
+    },
+
+    /**
+     * Whether a signal belongs to the current load or drill-down (requests without one always do)
+     */
+    isCurrent(signal) {
+        const load = this.linkedSignals.get(signal) || signal;
+        return !load || [this.controller, this.drillController].some(controller =>
+            controller !== null && controller.signal === load
+        );
+    },
+
+    /**
+     * AbortController for one request of a load: it aborts with the load, and can also be aborted on its own
+     * Call the returned unlink() once the request settles
+     */
+    linkSignal(signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            this.linkedSignals.set(controller.signal, signal);
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        
+        return {
+            controller,
+            unlink: () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        };
+    },
+
+    /**
+     * Short reason for a failed or stopped download, for notices
+     */
+    describeError(error) {
+        if (error.cancelled) return 'The download was cancelled';
+        if (error.status === 429) return 'The data server is rate limiting requests';
+        if (error.status) return `The data server returned an error (${error.status})`;
+        return 'The data server could not be reached';
+    },
+
+    /**
+     * Request headers (the app token, when one is set)
+     */
+    getHeaders(appToken = this.appToken) {
+        return appToken ? { 'X-App-Token': appToken } : {};
+    },
+
+    /**
+     * Check that a SODA endpoint answers and has every column in FIELDS
+     * Returns { ok, message, missing: [field] }
+     */
+    async checkEndpoint(baseUrl, appToken = '') {
+        const request = (fields) => {
+            const url = new URL(baseUrl);
+            url.searchParams.set('$select', fields.join(','));
+            url.searchParams.set('$limit', '1');
+            return fetch(url, { headers: this.getHeaders(appToken), signal: AbortSignal.timeout(this.CHECK_TIMEOUT) });
+        };
+        
+        let response;
+        let rows;
         try {
-            const response = await fetch(url);
+            response = await request(this.FIELDS);
+            rows = response.ok ? await response.json() : null;
+        } catch (error) {
+            const message = error.name === 'TimeoutError'
+                ? 'The server did not answer in time.'
+                : 'The server could not be reached. Check the domain, and that the server allows cross-origin requests.';
+            return { ok: false, message, missing: [] };
+        }
+        
+        if (response.ok) {
+            if (!Array.isArray(rows)) {
+                return { ok: false, message: 'The server answered, but not with SODA rows.', missing: [] };
+            }
+            const message = `Connected. All ${this.FIELDS.length} expected columns found${rows.length === 0 ? ', but the dataset has no rows' : ''}.`;
+            return { ok: true, message, missing: [] };
+        }
+        if (response.status === 401 || response.status === 403) {
+            return { ok: false, message: 'The server rejected the app token.', missing: [] };
+        }
+        if (response.status === 404) {
+            return { ok: false, message: 'No dataset with this ID on the server.', missing: [] };
+        }
+        if (response.status !== 400) {
+            return { ok: false, message: `The server returned an error (${response.status}).`, missing: [] };
+        }
+        
+        // A bad query usually means missing columns; ask for each one to name them all
+        const missing = (await Promise.all(this.FIELDS.map(field => request([field])
+            .then(r => (r.status === 400 ? field : null))
+            .catch(() => null)
+        ))).filter(Boolean);
+        
+        const message = missing.length > 0
+            ? `The dataset is missing expected columns: ${missing.join(', ')}.`
+            : 'The server rejected the query.';
+        return { ok: false, message, missing };
+    },
+
+    /**
+     * Wait ms milliseconds, rejecting early if the signal aborts
+     */
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    /**
+     * Milliseconds to wait before retry number attempt + 1
+     * A Retry-After header (seconds or an HTTP date) wins over exponential backoff with jitter
+     */
+    getRetryDelay(attempt, retryAfter = null) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (ms >= 0) return Math.min(ms, this.MAX_RETRY_DELAY);
+        }
+        
+        const backoff = this.RETRY_DELAY * Math.pow(2, attempt);
+        return Math.min(this.MAX_RETRY_DELAY, backoff * (0.5 + Math.random() / 2));
+    },
+
+    /**
+     * Fetch JSON from a SODA URL
+     * Network errors, rate limits (429) and server errors are retried with backoff;
+     * an abort through the signal stops at once
+     */
+    async fetchJson(url, signal = null) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let delay;
+            
+            try {
+                const response = await fetch(url, { signal, headers: this.getHeaders() });
+                if (response.ok) {
+                    return await response.json();
+                }
+                
+                error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                delay = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+            } catch (fetchError) {
+                if (fetchError.name === 'AbortError') throw fetchError;
+                error = fetchError;
+                delay = this.getRetryDelay(attempt);
             }
             
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            console.error('Error fetching data:', error);
-            throw error;
+            if (attempt >= this.MAX_RETRIES || (error.status && !this.RETRY_STATUSES.includes(error.status))) {
+                console.error('Error fetching data:', error);
+                throw error;
+            }
+            
+            console.warn(`${error.message}; retrying in ${Math.ceil(delay / 1000)}s`);
+            this.reportProgress(signal, `${this.describeError(error)}. Retrying in ${Math.ceil(delay / 1000)}s...`);
+            await this.wait(delay, signal);
         }
     },
 
     /**
-     * Fetch all data with pagination
+     * Fetch a single page of data
      */
-    async fetchAll(params = {}) {
-        const allData = [];
-        let offset = 0;
-        let hasMore = true;
+    async fetchPage(params = {}) {
+        return this.fetchJson(this.buildUrl(params), params.signal);
+    },
+
+    /**
+     * Fetch a single page of vendor/agency totals
+     */
+    async fetchAggregatePage(params = {}) {
+        return this.fetchJson(this.buildAggregateUrl(params), params.signal);
+    },
+
+    /**
+     * Fetch the number of records matching params (null when the answer is unusable)
+     */
+    async fetchCount(params = {}) {
+        const rows = await this.fetchJson(this.buildCountUrl(params), params.signal);
+        const count = parseInt(rows[0] && rows[0].count);
+        return Number.isNaN(count) ? null : count;
+    },
+
+    /**
+     * Show the current download's progress, or a status message, if it belongs to the current load
+     */
+    reportProgress(signal, message = null) {
+        if (this.isCurrent(signal)) {
+            Utils.showProgress({ ...this.progress, message });
+        }
+    },
+
+    /**
+     * Fetch pages and record the outcome in this.truncated and this.partialError
+     * (see fetchPagedResult); returns the rows
+     */
+    async fetchPaged(params, maxRows, fetchPageFn, fetchCountFn = null) {
+        const { rows, truncated, partialError } = await this.fetchPagedResult(params, maxRows, fetchPageFn, fetchCountFn);
+        this.truncated = truncated;
+        this.partialError = partialError;
+        return rows;
+    },
+
+    /**
+     * Fetch pages until exhausted or maxRows is reached, CONCURRENCY pages at a time
+     * fetchCountFn (optional) supplies the total for the progress bar
+     * Returns { rows, truncated, partialError }: truncated when rows were left on the server,
+     * partialError when a request failed for good or the user cancelled. The rows loaded until
+     * then are returned, and the error is only thrown when there are none
+     */
+    async fetchPagedResult(params, maxRows, fetchPageFn, fetchCountFn = null) {
+        const { signal = null } = params;
+        const maxPages = Math.ceil(maxRows / this.PAGE_SIZE);
+        const pages = [];
+        // Next page to request, and the first page past the data once a short page shows up
+        let next = 0;
+        let end = Infinity;
+        let failure = null;
         
-        Utils.showLoading();
+        // A load and a drill-down may download side by side; the one started last owns the progress strip
+        // until it finishes, then hands it back
+        const previous = this.progress;
+        const progress = { pages: 0, rows: 0, total: null };
+        const report = () => {
+            if (this.progress === progress) this.reportProgress(signal);
+        };
+        this.progress = progress;
+        report();
         
-        try {
-            while (hasMore) {
-                const pageData = await this.fetchPage({
-                    ...params,
-                    offset,
-                    limit: this.PAGE_SIZE
-                });
-                
-                if (pageData.length === 0) {
-                    hasMore = false;
-                } else {
-                    allData.push(...pageData);
-                    offset += this.PAGE_SIZE;
+        if (fetchCountFn) {
+            fetchCountFn(params)
+                .then(total => {
+                    if (total === null || this.progress !== progress) return;
+                    progress.total = Math.min(total, maxPages * this.PAGE_SIZE);
+                    report();
+                })
+                .catch(() => {});
+        }
+        
+        // Pages are requested before the end of the data is known; once a short page shows where it is,
+        // requests for pages past it are aborted (they would only return nothing, or use up rate limits)
+        const inFlight = new Map();
+        const worker = async () => {
+            while (!failure && next < Math.min(end, maxPages)) {
+                const page = next++;
+                const { controller, unlink } = this.linkSignal(signal);
+                inFlight.set(page, controller);
+                try {
+                    const pageData = await fetchPageFn({
+                        ...params,
+                        signal: controller.signal,
+                        offset: page * this.PAGE_SIZE,
+                        limit: this.PAGE_SIZE
+                    });
+                    pages[page] = pageData;
                     
-                    // Safety limit to prevent infinite loops
-                    if (offset > 100000) {
-                        console.warn('Reached safety limit of 100,000 records');
-                        hasMore = false;
+                    // Fewer records than the page size: nothing after this page
+                    if (pageData.length < this.PAGE_SIZE && page + 1 < end) {
+                        end = page + 1;
+                        inFlight.forEach((other, otherPage) => {
+                            if (otherPage >= end) {
+                                other.abort(new DOMException('Past the end of the data', 'AbortError'));
+                            }
+                        });
                     }
                     
-                    // If we got fewer records than the page size, we're done
-                    if (pageData.length < this.PAGE_SIZE) {
-                        hasMore = false;
+                    progress.pages += 1;
+                    progress.rows += pageData.length;
+                    report();
+                } catch (error) {
+                    // A page past the end of the data is not missing anything
+                    if (page < end) {
+                        failure = failure || error;
                     }
+                } finally {
+                    inFlight.delete(page);
+                    unlink();
                 }
             }
+        };
+        await Promise.all(Array.from({ length: this.CONCURRENCY }, worker));
+        
+        // Every page came back full: rows were left behind only if there is at least one more
+        let truncated = false;
+        if (!failure && end > maxPages) {
+            try {
+                const extra = await fetchPageFn({ ...params, offset: maxPages * this.PAGE_SIZE, limit: 1 });
+                truncated = extra.length > 0;
+            } catch (error) {
+                // Cannot tell, so warn
+                truncated = true;
+            }
+        }
+        if (this.progress === progress) {
+            this.progress = previous;
+        }
+        
+        // Pages stay in server order; a page missing after a failure leaves a gap
+        const allData = pages.flat();
+        
+        if (truncated) {
+            // Safety limit to prevent runaway downloads
+            console.warn(`Reached safety limit of ${Utils.formatNumber(maxRows)} rows`);
+        }
+        
+        if (failure) {
+            // Rows of a load that was replaced are of no use to anyone
+            const superseded = failure.name === 'AbortError' && !failure.cancelled;
+            if (superseded || allData.length === 0) throw failure;
             
-            // Process data to add concatenated additional_info field
-            const processedData = this.processData(allData);
-            
-            return processedData;
+            console.warn(`Download stopped after ${Utils.formatNumber(allData.length)} rows:`, failure);
+        }
+        
+        return { rows: allData, truncated, partialError: failure };
+    },
+
+    /**
+     * Fetch all data with pagination
+     */
+    async fetchAll(params = {}) {
+        const allData = await this.fetchAllRaw(params);
+        
+        // Process data to add concatenated additional_info field
+        return this.processData(allData, !params.vendorNames);
+    },
+
+    /**
+     * Fetch all unprocessed records with pagination
+     * Pass showLoading = false to download in the background
+     */
+    async fetchAllRaw(params = {}, showLoading = true) {
+        if (showLoading) Utils.showLoading();
+        
+        try {
+            return await this.fetchPaged(params, this.MAX_RECORDS, p => this.fetchPage(p), p => this.fetchCount(p));
         } finally {
-            Utils.hideLoading();
+            // A newer load has the overlay now
+            if (showLoading && this.isCurrent(params.signal)) Utils.hideLoading();
+        }
+    },
+
+    /**
+     * Fetch vendor/agency totals aggregated on the server ($group)
+     * Returns one pseudo-record per vendor/agency pair
+     */
+    async fetchAggregates(params = {}) {
+        Utils.showLoading();
+        
+        try {
+            const rows = await this.fetchPaged(params, this.MAX_GROUPS, p => this.fetchAggregatePage(p));
+            return this.processAggregates(rows);
+        } finally {
+            if (this.isCurrent(params.signal)) Utils.hideLoading();
+        }
+    },
+
+    /**
+     * Fetch raw contracts behind one vendor/agency pair
+     * Returns { rows, truncated, partialError } and leaves the main load's truncated/partialError alone
+     */
+    async fetchPairRecords(params, vendor, agency) {
+        const variants = Entities.getVariants(vendor).map(v => v.name);
+        const pairParams = {
+            ...params,
+            vendorNames: variants.length > 0 ? variants : [vendor],
+            agencyName: agency
+        };
+        
+        Utils.showLoading();
+        try {
+            const result = await this.fetchPagedResult(pairParams, this.MAX_RECORDS, p => this.fetchPage(p), p => this.fetchCount(p));
+            return { ...result, rows: this.processData(result.rows, false) };
+        } finally {
+            if (this.isCurrent(params.signal)) Utils.hideLoading();
         }
     },
 
     /**
      * Process raw data from API
+     * Entity mapping is rebuilt unless rebuildEntities is false (drill-down subsets)
      */
-    processData(data) {
-        return data.map(record => ({
+    processData(data, rebuildEntities = true) {
+        const records = data.map(record => ({
             ...record,
             // Convert contract_amount to number
             contract_amount: parseFloat(record.contract_amount) || 0,
@@ -150,128 +631,266 @@ const API = {
             additional_info: Utils.concatenateOtherInfo(record),
             // Parse dates
             start_date_parsed: record.start_date ? new Date(record.start_date) : null,
-            end_date_parsed: record.end_date ? new Date(record.end_date) : null
+            end_date_parsed: record.end_date ? new Date(record.end_date) : null,
+            // Split vendor_address into vendor_street/city/state/zip/borough
+            ...Address.toFields(record.vendor_address)
+        }));
+        
+        // Resolve vendor name variants to canonical entities (App.resolvePeriods indexes them for search)
+        return rebuildEntities ? Entities.resolve(records) : Entities.apply(records);
+    },
+
+    /**
+     * Process server-side aggregate rows into pseudo-records
+     */
+    processAggregates(rows) {
+        const records = rows.map(row => ({
+            vendor_name: row.vendor_name,
+            agency_name: row.agency_name,
+            contract_amount: parseFloat(row.total_amount) || 0,
+            contract_count: parseInt(row.contract_count) || 0,
+            is_aggregate: true
         }));
+        
+        return Entities.resolve(records);
+    },
+
+    /**
+     * Rank the values of a field and keep the top `limit`; the rest share one "Other" bucket
+     * Ranks by count when sorting by count, otherwise by amount
+     * Values listed in keep are never rolled up
+     * Returns { other, hidden, map(name) } where map() gives the bucket a value falls in
+     */
+    getRollup(data, getName, limit, sortBy, other, keep = []) {
+        const rank = sortBy.startsWith('count') ? 'count' : 'amount';
+        const totals = new Map();
+        data.forEach(record => {
+            const name = getName(record);
+            const total = totals.get(name) || { amount: 0, count: 0 };
+            total.amount += record.contract_amount || 0;
+            total.count += record.contract_count || 1;
+            totals.set(name, total);
+        });
+        
+        const ranked = Array.from(totals.entries())
+            .sort((a, b) => b[1][rank] - a[1][rank])
+            .map(e => e[0]);
+        const kept = new Set([...ranked.slice(0, limit), ...keep.filter(name => totals.has(name))]);
+        
+        return {
+            other,
+            hidden: ranked.length - kept.size,
+            map: name => kept.has(name) ? name : other
+        };
     },
 
     /**
      * Aggregate data for Sankey diagram
+     * stages lists SANKEY_DIMENSIONS keys, one per column (e.g. ['agency', 'method', 'vendor'])
+     * rollups optionally holds a getRollup() result per stage to fold small values into "Other"
+     * Node ids are namespaced per stage so a value can appear in more than one column
      * Returns { nodes: [...], links: [...] }
      */
-    aggregateForSankey(data, sortBy = 'amount-desc') {
-        // Group by vendor -> agency pairs
+    aggregateForSankey(data, sortBy = 'amount-desc', stages = ['vendor', 'agency'], rollups = []) {
+        const dimensions = stages.map(key => ({ key, ...this.SANKEY_DIMENSIONS[key] }));
+        const getName = (record, dim, stage) => {
+            const name = this.getSankeyName(record, dim.key);
+            return rollups[stage] ? rollups[stage].map(name) : name;
+        };
+        
+        // Per-stage node totals and links between consecutive stages
+        const nodeTotals = dimensions.map(() => new Map());
         const linkMap = new Map();
-        const vendorTotals = new Map();
-        const agencyTotals = new Map();
         
         data.forEach(record => {
-            const vendor = record.vendor_name || 'Unknown Vendor';
-            const agency = record.agency_name || 'Unknown Agency';
             const amount = record.contract_amount || 0;
+            const count = record.contract_count || 1;
+            const names = dimensions.map((dim, stage) => getName(record, dim, stage));
             
-            // Track vendor totals
-            vendorTotals.set(vendor, (vendorTotals.get(vendor) || 0) + amount);
-            agencyTotals.set(agency, (agencyTotals.get(agency) || 0) + amount);
+            names.forEach((name, stage) => {
+                const totals = nodeTotals[stage].get(name) || { amount: 0, count: 0 };
+                totals.amount += amount;
+                totals.count += count;
+                nodeTotals[stage].set(name, totals);
+            });
             
-            const key = `${vendor}|||${agency}`;
-            if (!linkMap.has(key)) {
-                linkMap.set(key, {
-                    vendor,
-                    agency,
-                    amount: 0,
-                    count: 0,
-                    contracts: []
-                });
+            for (let stage = 0; stage < names.length - 1; stage++) {
+                const key = `${stage}|||${names[stage]}|||${names[stage + 1]}`;
+                if (!linkMap.has(key)) {
+                    linkMap.set(key, {
+                        stage,
+                        sourceName: names[stage],
+                        targetName: names[stage + 1],
+                        amount: 0,
+                        count: 0,
+                        contracts: []
+                    });
+                }
+                
+                const link = linkMap.get(key);
+                link.amount += amount;
+                link.count += count;
+                link.contracts.push(record);
             }
-            
-            const link = linkMap.get(key);
-            link.amount += amount;
-            link.count += 1;
-            link.contracts.push(record);
         });
         
-        // Sort vendors and agencies based on sortBy
+        // Sort each stage based on sortBy
         const [field, direction] = sortBy.split('-');
         const multiplier = direction === 'desc' ? -1 : 1;
+        const compare = field === 'name'
+            ? (a, b) => multiplier * a[0].localeCompare(b[0])
+            : field === 'count'
+                ? (a, b) => multiplier * (a[1].count - b[1].count)
+                : (a, b) => multiplier * (a[1].amount - b[1].amount);
         
-        let sortedVendors, sortedAgencies;
+        // Create nodes array in sorted order, stage by stage (left to right)
+        const nodes = [];
+        const nodeIndex = new Map();
         
-        if (field === 'amount') {
-            sortedVendors = Array.from(vendorTotals.entries())
-                .sort((a, b) => multiplier * (a[1] - b[1]))
-                .map(e => e[0]);
-            sortedAgencies = Array.from(agencyTotals.entries())
-                .sort((a, b) => multiplier * (a[1] - b[1]))
-                .map(e => e[0]);
-        } else if (field === 'count') {
-            // Count contracts per vendor/agency
-            const vendorCounts = new Map();
-            const agencyCounts = new Map();
-            data.forEach(r => {
-                const v = r.vendor_name || 'Unknown Vendor';
-                const a = r.agency_name || 'Unknown Agency';
-                vendorCounts.set(v, (vendorCounts.get(v) || 0) + 1);
-                agencyCounts.set(a, (agencyCounts.get(a) || 0) + 1);
+        nodeTotals.forEach((totals, stage) => {
+            const dim = dimensions[stage];
+            const rollup = rollups[stage];
+            const isOther = ([name]) => Boolean(rollup) && name === rollup.other;
+            
+            // "Other" always goes last in its column
+            Array.from(totals.entries())
+                .sort((a, b) => (isOther(a) - isOther(b)) || compare(a, b))
+                .forEach(entry => {
+                    const [name, total] = entry;
+                    const id = this.getSankeyNodeId(stage, dim.key, name);
+                    nodeIndex.set(id, nodes.length);
+                    nodes.push({
+                        name,
+                        type: dim.key,
+                        stage,
+                        id,
+                        total: total.amount,
+                        isOther: isOther(entry),
+                        hidden: isOther(entry) ? rollup.hidden : 0
+                    });
+                });
+        });
+        
+        // Create links array
+        const links = Array.from(linkMap.values()).map(link => {
+            const source = this.getSankeyNodeId(link.stage, dimensions[link.stage].key, link.sourceName);
+            const target = this.getSankeyNodeId(link.stage + 1, dimensions[link.stage + 1].key, link.targetName);
+            const types = [dimensions[link.stage].key, dimensions[link.stage + 1].key];
+            
+            return {
+                source: nodeIndex.get(source),
+                target: nodeIndex.get(target),
+                id: `${source}|||${target}`,
+                value: link.amount,
+                count: link.count,
+                sourceName: link.sourceName,
+                targetName: link.targetName,
+                // Set when the link joins a vendor and an agency (used for pair drill-down)
+                vendor: types.includes('vendor') && types.includes('agency')
+                    ? (types[0] === 'vendor' ? link.sourceName : link.targetName) : null,
+                agency: types.includes('vendor') && types.includes('agency')
+                    ? (types[0] === 'agency' ? link.sourceName : link.targetName) : null,
+                contracts: link.contracts
+            };
+        });
+        
+        return { nodes, links };
+    },
+
+    /**
+     * A record's value for a Sankey dimension ("Unknown Category" when missing)
+     */
+    getSankeyName(record, key) {
+        const dim = this.SANKEY_DIMENSIONS[key];
+        return record[dim.field] || `Unknown ${dim.label}`;
+    },
+
+    /**
+     * Namespaced Sankey node id ("1:method:Sole Source")
+     */
+    getSankeyNodeId(stage, type, name) {
+        return `${stage}:${type}:${name}`;
+    },
+
+    /**
+     * Aggregate data for the network view, built on the Sankey aggregation
+     * mode 'bipartite' links vendors to agencies; 'vendors' links vendors that share an agency or category
+     * Nodes are ranked by count when sorting by count, otherwise by amount
+     * The projected graph only covers the top maxVendors vendors (pairs grow quadratically)
+     * Returns { nodes: [{ id, name, type, total, count }], edges: [{ id, source, target, value, count, ... }] }
+     */
+    aggregateForNetwork(data, sortBy = 'amount-desc', mode = 'bipartite', maxVendors = 200) {
+        const rankBy = sortBy.startsWith('count') ? 'count-desc' : 'amount-desc';
+        const { nodes, links } = this.aggregateForSankey(data, rankBy, ['vendor', 'agency']);
+        const getId = node => `${node.type}:${node.name}`;
+        
+        if (mode === 'bipartite') {
+            const graphNodes = nodes.map(n => ({ id: getId(n), name: n.name, type: n.type, total: n.total, count: 0 }));
+            const edges = links.map(l => {
+                graphNodes[l.source].count += l.count;
+                graphNodes[l.target].count += l.count;
+                return {
+                    id: l.id,
+                    source: graphNodes[l.source].id,
+                    target: graphNodes[l.target].id,
+                    value: l.value,
+                    count: l.count,
+                    vendor: l.vendor,
+                    agency: l.agency,
+                    contracts: l.contracts
+                };
             });
-            sortedVendors = Array.from(vendorCounts.entries())
-                .sort((a, b) => multiplier * (a[1] - b[1]))
-                .map(e => e[0]);
-            sortedAgencies = Array.from(agencyCounts.entries())
-                .sort((a, b) => multiplier * (a[1] - b[1]))
-                .map(e => e[0]);
-        } else {
-            // Name sort
-            sortedVendors = Array.from(vendorTotals.keys())
-                .sort((a, b) => multiplier * a.localeCompare(b));
-            sortedAgencies = Array.from(agencyTotals.keys())
-                .sort((a, b) => multiplier * a.localeCompare(b));
+            return { nodes: graphNodes, edges };
         }
         
-        // Create nodes array in sorted order
-        const nodes = [];
-        const nodeIndex = new Map();
+        // Vendor-vendor projection: one edge per pair, weighted by the smaller side of each shared agency/category
+        const vendors = nodes
+            .filter(n => n.type === 'vendor')
+            .slice(0, maxVendors)
+            .map(n => ({ id: getId(n), name: n.name, type: n.type, total: n.total, count: 0 }));
+        const byName = new Map(vendors.map(v => [v.name, v]));
+        const edgeMap = new Map();
         
-        // Add vendors first (left side)
-        sortedVendors.forEach(vendor => {
-            nodeIndex.set(`vendor:${vendor}`, nodes.length);
-            nodes.push({
-                name: vendor,
-                type: 'vendor',
-                id: `vendor:${vendor}`,
-                total: vendorTotals.get(vendor)
+        ['agency', 'category'].forEach(key => {
+            const unknown = this.getSankeyName({}, key);
+            const groups = new Map();
+            
+            this.aggregateForSankey(data, rankBy, ['vendor', key]).links.forEach(l => {
+                const vendor = byName.get(l.sourceName);
+                if (!vendor || l.targetName === unknown) return;
+                if (key === 'agency') vendor.count += l.count;
+                
+                if (!groups.has(l.targetName)) groups.set(l.targetName, []);
+                groups.get(l.targetName).push({ vendor, amount: l.value });
             });
-        });
-        
-        // Add agencies (right side)
-        sortedAgencies.forEach(agency => {
-            nodeIndex.set(`agency:${agency}`, nodes.length);
-            nodes.push({
-                name: agency,
-                type: 'agency',
-                id: `agency:${agency}`,
-                total: agencyTotals.get(agency)
+            
+            groups.forEach((members, name) => {
+                for (let i = 0; i < members.length; i++) {
+                    for (let j = i + 1; j < members.length; j++) {
+                        const [a, b] = [members[i], members[j]].sort((x, y) => x.vendor.id.localeCompare(y.vendor.id));
+                        const id = `${a.vendor.id}|||${b.vendor.id}`;
+                        if (!edgeMap.has(id)) {
+                            edgeMap.set(id, { id, source: a.vendor.id, target: b.vendor.id, value: 0, count: 0, shared: [] });
+                        }
+                        
+                        const edge = edgeMap.get(id);
+                        edge.value += Math.min(a.amount, b.amount);
+                        edge.count += 1;
+                        edge.shared.push({ type: key, name });
+                    }
+                }
             });
         });
         
-        // Create links array
-        const links = Array.from(linkMap.values()).map(link => ({
-            source: nodeIndex.get(`vendor:${link.vendor}`),
-            target: nodeIndex.get(`agency:${link.agency}`),
-            value: link.amount,
-            count: link.count,
-            vendor: link.vendor,
-            agency: link.agency,
-            contracts: link.contracts
-        }));
-        
-        return { nodes, links };
+        return { nodes: vendors, edges: Array.from(edgeMap.values()) };
     },
 
     /**
      * Aggregate data for Matrix view
+     * rollups optionally holds getRollup() results for vendor and/or agency
      * Returns { vendors: [...], agencies: [...], matrix: [[...]] }
      */
-    aggregateForMatrix(data, sortBy = 'amount-desc') {
+    aggregateForMatrix(data, sortBy = 'amount-desc', rollups = {}) {
         // Get unique vendors and agencies with totals
         const vendorTotalsMap = new Map();
         const agencyTotalsMap = new Map();
@@ -280,14 +899,15 @@ const API = {
         const matrixMap = new Map();
         
         data.forEach(record => {
-            const vendor = record.vendor_name || 'Unknown Vendor';
-            const agency = record.agency_name || 'Unknown Agency';
+            const vendor = this.getMatrixName(record, 'vendor', rollups);
+            const agency = this.getMatrixName(record, 'agency', rollups);
             const amount = record.contract_amount || 0;
+            const count = record.contract_count || 1;
             
             vendorTotalsMap.set(vendor, (vendorTotalsMap.get(vendor) || 0) + amount);
             agencyTotalsMap.set(agency, (agencyTotalsMap.get(agency) || 0) + amount);
-            vendorCountsMap.set(vendor, (vendorCountsMap.get(vendor) || 0) + 1);
-            agencyCountsMap.set(agency, (agencyCountsMap.get(agency) || 0) + 1);
+            vendorCountsMap.set(vendor, (vendorCountsMap.get(vendor) || 0) + count);
+            agencyCountsMap.set(agency, (agencyCountsMap.get(agency) || 0) + count);
             
             const key = `${vendor}|||${agency}`;
             if (!matrixMap.has(key)) {
@@ -296,7 +916,7 @@ const API = {
             
             const cell = matrixMap.get(key);
             cell.amount += amount;
-            cell.count += 1;
+            cell.count += count;
         });
         
         // Sort based on sortBy parameter
@@ -327,6 +947,14 @@ const API = {
                 .sort((a, b) => multiplier * a.localeCompare(b));
         }
         
+        // "Other" rows and columns always go last
+        [[vendors, rollups.vendor], [agencies, rollups.agency]].forEach(([names, rollup]) => {
+            const index = rollup ? names.indexOf(rollup.other) : -1;
+            if (index !== -1) {
+                names.push(names.splice(index, 1)[0]);
+            }
+        });
+        
         // Build matrix in sorted order
         const matrix = vendors.map(vendor => 
             agencies.map(agency => {
@@ -339,16 +967,30 @@ const API = {
         // Calculate totals
         const vendorTotals = vendors.map(vendor => vendorTotalsMap.get(vendor));
         const agencyTotals = agencies.map(agency => agencyTotalsMap.get(agency));
+        const vendorCounts = vendors.map(vendor => vendorCountsMap.get(vendor));
+        const agencyCounts = agencies.map(agency => agencyCountsMap.get(agency));
         
         return {
             vendors,
             agencies,
             matrix,
             vendorTotals,
-            agencyTotals
+            agencyTotals,
+            vendorCounts,
+            agencyCounts
         };
     },
 
+    /**
+     * Matrix row or column name for a record, folded into "Other" when rolled up
+     */
+    getMatrixName(record, type, rollups = {}) {
+        const name = type === 'vendor'
+            ? record.vendor_name || 'Unknown Vendor'
+            : record.agency_name || 'Unknown Agency';
+        return rollups[type] ? rollups[type].map(name) : name;
+    },
+
     /**
      * Get unique values for filter dropdowns
      */
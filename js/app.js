@@ -12,6 +12,12 @@ const App = {
     activeTab: 'sankey',
     // Last data fetch timestamp
     lastFetchTime: null,
+    // Records subset shown in the Records tab ({ records, context })
+    drillData: null,
+    // Baseline period data in compare mode (null when not comparing)
+    baselineData: null,
+    // Filtered baseline data for display
+    baselineFiltered: null,
 
     /**
      * Initialize the application
@@ -19,10 +25,30 @@ const App = {
     async init() {
         console.log('NYC Contract Awards Explorer initializing...');
         
-        // Initialize modules
+        // Initialize modules (settings first: they choose the endpoint and offline cache)
+        Settings.init();
+        Entities.init();
         Filters.init();
+        Flags.init();
+        Facets.init();
+        Query.init();
         SankeyChart.init();
         MatrixChart.init();
+        NetworkChart.init();
+        MapChart.init();
+        MetricsPanel.init();
+        RecordsTable.init();
+        TimeSeriesChart.init();
+        Export.init();
+        ProfilePanel.init();
+        RecordCache.init();
+        Importer.init();
+        Investigations.init();
+        Watchlists.init();
+        Changelog.init();
+        
+        // Restore filters and tab from the URL
+        Permalink.init();
         
         // Bind tab switching
         this.bindTabs();
@@ -30,6 +56,16 @@ const App = {
         // Bind refresh button
         this.bindRefresh();
         
+        // Bind notice dismiss
+        document.querySelector('.notice-close').addEventListener('click', () => {
+            Utils.hideNotice();
+        });
+        
+        // Bind download cancel (overlay and progress strip)
+        document.querySelectorAll('.fetch-cancel').forEach(button => {
+            button.addEventListener('click', () => API.abort(true));
+        });
+        
         // Initial data fetch
         await this.fetchAndRender();
         
@@ -43,7 +79,7 @@ const App = {
         const refreshBtn = document.getElementById('refresh-data');
         refreshBtn.addEventListener('click', async () => {
             refreshBtn.classList.add('spinning');
-            await this.fetchAndRender();
+            await this.fetchAndRender({ revalidate: true });
             refreshBtn.classList.remove('spinning');
         });
     },
@@ -66,6 +102,25 @@ const App = {
      * Switch between tabs
      */
     switchTab(tabName) {
+        this.setActiveTab(tabName);
+        
+        // Re-render the active view
+        this.renderActiveView();
+        
+        Permalink.update();
+    },
+
+    /**
+     * Whether a name is one of the view tabs (names from URLs and files are checked before use)
+     */
+    isTab(tabName) {
+        return Array.from(document.querySelectorAll('.tab')).some(tab => tab.dataset.tab === tabName);
+    },
+
+    /**
+     * Set the active tab and update tab buttons and panes
+     */
+    setActiveTab(tabName) {
         this.activeTab = tabName;
         
         // Update tab buttons
@@ -77,23 +132,70 @@ const App = {
         document.querySelectorAll('.tab-pane').forEach(pane => {
             pane.classList.toggle('active', pane.id === `${tabName}-view`);
         });
-        
-        // Re-render the active view
-        this.renderActiveView();
     },
 
     /**
      * Fetch data from API and render
+     * Pass revalidate = true to re-download records updated on the server and check them for amendments
+     * A download still running for earlier filters is aborted
      */
-    async fetchAndRender() {
+    async fetchAndRender({ revalidate = false } = {}) {
+        const signal = API.startLoad();
+        
+        // Imported file data stands in for the API
+        if (Importer.active) {
+            this.renderImported();
+            return;
+        }
+        
         try {
             Utils.showLoading();
+            Utils.showProgress();
+            const fetchStart = new Date().toISOString();
             
             // Get API params from filters
-            const params = Filters.getApiParams();
+            const params = { ...Filters.getApiParams(), signal };
+            
+            // Load the baseline first so compare views never render against a stale one
+            const baselineParams = Filters.getBaselineParams();
+            this.baselineData = baselineParams ? await this.fetchPeriod({ ...baselineParams, signal }) : null;
+            const baselineTruncated = Boolean(baselineParams) && API.truncated;
+            const baselinePartial = baselineParams ? API.partialError : null;
+            const baselineWriteError = baselineParams ? RecordCache.writeError : null;
+            
+            // Fetch raw records (through the offline cache), or server-side totals in aggregate mode
+            let data;
+            if (params.dataMode === 'aggregate') {
+                data = this.resolvePeriods(await API.fetchAggregates(params));
+            } else {
+                const rows = await RecordCache.load(params, (cached) => {
+                    if (!API.isCurrent(signal)) return;
+                    
+                    // Show the cached view while missing windows download
+                    this.setData(this.resolvePeriods(API.processData(cached)));
+                    Utils.hideLoading();
+                }, revalidate);
+                data = this.resolvePeriods(API.processData(rows));
+            }
+            if (!API.isCurrent(signal)) return;
+            this.rawData = data;
             
-            // Fetch data
-            this.rawData = await API.fetchAll(params);
+            // Cached records that came back with different values
+            const amended = params.dataMode === 'aggregate' ? [] : await Changelog.refresh(fetchStart);
+            
+            const partialError = API.partialError || baselinePartial;
+            if (partialError) {
+                Utils.showNotice(`${API.describeError(partialError)}, so only part of the data was loaded (${Utils.formatNumber(this.rawData.length)} rows) and totals are incomplete. Refresh to try again.`);
+            } else if (API.truncated || baselineTruncated) {
+                const limit = params.dataMode === 'aggregate' ? API.MAX_GROUPS : API.MAX_RECORDS;
+                Utils.showNotice(`Only the first ${Utils.formatNumber(limit)} rows were loaded. Narrow the date range or switch to server-side totals to see everything.`);
+            } else if (params.dataMode !== 'aggregate' && (RecordCache.writeError || baselineWriteError)) {
+                Utils.showNotice('All data was downloaded, but it could not be saved to the offline cache (browser storage may be full), so it will be downloaded again next time. "Clear cache" under Data Mode frees space.');
+            } else if (amended.length > 0) {
+                Utils.showNotice(`${Utils.formatNumber(amended.length)} cached record${amended.length === 1 ? ' was' : 's were'} amended since the last download. See the Changes tab.`);
+            } else {
+                Utils.hideNotice();
+            }
             
             // Update last fetch time
             this.lastFetchTime = new Date();
@@ -101,21 +203,104 @@ const App = {
             
             console.log(`Fetched ${this.rawData.length} records`);
             
-            // Update filter dropdowns with available options
-            const options = API.getFilterOptions(this.rawData);
-            Filters.populateDropdowns(options);
-            
-            // Re-initialize charts (in case they were destroyed by empty state)
-            SankeyChart.init();
-            
-            // Apply client-side filters and render
-            this.applyClientFilters();
+            this.setData(this.rawData);
             
         } catch (error) {
+            // A newer load took over; it reports its own outcome
+            if (!API.isCurrent(signal)) return;
+            
             console.error('Error fetching data:', error);
-            this.showError('Failed to load data. Please try again.');
+            if (this.rawData.length > 0 && Filters.state.dataMode !== 'aggregate') {
+                // Keep showing whatever came from the cache
+                Utils.showNotice(error.cancelled
+                    ? 'Download cancelled. Showing cached data, which may be incomplete.'
+                    : 'Could not reach the data server. Showing cached data, which may be out of date.');
+            } else {
+                this.showError(error.cancelled
+                    ? 'Download cancelled. Refresh to load data.'
+                    : 'Failed to load data. Please try again.');
+            }
         } finally {
-            Utils.hideLoading();
+            if (API.isCurrent(signal)) {
+                Utils.hideLoading();
+                Utils.hideProgress();
+            }
+        }
+    },
+
+    /**
+     * Show imported rows for the current date range and amount in place of fetched data
+     */
+    renderImported() {
+        // Server-side totals need the server
+        if (Filters.state.dataMode === 'aggregate') {
+            Filters.state.dataMode = 'records';
+            Filters.syncUI();
+        }
+        
+        const baselineParams = Filters.getBaselineParams();
+        this.baselineData = baselineParams ? API.processData(Importer.getRows(baselineParams)) : null;
+        this.rawData = this.resolvePeriods(API.processData(Importer.getRows(Filters.getApiParams())));
+        
+        Utils.hideLoading();
+        Utils.hideProgress();
+        this.setData(this.rawData);
+    },
+
+    /**
+     * Fetch and process one period (records through the cache, or server-side totals)
+     */
+    async fetchPeriod(params) {
+        if (params.dataMode === 'aggregate') {
+            return API.fetchAggregates(params);
+        }
+        return API.processData(await RecordCache.load(params));
+    },
+
+    /**
+     * Resolve vendor entities across both periods so names line up when comparing,
+     * then index both for full-text search under their final canonical names
+     */
+    resolvePeriods(records) {
+        if (this.baselineData) {
+            Entities.resolve([...records, ...this.baselineData]);
+            SearchIndex.build(this.baselineData);
+        }
+        SearchIndex.build(records);
+        return records;
+    },
+
+    /**
+     * Replace loaded data and re-render
+     */
+    setData(data) {
+        this.rawData = data;
+        
+        // Run red-flag rules
+        Flags.apply(this.rawData);
+        if (this.baselineData) {
+            Flags.apply(this.baselineData);
+        }
+        
+        // Report awards that are new for any watch (imported files are not new awards)
+        if (!Importer.active) {
+            Watchlists.check(this.rawData);
+        }
+        
+        // Update filter dropdowns with available options
+        const options = API.getFilterOptions(this.rawData);
+        Filters.populateDropdowns(options);
+        Flags.renderFacet();
+        
+        // Re-initialize charts (in case they were destroyed by empty state)
+        SankeyChart.init();
+        
+        // Apply client-side filters and render
+        this.applyClientFilters();
+        
+        // Keep an open profile in sync with the new data
+        if (ProfilePanel.current) {
+            ProfilePanel.render();
         }
     },
 
@@ -139,13 +324,22 @@ const App = {
     applyClientFilters() {
         // Apply filters to raw data
         this.filteredData = Filters.applyFilters(this.rawData);
+        this.baselineFiltered = this.baselineData ? Filters.applyFilters(this.baselineData) : null;
+        this.drillData = null;
         
-        // Update stats
+        // Update stats (aggregate rows carry their own contract count)
         const totalAmount = this.filteredData.reduce((sum, r) => sum + (r.contract_amount || 0), 0);
-        Utils.updateStats(this.filteredData.length, totalAmount);
+        const totalContracts = this.filteredData.reduce((sum, r) => sum + (r.contract_count || 1), 0);
+        Utils.updateStats(totalContracts, totalAmount);
+        
+        // Facet counts follow the other filters
+        Facets.render();
         
         // Render active view
         this.renderActiveView();
+        
+        // Keep the URL in sync with the view
+        Permalink.update();
     },
 
     /**
@@ -156,6 +350,72 @@ const App = {
             SankeyChart.render(this.filteredData);
         } else if (this.activeTab === 'matrix') {
             MatrixChart.render(this.filteredData);
+        } else if (this.activeTab === 'network') {
+            NetworkChart.render(this.filteredData);
+        } else if (this.activeTab === 'map') {
+            MapChart.render(Filters.applyFilters(this.rawData, { skipLocations: true }));
+        } else if (this.activeTab === 'metrics') {
+            MetricsPanel.render(this.filteredData);
+        } else if (this.activeTab === 'timeseries') {
+            TimeSeriesChart.render(this.filteredData);
+        } else if (this.activeTab === 'changes') {
+            Changelog.render();
+        } else if (this.activeTab === 'records') {
+            if (this.drillData) {
+                RecordsTable.render(this.drillData.records, this.drillData.context);
+            } else if (Filters.state.dataMode === 'aggregate') {
+                RecordsTable.render(this.filteredData,
+                    'Server-side totals. Click a Sankey flow or matrix cell to load its contracts.');
+            } else {
+                RecordsTable.render(this.filteredData);
+            }
+        }
+    },
+
+    /**
+     * Show a subset of records in the Records tab
+     */
+    showRecords(records, context) {
+        this.drillData = { records, context };
+        this.setActiveTab('records');
+        this.renderActiveView();
+    },
+
+    /**
+     * Show the contracts behind a vendor/agency pair in the Records tab
+     * In aggregate mode the raw rows are fetched on demand
+     * Pass baseline = true for the pair's contracts in the baseline period
+     */
+    async drillDown(vendor, agency, baseline = false) {
+        let signal = null;
+        try {
+            let records;
+            if (Filters.state.dataMode === 'aggregate') {
+                const params = baseline ? Filters.getBaselineParams() : Filters.getApiParams();
+                signal = API.startDrillDown();
+                const result = await API.fetchPairRecords({ ...params, signal }, vendor, agency);
+                records = result.rows;
+                if (result.partialError) {
+                    Utils.showNotice(`${API.describeError(result.partialError)}, so only some of this pair's contracts were loaded.`);
+                } else if (result.truncated) {
+                    Utils.showNotice(`Showing the ${Utils.formatNumber(records.length)} largest of this pair's contracts (download limit reached).`);
+                }
+            } else {
+                records = (baseline ? this.baselineFiltered : this.filteredData).filter(r =>
+                    r.vendor_name === vendor && r.agency_name === agency
+                );
+            }
+            
+            this.showRecords(records, `${vendor} → ${agency}${baseline ? ' (baseline period)' : ''}`);
+        } catch (error) {
+            if (!API.isCurrent(signal)) return;
+            
+            console.error('Error fetching contracts:', error);
+            Utils.showNotice(error.cancelled
+                ? 'Download cancelled.'
+                : 'Failed to load contracts for this pair. Please try again.');
+        } finally {
+            if (signal && API.isCurrent(signal)) Utils.hideProgress();
         }
     },
 
@@ -163,7 +423,7 @@ const App = {
      * Show error message
      */
     showError(message) {
-        const container = document.querySelector('.tab-pane.active .chart, .tab-pane.active .matrix');
+        const container = document.querySelector('.tab-pane.active .chart, .tab-pane.active .matrix, .tab-pane.active .records');
         if (container) {
             container.innerHTML = `
                 <div class="empty-state">
@@ -0,0 +1,451 @@
+/**
+ * Record cache module - persists fetched records in IndexedDB
+ * so only missing date windows are downloaded
+ */
+
+const RecordCache = {
+    DB_NAME: 'crol-explorer',
+    DB_VERSION: 2,
+    // Minutes subtracted from sync times when asking the server for updated rows (clock differences)
+    CLOCK_MARGIN_MINUTES: 60,
+    // Days a downloaded window counts as covered before it is downloaded again
+    WINDOW_MAX_AGE_DAYS: 7,
+    db: null,
+    // Error from the last load's cache writes (the downloaded rows were still returned), or null
+    writeError: null,
+
+    /**
+     * Open the database (resolves to null when IndexedDB is unavailable)
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') return null;
+        
+        this.db = await new Promise((resolve) => {
+            const request = indexedDB.open(this.getDbName(), this.DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const records = db.createObjectStore('records', { keyPath: 'cache_key' });
+                    records.createIndex('start_date', 'start_date');
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (event.oldVersion < 2) {
+                    // Record change history, and PIN lookups for re-issued notices
+                    request.transaction.objectStore('records').createIndex('pin', 'pin');
+                    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    history.createIndex('cache_key', 'cache_key');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, caching disabled:', request.error);
+                resolve(null);
+            };
+        });
+        
+        return this.db;
+    },
+
+    /**
+     * Database name for the configured endpoint (each endpoint caches separately)
+     */
+    getDbName() {
+        return Settings.isDefaultEndpoint() ? this.DB_NAME : `${this.DB_NAME}:${Settings.getBaseUrl()}`;
+    },
+
+    /**
+     * Close the database so the next access opens the one for the current endpoint
+     */
+    reset() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.updateStatus();
+    },
+
+    /**
+     * Run a request against an object store and resolve with its result
+     */
+    async run(storeName, mode, fn) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = () => reject(tx.error);
+            // Quota errors abort the transaction without an error event
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Initialize cache controls
+     */
+    init() {
+        document.getElementById('clear-cache').addEventListener('click', async () => {
+            await this.clear();
+            Utils.showNotice('Offline cache cleared. Data will be downloaded again on the next refresh.');
+        });
+        
+        this.updateStatus();
+    },
+
+    /**
+     * Load records for params, downloading only what the cache is missing
+     * onCached is called first with any cached records so they can be shown immediately
+     * Pass revalidate = true to also re-download cached rows the server updated since their sync
+     * (by the :updated_at system field) and detect amendments
+     * Returns raw API records
+     */
+    async load(params, onCached, revalidate = false) {
+        this.writeError = null;
+        
+        // Query results only cover part of each window, so they bypass the cache
+        const db = await this.open();
+        if (!db || params.where) {
+            return API.fetchAllRaw(params);
+        }
+        
+        const cached = await this.read(params);
+        if (cached.length > 0 && onCached) {
+            onCached(cached);
+        }
+        
+        // Missing windows are downloaded whole; on refresh, covered ones only for rows updated since
+        const downloads = (await this.getMissingWindows(params))
+            .map(([startDate, endDate]) => ({ range: { startDate, endDate }, covers: [[startDate, endDate]] }));
+        const recheck = revalidate ? await this.getRecheck(params) : null;
+        if (recheck) {
+            downloads.push({ range: { updatedSince: recheck.since }, covers: recheck.windows, recheck: true });
+        }
+        if (downloads.length === 0) {
+            API.truncated = false;
+            API.partialError = null;
+            return cached;
+        }
+        
+        // One sync id per load so windows fetched together are not compared with each other
+        const syncId = new Date().toISOString();
+        let truncated = false;
+        let partialError = null;
+        const fetched = [];
+        for (const download of downloads) {
+            let rows;
+            try {
+                rows = await API.fetchAllRaw({ ...params, ...download.range }, cached.length === 0);
+            } catch (error) {
+                // Servers without the :updated_at system field reject the re-check; windows still expire
+                if (download.recheck && error.status === 400) {
+                    console.warn('Server cannot filter by :updated_at, skipping the re-check:', error);
+                    continue;
+                }
+                throw error;
+            }
+            const interrupted = API.partialError;
+            fetched.push(...rows);
+            
+            // A truncated or interrupted download does not fully cover its window
+            if (API.truncated) {
+                truncated = true;
+            }
+            try {
+                await this.store(rows, syncId);
+                if (!interrupted && !API.truncated) {
+                    for (const [startDate, endDate] of download.covers) {
+                        await this.addWindow(params.minAmount, startDate, endDate, syncId);
+                    }
+                }
+            } catch (error) {
+                // Storage full or blocked: keep the downloaded rows for this view
+                console.error('Could not write to the offline cache:', error);
+                this.writeError = this.writeError || error;
+            }
+            if (interrupted) {
+                partialError = interrupted;
+                break;
+            }
+        }
+        API.truncated = truncated;
+        API.partialError = partialError;
+        
+        if (!this.writeError) {
+            await this.run('meta', 'readwrite', store => store.put({ key: 'lastSync', value: syncId }))
+                .catch(error => console.warn('Could not save the sync time:', error));
+        }
+        this.updateStatus();
+        
+        if (!this.writeError) {
+            return this.read(params);
+        }
+        
+        // Rows that could not be stored are only in memory
+        const byKey = new Map(cached.map(row => [this.getKey(row), row]));
+        fetched.forEach(row => byKey.set(this.getKey(row), row));
+        return Array.from(byKey.values());
+    },
+
+    /**
+     * Read cached records matching params
+     */
+    async read(params) {
+        const { startDate, minAmount = 0 } = params;
+        const endDate = params.endDate || Utils.getToday();
+        const lower = startDate || '';
+        
+        const rows = await this.run('records', 'readonly', store =>
+            store.index('start_date').getAll(IDBKeyRange.bound(lower, `${endDate}\uffff`))
+        );
+        
+        return (rows || []).filter(r =>
+            r.vendor_name && (parseFloat(r.contract_amount) || 0) > minAmount
+        );
+    },
+
+    /**
+     * Covered parts of params to re-check on refresh, and the time to ask for updates since
+     * (the oldest sync among the covering windows, less CLOCK_MARGIN_MINUTES)
+     * Returns { since, windows: [[startDate, endDate]] }, or null when nothing in params is cached
+     */
+    async getRecheck(params) {
+        const { minAmount = 0 } = params;
+        const start = params.startDate || '1900-01-01';
+        const end = params.endDate || Utils.getToday();
+        const expired = this.getExpiry();
+        
+        const meta = await this.run('meta', 'readonly', store => store.get('windows'));
+        const windows = ((meta && meta.value) || [])
+            .filter(w => w.minAmount <= minAmount && w.synced && w.synced > expired && w.start <= end && w.end >= start);
+        if (windows.length === 0) return null;
+        
+        const oldest = windows.map(w => w.synced).sort()[0];
+        return {
+            since: new Date(Date.parse(oldest) - this.CLOCK_MARGIN_MINUTES * 60000).toISOString(),
+            windows: windows.map(w => [w.start > start ? w.start : start, w.end < end ? w.end : end])
+        };
+    },
+
+    /**
+     * Save raw records keyed by request_id
+     * Records that were cached before are diffed first and changes are added to the history store
+     */
+    async store(rows, syncId = new Date().toISOString()) {
+        if (rows.length === 0) return;
+        
+        const db = await this.open();
+        if (!db) return;
+        
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(['records', 'history'], 'readwrite');
+            const records = tx.objectStore('records');
+            const history = tx.objectStore('history');
+            
+            const save = (row, key, previous, match) => {
+                const changes = previous ? Changelog.diff(previous, row, match) : [];
+                if (changes.length > 0) {
+                    history.add(Changelog.createEntry(key, row, previous, changes, match, syncId));
+                }
+                // first_synced stays at the sync that first downloaded this request_id
+                const firstSynced = match === 'request_id' && previous ? previous.first_synced || previous.synced : syncId;
+                records.put({ ...row, cache_key: key, synced: syncId, first_synced: firstSynced });
+            };
+            
+            rows.forEach(row => {
+                const key = this.getKey(row);
+                const request = records.get(key);
+                request.onsuccess = () => {
+                    if (request.result || !row.pin) {
+                        save(row, key, request.result, 'request_id');
+                        return;
+                    }
+                    
+                    // A new request_id under a PIN seen in an earlier sync may be a re-issued notice.
+                    // Only notices of the same type are compared (a solicitation has no vendor to
+                    // compare with its award), never with rows of this sync, and always older -> newer
+                    const byPin = records.index('pin').getAll(row.pin);
+                    byPin.onsuccess = () => {
+                        const date = row.start_date || '';
+                        const others = byPin.result.filter(r => r.synced !== syncId && r.cache_key !== key &&
+                            (r.type_of_notice_description || '') === (row.type_of_notice_description || ''));
+                        const earlier = others
+                            .filter(r => (r.start_date || '') <= date)
+                            .sort((a, b) => (b.start_date || '').localeCompare(a.start_date || ''))[0];
+                        if (earlier) {
+                            save(row, key, earlier, 'pin');
+                            return;
+                        }
+                        
+                        // An older notice downloaded late (a widened date range) is compared with the next one
+                        const later = others.sort((a, b) => (a.start_date || '').localeCompare(b.start_date || ''))[0];
+                        const changes = later ? Changelog.diff(row, later, 'pin') : [];
+                        if (changes.length > 0) {
+                            history.add(Changelog.createEntry(later.cache_key, later, row, changes, 'pin', syncId));
+                        }
+                        save(row, key, null, 'pin');
+                    };
+                };
+            });
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Read the change history, newest first
+     */
+    async readHistory() {
+        const rows = await this.run('history', 'readonly', store => store.getAll());
+        return (rows || []).sort((a, b) => b.id - a.id);
+    },
+
+    /**
+     * Cache key for a record (request_id, or a composite when it is missing)
+     */
+    getKey(row) {
+        return row.request_id ||
+            [row.pin, row.start_date, row.vendor_name, row.agency_name, row.contract_amount].join('|');
+    },
+
+    /**
+     * Get date windows in params not yet covered by the cache
+     * Returns [[startDate, endDate], ...]
+     */
+    async getMissingWindows(params) {
+        const { minAmount = 0 } = params;
+        const start = params.startDate || '1900-01-01';
+        const end = params.endDate || Utils.getToday();
+        
+        // Windows synced too long ago are downloaded again to pick up amended and late records
+        const expired = this.getExpiry();
+        
+        const meta = await this.run('meta', 'readonly', store => store.get('windows'));
+        const windows = ((meta && meta.value) || [])
+            .filter(w => w.minAmount <= minAmount && w.synced && w.synced > expired)
+            .map(w => [w.start, w.end])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        
+        const missing = [];
+        let cursor = start;
+        
+        windows.forEach(([wStart, wEnd]) => {
+            if (cursor > end || wEnd < cursor) return;
+            if (wStart > cursor) {
+                missing.push([cursor, wStart <= end ? this.addDays(wStart, -1) : end]);
+            }
+            cursor = wEnd >= cursor ? this.addDays(wEnd, 1) : cursor;
+        });
+        
+        if (cursor <= end) {
+            missing.push([cursor, end]);
+        }
+        
+        return missing;
+    },
+
+    /**
+     * Sync time before which a covered window has expired
+     */
+    getExpiry() {
+        return new Date(Date.now() - this.WINDOW_MAX_AGE_DAYS * 86400000).toISOString();
+    },
+
+    /**
+     * Record a downloaded window as covered as of synced
+     * Coverage stops the day before the sync so later notices from that day are fetched again
+     */
+    async addWindow(minAmount = 0, start, end, synced = new Date().toISOString()) {
+        const lastCovered = this.addDays(Utils.getToday(), -1);
+        const coveredEnd = end < lastCovered ? end : lastCovered;
+        if (coveredEnd < start) return;
+        
+        // Expired windows are dropped, and older windows give up the range downloaded again
+        const expired = this.getExpiry();
+        const meta = await this.run('meta', 'readonly', store => store.get('windows'));
+        const windows = ((meta && meta.value) || [])
+            .filter(w => w.synced && w.synced > expired)
+            .flatMap(w => {
+                if (w.minAmount !== minAmount || w.end < start || w.start > coveredEnd) return [w];
+                return [
+                    ...(w.start < start ? [{ ...w, end: this.addDays(start, -1) }] : []),
+                    ...(w.end > coveredEnd ? [{ ...w, start: this.addDays(coveredEnd, 1) }] : [])
+                ];
+            });
+        windows.push({ minAmount, start, end: coveredEnd, synced });
+        
+        await this.run('meta', 'readwrite', store => store.put({ key: 'windows', value: this.mergeWindows(windows) }));
+    },
+
+    /**
+     * Merge overlapping or adjacent windows with the same minimum amount and sync time
+     */
+    mergeWindows(windows) {
+        const merged = [];
+        
+        [...windows]
+            .sort((a, b) => (a.minAmount - b.minAmount) || a.synced.localeCompare(b.synced) || a.start.localeCompare(b.start))
+            .forEach(w => {
+                const last = merged[merged.length - 1];
+                if (last && last.minAmount === w.minAmount && last.synced === w.synced && w.start <= this.addDays(last.end, 1)) {
+                    if (w.end > last.end) last.end = w.end;
+                } else {
+                    merged.push({ ...w });
+                }
+            });
+        
+        return merged;
+    },
+
+    /**
+     * Add days to a YYYY-MM-DD date string
+     */
+    addDays(dateStr, days) {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    },
+
+    /**
+     * Delete all cached records and coverage
+     */
+    async clear() {
+        await this.run('records', 'readwrite', store => store.clear());
+        await this.run('meta', 'readwrite', store => store.clear());
+        this.updateStatus();
+    },
+
+    /**
+     * Delete the record change history
+     */
+    async clearHistory() {
+        await this.run('history', 'readwrite', store => store.clear());
+    },
+
+    /**
+     * Update cache status text (never rejects, so callers need not wait for it)
+     */
+    async updateStatus() {
+        const el = document.getElementById('cache-status');
+        let count;
+        let lastSync;
+        try {
+            count = await this.run('records', 'readonly', store => store.count());
+            lastSync = await this.run('meta', 'readonly', store => store.get('lastSync'));
+        } catch (error) {
+            console.warn('Could not read offline cache status:', error);
+            count = null;
+        }
+        
+        if (count === null) {
+            el.textContent = 'Offline cache unavailable';
+        } else {
+            el.textContent = `${Utils.formatNumber(count)} cached records`;
+            el.title = lastSync ? `Last synced ${new Date(lastSync.value).toLocaleString()}` : '';
+        }
+    }
+};
@@ -0,0 +1,248 @@
+/**
+ * Changelog module - field-level changes between downloads of the same contract record
+ */
+
+const Changelog = {
+    // Fields compared when a PIN comes back under a new request_id of the same notice type
+    PIN_FIELDS: ['vendor_name', 'contract_amount'],
+    MAX_ROWS: 500,
+
+    entries: [],
+    byKey: new Map(),
+    // request_id the view is narrowed to (null shows every change)
+    filterKey: null,
+
+    /**
+     * Initialize changelog controls and load the stored history
+     */
+    init() {
+        const view = document.getElementById('changes-view');
+        
+        view.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-changes-action]');
+            if (!button) return;
+            
+            switch (button.dataset.changesAction) {
+                case 'csv':
+                case 'json':
+                    this.download(button.dataset.changesAction);
+                    break;
+                case 'all':
+                    this.filterKey = null;
+                    this.render();
+                    break;
+                case 'clear':
+                    this.clear();
+                    break;
+            }
+        });
+        
+        this.load();
+    },
+
+    /**
+     * Load the change history from the offline cache
+     */
+    async load() {
+        this.entries = await RecordCache.readHistory();
+        this.byKey = d3.group(this.entries, e => e.cache_key);
+        
+        if (App.activeTab === 'changes') {
+            this.render();
+        }
+    },
+
+    /**
+     * Compare a previously cached raw record with a newly downloaded one
+     * match is 'request_id' (same notice) or 'pin' (new notice under the same PIN)
+     * Returns [{ field, from, to }, ...]
+     */
+    diff(previous, next, match = 'request_id') {
+        const fields = match === 'pin'
+            ? this.PIN_FIELDS
+            : API.FIELDS.filter(f => f !== 'request_id');
+        
+        return fields
+            .filter(field => {
+                if (field === 'contract_amount') {
+                    return (parseFloat(previous[field]) || 0) !== (parseFloat(next[field]) || 0);
+                }
+                return (previous[field] || '').toString().trim() !== (next[field] || '').toString().trim();
+            })
+            .map(field => ({ field, from: previous[field] ?? '', to: next[field] ?? '' }));
+    },
+
+    /**
+     * Build a history entry for a changed record
+     */
+    createEntry(key, row, previous, changes, match, syncId) {
+        return {
+            cache_key: key,
+            request_id: row.request_id || '',
+            previous_request_id: match === 'pin' ? previous.request_id : row.request_id || '',
+            pin: row.pin || '',
+            vendor_name: row.vendor_name || '',
+            agency_name: row.agency_name || '',
+            match,
+            detected: syncId,
+            changes
+        };
+    },
+
+    /**
+     * Changes recorded for a record, newest first
+     */
+    getHistory(record) {
+        return this.byKey.get(RecordCache.getKey(record)) || [];
+    },
+
+    /**
+     * Show the changelog narrowed to one record
+     */
+    showRecord(key) {
+        this.filterKey = key;
+        App.switchTab('changes');
+    },
+
+    /**
+     * Reload the history after a download
+     * Returns the entries detected since the given ISO timestamp
+     */
+    async refresh(since) {
+        await this.load();
+        return this.entries.filter(e => e.detected >= since);
+    },
+
+    /**
+     * Delete the stored history
+     */
+    async clear() {
+        if (!confirm('Delete the record change history? This cannot be undone.')) return;
+        
+        await RecordCache.clearHistory();
+        this.filterKey = null;
+        await this.load();
+        this.render();
+    },
+
+    /**
+     * Format a field value for display
+     */
+    formatValue(field, value) {
+        if (value === '' || value === null || value === undefined) return '(empty)';
+        if (field === 'contract_amount') return Utils.formatCurrencyFull(parseFloat(value) || 0);
+        if (field === 'start_date' || field === 'end_date') return Utils.formatDateDisplay(value);
+        return Utils.truncate(String(value), 80);
+    },
+
+    /**
+     * Get the entries shown in the view
+     */
+    getVisibleEntries() {
+        return this.filterKey
+            ? this.entries.filter(e => e.cache_key === this.filterKey)
+            : this.entries;
+    },
+
+    /**
+     * Flatten entries into one row per changed field
+     */
+    toRows(entries) {
+        return entries.flatMap(entry => entry.changes.map(change => ({ entry, ...change })));
+    },
+
+    /**
+     * Render the changelog view
+     */
+    render() {
+        const container = document.getElementById('changes-table');
+        const entries = this.getVisibleEntries();
+        
+        document.getElementById('changes-context').textContent = this.filterKey
+            ? `History for ${this.filterKey}`
+            : `${Utils.formatNumber(entries.length)} amended records`;
+        document.getElementById('changes-show-all').style.display = this.filterKey ? '' : 'none';
+        
+        if (entries.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <path d="M12 8v4l3 3"/>
+                        <circle cx="12" cy="12" r="9" stroke-dasharray="2 2"/>
+                    </svg>
+                    <h3>No Changes Recorded</h3>
+                    <p>Changes are detected when a cached record is downloaded again with different values. The refresh button re-downloads cached records the server updated since they were synced.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const rows = this.toRows(entries);
+        const fieldLabels = new Map(RecordsTable.COLUMNS.map(c => [c.key, c.label]));
+        
+        let html = '<table class="records-table changes-table">';
+        html += `<thead><tr>
+            <th>Detected</th>
+            <th>Request ID</th>
+            <th>Vendor</th>
+            <th>Agency</th>
+            <th>Field</th>
+            <th>Before</th>
+            <th>After</th>
+        </tr></thead><tbody>`;
+        
+        rows.slice(0, this.MAX_ROWS).forEach(({ entry, field, from, to }) => {
+            const renotice = entry.match === 'pin';
+            html += `<tr>
+                <td class="date">${Utils.formatDateDisplay(entry.detected)}</td>
+                <td>
+                    <button class="link-btn" data-history="${Utils.escapeHtml(entry.cache_key)}">${Utils.escapeHtml(entry.request_id)}</button>
+                    ${renotice ? `<div class="investigation-meta" title="New notice under PIN ${Utils.escapeHtml(entry.pin)}">re-issued, was ${Utils.escapeHtml(entry.previous_request_id)}</div>` : ''}
+                </td>
+                <td title="${Utils.escapeHtml(entry.vendor_name)}">${Utils.escapeHtml(Utils.truncate(entry.vendor_name, 40))}</td>
+                <td title="${Utils.escapeHtml(entry.agency_name)}">${Utils.escapeHtml(Utils.truncate(entry.agency_name, 40))}</td>
+                <td>${Utils.escapeHtml(fieldLabels.get(field) || field)}</td>
+                <td class="change-from">${Utils.escapeHtml(this.formatValue(field, from))}</td>
+                <td class="change-to">${Utils.escapeHtml(this.formatValue(field, to))}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        if (rows.length > this.MAX_ROWS) {
+            html += `<p class="panel-empty changes-more">Showing the latest ${Utils.formatNumber(this.MAX_ROWS)} of ${Utils.formatNumber(rows.length)} changes. Export to see all.</p>`;
+        }
+        
+        container.innerHTML = html;
+        container.querySelectorAll('[data-history]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.filterKey = button.dataset.history;
+                this.render();
+            });
+        });
+    },
+
+    /**
+     * Export the visible history as CSV or JSON
+     */
+    download(format) {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) {
+            alert('There are no recorded changes to export.');
+            return;
+        }
+        
+        const filename = `nyc-contracts-changes-${this.filterKey ? `${this.filterKey}-` : ''}${Utils.getToday()}`;
+        const columns = ['detected', 'request_id', 'previous_request_id', 'pin', 'match', 'vendor_name', 'agency_name', 'field', 'from', 'to'];
+        const rows = this.toRows(entries).map(({ entry, field, from, to }) => [
+            entry.detected, entry.request_id, entry.previous_request_id, entry.pin, entry.match,
+            entry.vendor_name, entry.agency_name, field, from, to
+        ]);
+        
+        if (format === 'csv') {
+            const lines = [columns, ...rows].map(row => row.map(v => Export.escapeCsv(v)).join(','));
+            Export.saveFile(lines.join('\n'), `${filename}.csv`, 'text/csv;charset=utf-8');
+        } else {
+            Export.saveFile(JSON.stringify(entries, null, 2), `${filename}.json`, 'application/json');
+        }
+    }
+};
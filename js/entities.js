@@ -0,0 +1,519 @@
+/**
+ * Entities module - vendor name normalization and entity resolution
+ */
+
+const Entities = {
+    STORAGE_KEY: 'crol-explorer:vendor-entities',
+    SIMILARITY_THRESHOLD: 0.9,
+    MIN_FUZZY_LENGTH: 6,
+    MAX_PANEL_ENTITIES: 200,
+
+    // Trailing tokens dropped when comparing names
+    SUFFIXES: [
+        'INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY',
+        'LLC', 'LTD', 'LIMITED', 'LP', 'LLP', 'PC', 'PLLC', 'DPC'
+    ],
+
+    settings: {
+        enabled: true,
+        // Raw vendor name -> canonical name set by the user
+        aliases: {},
+        // Raw vendor names excluded from automatic clustering
+        separate: [],
+        // Similar normalized name pairs ("A|B") the user chose not to merge
+        dismissed: []
+    },
+
+    // Raw vendor name -> canonical name
+    canonicalOf: new Map(),
+    // Canonical name -> Map(raw name -> record count)
+    variantsOf: new Map(),
+    // Similar entities offered for merging: [{ id, pairs, target, names: [{ name, count }] }]
+    suggestions: [],
+
+    /**
+     * Initialize entity settings and panel
+     */
+    init() {
+        this.settings = {
+            ...this.settings,
+            ...Utils.loadLocal(this.STORAGE_KEY, {})
+        };
+        this.bindPanel();
+    },
+
+    /**
+     * Save settings to localStorage
+     */
+    save() {
+        Utils.saveLocal(this.STORAGE_KEY, this.settings);
+    },
+
+    /**
+     * Normalize a vendor name for comparison
+     * "Acme Corp." and "ACME CORPORATION INC" both become "ACME"
+     */
+    normalize(name) {
+        const tokens = (name || '')
+            .toUpperCase()
+            .replace(/&/g, ' AND ')
+            .replace(/['’]/g, '')
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+        
+        // Drop corporate suffixes, including spelled-out forms like "L L C"
+        let stripped = true;
+        while (stripped && tokens.length > 1) {
+            stripped = false;
+            for (let k = 1; k <= Math.min(4, tokens.length - 1); k++) {
+                const tail = tokens.slice(-k);
+                if ((k === 1 || tail.every(t => t.length === 1)) && this.SUFFIXES.includes(tail.join(''))) {
+                    tokens.splice(-k);
+                    stripped = true;
+                    break;
+                }
+            }
+        }
+        
+        // Join runs of single letters ("A B C" -> "ABC")
+        const words = [];
+        tokens.forEach((token, i) => {
+            if (token.length === 1 && i > 0 && tokens[i - 1].length === 1) {
+                words[words.length - 1] += token;
+            } else {
+                words.push(token);
+            }
+        });
+        
+        if (words[0] === 'THE' && words.length > 1) {
+            words.shift();
+        }
+        
+        return words.join(' ');
+    },
+
+    /**
+     * Replace vendor_name with the canonical entity name
+     * The original spelling is kept in vendor_name_raw
+     */
+    resolve(records) {
+        const counts = new Map();
+        records.forEach(record => {
+            const raw = record.vendor_name_raw || record.vendor_name;
+            if (raw) {
+                counts.set(raw, (counts.get(raw) || 0) + (record.contract_count || 1));
+            }
+        });
+        
+        this.buildMapping(counts);
+        
+        return this.apply(records);
+    },
+
+    /**
+     * Apply the current mapping without rebuilding it
+     */
+    apply(records) {
+        records.forEach(record => {
+            const raw = record.vendor_name_raw || record.vendor_name;
+            if (!raw) return;
+            record.vendor_name_raw = raw;
+            record.vendor_name = this.canonicalOf.get(raw) || raw;
+        });
+        
+        return records;
+    },
+
+    /**
+     * Build raw -> canonical mapping from raw name counts
+     */
+    buildMapping(counts) {
+        const rawNames = Array.from(counts.keys());
+        const separate = new Set(this.settings.separate);
+        
+        // Group raw names by normalized key
+        const groups = new Map();
+        rawNames.forEach(raw => {
+            const key = (!this.settings.enabled || separate.has(raw))
+                ? `raw:${raw}`
+                : this.normalize(raw);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(raw);
+        });
+        
+        // Most frequent spelling becomes the canonical name
+        this.canonicalOf = new Map();
+        groups.forEach(names => {
+            const canonical = names.reduce((best, name) =>
+                counts.get(name) > counts.get(best) ? name : best
+            );
+            names.forEach(name => this.canonicalOf.set(name, canonical));
+        });
+        
+        // User aliases always win
+        Object.entries(this.settings.aliases).forEach(([raw, canonical]) => {
+            if (counts.has(raw)) {
+                this.canonicalOf.set(raw, canonical);
+            }
+        });
+        
+        this.variantsOf = new Map();
+        this.canonicalOf.forEach((canonical, raw) => {
+            if (!this.variantsOf.has(canonical)) {
+                this.variantsOf.set(canonical, new Map());
+            }
+            this.variantsOf.get(canonical).set(raw, counts.get(raw));
+        });
+        
+        // Fuzzy matches are only suggested; a near-identical name can be a different company
+        this.suggestions = this.settings.enabled
+            ? this.buildSuggestions(Array.from(groups.keys()).filter(k => !k.startsWith('raw:')), groups)
+            : [];
+    },
+
+    /**
+     * Group similar normalized names into merge suggestions
+     * Names the user already merged or dismissed are left out
+     */
+    buildSuggestions(keys, groups) {
+        const dismissed = new Set(this.settings.dismissed);
+        const pairs = this.findSimilarKeys(keys).filter(pair => !dismissed.has(pair.join('|')));
+        
+        const parent = new Map();
+        const find = (k) => {
+            if (!parent.has(k)) parent.set(k, k);
+            while (parent.get(k) !== k) {
+                parent.set(k, parent.get(parent.get(k)));
+                k = parent.get(k);
+            }
+            return k;
+        };
+        pairs.forEach(([a, b]) => parent.set(find(b), find(a)));
+        
+        const clusters = new Map();
+        pairs.forEach(pair => {
+            const root = find(pair[0]);
+            if (!clusters.has(root)) {
+                clusters.set(root, { keys: new Set(), pairs: [] });
+            }
+            const cluster = clusters.get(root);
+            pair.forEach(key => cluster.keys.add(key));
+            cluster.pairs.push(pair.join('|'));
+        });
+        
+        const suggestions = [];
+        clusters.forEach(cluster => {
+            const canonicals = new Set();
+            cluster.keys.forEach(key => {
+                groups.get(key).forEach(raw => canonicals.add(this.canonicalOf.get(raw)));
+            });
+            if (canonicals.size < 2) return;
+            
+            const names = Array.from(canonicals)
+                .map(name => ({ name, count: d3.sum(this.variantsOf.get(name).values()) }))
+                .sort((a, b) => b.count - a.count);
+            suggestions.push({
+                id: cluster.pairs.sort().join('\n'),
+                pairs: cluster.pairs,
+                target: names[0].name,
+                names
+            });
+        });
+        
+        return suggestions.sort((a, b) => d3.sum(b.names, n => n.count) - d3.sum(a.names, n => n.count));
+    },
+
+    /**
+     * Find pairs of similar normalized keys
+     * Names whose numbers differ ("PS 21", "PS 22") are never paired
+     * Returns [[keyA, keyB]] with keyA < keyB
+     */
+    findSimilarKeys(keys) {
+        const pairs = [];
+        const numbers = key => key.split(' ').filter(token => /\d/.test(token)).sort().join(' ');
+        
+        // Compare word-order-insensitive forms within blocks sharing a prefix
+        const blocks = new Map();
+        keys.forEach(key => {
+            if (key.length < this.MIN_FUZZY_LENGTH) return;
+            const sorted = key.split(' ').sort().join(' ');
+            const block = sorted.substring(0, 3);
+            if (!blocks.has(block)) {
+                blocks.set(block, []);
+            }
+            blocks.get(block).push({ key, sorted });
+        });
+        
+        const maxLengthRatio = 1 - this.SIMILARITY_THRESHOLD;
+        blocks.forEach(items => {
+            // Sort by length so comparisons stop once lengths are too far apart
+            items.sort((a, b) => a.sorted.length - b.sorted.length);
+            for (let i = 0; i < items.length; i++) {
+                for (let j = i + 1; j < items.length; j++) {
+                    const lengthA = items[i].sorted.length;
+                    if ((items[j].sorted.length - lengthA) / items[j].sorted.length > maxLengthRatio) break;
+                    if (numbers(items[i].key) === numbers(items[j].key) &&
+                        this.similarity(items[i].sorted, items[j].sorted) >= this.SIMILARITY_THRESHOLD) {
+                        pairs.push([items[i].key, items[j].key].sort());
+                    }
+                }
+            }
+        });
+        
+        return pairs;
+    },
+
+    /**
+     * Similarity between two strings (1 - normalized Levenshtein distance)
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        const maxLength = Math.max(a.length, b.length);
+        if (Math.abs(a.length - b.length) / maxLength > 1 - this.SIMILARITY_THRESHOLD) {
+            return 0;
+        }
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        
+        return 1 - previous[b.length] / maxLength;
+    },
+
+    /**
+     * Get original spellings for a canonical vendor
+     * Returns [{ name, count }, ...]
+     */
+    getVariants(canonical) {
+        const variants = this.variantsOf.get(canonical);
+        if (!variants) return [];
+        return Array.from(variants.entries())
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * Re-resolve loaded data after settings change
+     */
+    reapply() {
+        this.save();
+        
+        if (typeof App === 'undefined' || App.rawData.length === 0) return;
+        
+        this.resolve(App.baselineData ? [...App.rawData, ...App.baselineData] : App.rawData);
+        
+        // Canonical names changed, so re-index them for search
+        SearchIndex.build(App.rawData);
+        if (App.baselineData) {
+            SearchIndex.build(App.baselineData);
+        }
+        Filters.populateDropdowns(API.getFilterOptions(App.rawData));
+        App.applyClientFilters();
+        this.renderPanel();
+    },
+
+    /**
+     * Map a raw vendor name to a canonical name
+     */
+    setAlias(raw, canonical) {
+        this.settings.aliases[raw] = canonical;
+        this.settings.separate = this.settings.separate.filter(n => n !== raw);
+        this.reapply();
+    },
+
+    /**
+     * Remove a spelling from its entity
+     */
+    split(raw) {
+        delete this.settings.aliases[raw];
+        if (!this.settings.separate.includes(raw)) {
+            this.settings.separate.push(raw);
+        }
+        this.reapply();
+    },
+
+    /**
+     * Rename an entity (aliases every spelling to the new name)
+     */
+    rename(canonical, newName) {
+        if (!newName || newName === canonical) return;
+        this.getVariants(canonical).forEach(v => {
+            this.settings.aliases[v.name] = newName;
+        });
+        this.reapply();
+    },
+
+    /**
+     * Merge the entities of a suggestion into its most frequent name
+     */
+    acceptSuggestion(id) {
+        const suggestion = this.suggestions.find(s => s.id === id);
+        if (!suggestion) return;
+        
+        suggestion.names.forEach(({ name }) => {
+            this.getVariants(name).forEach(v => {
+                this.settings.aliases[v.name] = suggestion.target;
+                this.settings.separate = this.settings.separate.filter(n => n !== v.name);
+            });
+        });
+        this.reapply();
+    },
+
+    /**
+     * Stop suggesting a merge
+     */
+    dismissSuggestion(id) {
+        const suggestion = this.suggestions.find(s => s.id === id);
+        if (!suggestion) return;
+        
+        this.settings.dismissed = [...new Set([...this.settings.dismissed, ...suggestion.pairs])];
+        this.suggestions = this.suggestions.filter(s => s !== suggestion);
+        this.save();
+        this.renderPanel();
+    },
+
+    /**
+     * Bind entity panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('entities-modal');
+        
+        document.getElementById('manage-entities').addEventListener('click', () => {
+            this.renderPanel();
+            modal.classList.add('open');
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+                return;
+            }
+            
+            const splitBtn = e.target.closest('[data-split]');
+            if (splitBtn) {
+                this.split(splitBtn.dataset.split);
+            }
+            
+            const suggestionBtn = e.target.closest('[data-suggestion]');
+            if (suggestionBtn) {
+                if (suggestionBtn.dataset.action === 'merge') {
+                    this.acceptSuggestion(suggestionBtn.dataset.suggestion);
+                } else {
+                    this.dismissSuggestion(suggestionBtn.dataset.suggestion);
+                }
+            }
+        });
+        
+        document.getElementById('entities-enabled').addEventListener('change', (e) => {
+            this.settings.enabled = e.target.checked;
+            this.reapply();
+        });
+        
+        document.getElementById('entities-search').addEventListener('input', Utils.debounce(() => {
+            this.renderPanel();
+        }, 200));
+        
+        document.getElementById('entities-list').addEventListener('change', (e) => {
+            if (e.target.dataset.rename !== undefined) {
+                this.rename(e.target.dataset.rename, e.target.value.trim());
+            }
+        });
+        
+        document.getElementById('alias-add').addEventListener('click', () => {
+            const raw = document.getElementById('alias-from').value.trim();
+            const canonical = document.getElementById('alias-to').value.trim();
+            if (raw && canonical) {
+                document.getElementById('alias-from').value = '';
+                document.getElementById('alias-to').value = '';
+                this.setAlias(raw, canonical);
+            }
+        });
+    },
+
+    /**
+     * Render merge suggestions and merged entities in the panel
+     */
+    renderPanel() {
+        document.getElementById('entities-enabled').checked = this.settings.enabled;
+        this.renderSuggestions();
+        
+        const query = document.getElementById('entities-search').value.toLowerCase();
+        const list = document.getElementById('entities-list');
+        
+        const entities = Array.from(this.variantsOf.entries())
+            .filter(([canonical, variants]) => variants.size > 1 || !variants.has(canonical))
+            .filter(([canonical, variants]) => !query ||
+                canonical.toLowerCase().includes(query) ||
+                Array.from(variants.keys()).some(v => v.toLowerCase().includes(query)))
+            .sort((a, b) => b[1].size - a[1].size);
+        
+        // Datalist of original spellings for the alias form
+        document.getElementById('entity-names').innerHTML = Array.from(this.canonicalOf.keys())
+            .slice(0, 5000)
+            .map(name => `<option value="${Utils.escapeHtml(name)}">`)
+            .join('');
+        
+        if (entities.length === 0) {
+            list.innerHTML = '<p class="panel-empty">No merged vendor names.</p>';
+            return;
+        }
+        
+        list.innerHTML = entities.slice(0, this.MAX_PANEL_ENTITIES).map(([canonical]) => `
+            <div class="entity-item">
+                <input type="text" class="entity-name" value="${Utils.escapeHtml(canonical)}"
+                    data-rename="${Utils.escapeHtml(canonical)}" title="Rename entity">
+                <ul class="entity-variants">
+                    ${this.getVariants(canonical).map(v => `
+                        <li>
+                            <span>${Utils.escapeHtml(v.name)}</span>
+                            <span class="entity-count">${Utils.formatNumber(v.count)}</span>
+                            <button class="entity-split" data-split="${Utils.escapeHtml(v.name)}" title="Split from entity">&times;</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render fuzzy matches waiting for the user to merge or dismiss them
+     */
+    renderSuggestions() {
+        const container = document.getElementById('entity-suggestions');
+        if (this.suggestions.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = `
+            <h3 class="filter-title">Suggested merges (${Utils.formatNumber(this.suggestions.length)})</h3>
+            ${this.suggestions.slice(0, this.MAX_PANEL_ENTITIES).map(suggestion => `
+                <div class="entity-item suggestion-item">
+                    <ul class="entity-variants">
+                        ${suggestion.names.map(n => `
+                            <li>
+                                <span>${Utils.escapeHtml(n.name)}</span>
+                                <span class="entity-count">${Utils.formatNumber(n.count)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <div class="investigation-actions">
+                        <button class="btn btn-primary btn-small" data-action="merge" data-suggestion="${Utils.escapeHtml(suggestion.id)}"
+                            title="Merge into ${Utils.escapeHtml(suggestion.target)}">Merge</button>
+                        <button class="btn btn-secondary btn-small" data-action="dismiss" data-suggestion="${Utils.escapeHtml(suggestion.id)}">Keep separate</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+};
@@ -0,0 +1,234 @@
+/**
+ * Export module for downloading the current filtered view
+ */
+
+const Export = {
+    DATASETS: {
+        records: 'Records',
+        flows: 'Vendor → Agency Flows',
+        matrix: 'Vendor × Agency Matrix',
+        concentration: 'Agency Concentration',
+        dependence: 'Vendor Dependence',
+        methods: 'Selection Methods'
+    },
+
+    /**
+     * Initialize export menu
+     */
+    init() {
+        const button = document.getElementById('export-btn');
+        const menu = document.getElementById('export-menu');
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('open');
+        });
+        
+        menu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const option = e.target.closest('[data-format]');
+            if (!option) return;
+            
+            menu.classList.remove('open');
+            this.download(option.dataset.dataset, option.dataset.format);
+        });
+        
+        document.addEventListener('click', () => menu.classList.remove('open'));
+    },
+
+    /**
+     * Export a dataset (a DATASETS key or 'all') in the given format
+     */
+    download(dataset, format) {
+        const data = App.filteredData;
+        
+        if (!data || data.length === 0) {
+            alert('There is no data in the current view to export.');
+            return;
+        }
+        
+        const metadata = this.getMetadata(data);
+        const tables = dataset === 'all'
+            ? Object.keys(this.DATASETS).map(key => this.buildTable(key, data))
+            : [this.buildTable(dataset, data)];
+        const filename = `nyc-contracts-${dataset}-${Utils.getToday()}`;
+        
+        if (format === 'csv') {
+            this.saveFile(this.toCsv(metadata, tables[0]), `${filename}.csv`, 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+            this.saveFile(this.toJson(metadata, tables), `${filename}.json`, 'application/json');
+        } else if (format === 'xlsx') {
+            this.saveXlsx(metadata, tables, `${filename}.xlsx`);
+        }
+    },
+
+    /**
+     * Describe where the export came from
+     * Returns [[key, value], ...]
+     */
+    getMetadata(data) {
+        const state = Filters.state;
+        const totalAmount = data.reduce((sum, r) => sum + (r.contract_amount || 0), 0);
+        const investigation = Investigations.getActive();
+        
+        return [
+            ['Source', Importer.active ? `Imported file: ${Importer.active.name}` : API.BASE_URL],
+            ['Exported At', new Date().toISOString()],
+            ['Data Fetched At', App.lastFetchTime ? App.lastFetchTime.toISOString() : ''],
+            ['Investigation', investigation ? investigation.name : ''],
+            ['Start Date', state.startDate || ''],
+            ['End Date', state.endDate || ''],
+            ['Date Preset', state.activePreset || ''],
+            ['Baseline Start', App.baselineData ? state.baselineStart : ''],
+            ['Baseline End', App.baselineData ? state.baselineEnd : ''],
+            ['Search', state.searchQuery || ''],
+            ['Query', state.query || ''],
+            ['Minimum Amount', state.minAmount],
+            ['Maximum Amount', state.maxAmount === null ? '' : state.maxAmount],
+            ['Categories', state.selectedCategories.join('; ')],
+            ['Selection Methods', state.selectedMethods.join('; ')],
+            ['Notice Types', state.selectedNotices.join('; ')],
+            ['Keywords', state.selectedKeywords.join('; ')],
+            ['Vendors', state.selectedVendors.join('; ')],
+            ['Agencies', state.selectedAgencies.join('; ')],
+            ['Vendor Locations', state.selectedLocations.map(l => MapChart.getLocationLabel(l)).join('; ')],
+            ['Sort By', state.sortBy],
+            ['Data Mode', state.dataMode],
+            ['Records', data.length],
+            ['Total Amount', totalAmount]
+        ];
+    },
+
+    /**
+     * Build a table for a dataset
+     * Returns { key, name, columns: [...], rows: [[...]] }
+     */
+    buildTable(dataset, data) {
+        const sortBy = Filters.state.sortBy;
+        
+        if (dataset === 'flows') {
+            const { links } = API.aggregateForSankey(data, sortBy);
+            return {
+                key: 'flows',
+                name: this.DATASETS.flows,
+                columns: ['vendor_name', 'agency_name', 'total_amount', 'contract_count'],
+                rows: links
+                    .sort((a, b) => b.value - a.value)
+                    .map(l => [l.vendor, l.agency, l.value, l.count])
+            };
+        }
+        
+        if (dataset === 'matrix') {
+            const matrixData = API.aggregateForMatrix(data, sortBy);
+            return {
+                key: 'matrix',
+                name: this.DATASETS.matrix,
+                columns: ['vendor_name', ...matrixData.agencies, 'total'],
+                rows: matrixData.vendors.map((vendor, i) => [
+                    vendor,
+                    ...matrixData.matrix[i].map(cell => cell.amount),
+                    matrixData.vendorTotals[i]
+                ])
+            };
+        }
+        
+        if (dataset === 'concentration' || dataset === 'dependence' || dataset === 'methods') {
+            return MetricsPanel.buildTable(dataset, data);
+        }
+        
+        const columns = [...API.FIELDS, 'vendor_name_raw', 'vendor_city', 'vendor_state', 'vendor_zip', 'vendor_borough', 'additional_info', 'flags'];
+        return {
+            key: 'records',
+            name: this.DATASETS.records,
+            columns,
+            rows: data.map(record => columns.map(col => {
+                const value = record[col];
+                if (col === 'flags') {
+                    return (value || []).map(id => Flags.getLabel(id)).join('; ');
+                }
+                return value === undefined || value === null ? '' : value;
+            }))
+        };
+    },
+
+    /**
+     * Serialize a table as CSV with a commented metadata header
+     * Each metadata line is one CSV cell (quoted when a value has commas or quotes; newlines become spaces)
+     */
+    toCsv(metadata, table) {
+        const lines = metadata.map(([key, value]) =>
+            this.escapeCsv(`# ${key}: ${String(value).replace(/\s*[\r\n]+\s*/g, ' ')}`)
+        );
+        lines.push(table.columns.map(c => this.escapeCsv(c)).join(','));
+        table.rows.forEach(row => {
+            lines.push(row.map(v => this.escapeCsv(v)).join(','));
+        });
+        return lines.join('\r\n');
+    },
+
+    /**
+     * Quote a CSV value when needed
+     * Text starting with a formula character gets a leading ' so spreadsheets do not evaluate it
+     */
+    escapeCsv(value) {
+        let str = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+            str = `'${str}`;
+        }
+        if (/[",\r\n]/.test(str)) {
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+        return str;
+    },
+
+    /**
+     * Serialize tables as JSON (rows become objects keyed by column)
+     */
+    toJson(metadata, tables) {
+        const output = { metadata: Object.fromEntries(metadata) };
+        
+        tables.forEach(table => {
+            output[table.key] = table.rows.map(row =>
+                Object.fromEntries(table.columns.map((col, i) => [col, row[i]]))
+            );
+        });
+        
+        return JSON.stringify(output, null, 2);
+    },
+
+    /**
+     * Write tables to an XLSX workbook with a Metadata sheet (uses SheetJS)
+     */
+    saveXlsx(metadata, tables, filename) {
+        if (typeof XLSX === 'undefined') {
+            alert('XLSX export is unavailable because the spreadsheet library failed to load.');
+            return;
+        }
+        
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(metadata), 'Metadata');
+        
+        tables.forEach(table => {
+            const sheet = XLSX.utils.aoa_to_sheet([table.columns, ...table.rows]);
+            // Sheet names are limited to 31 characters
+            XLSX.utils.book_append_sheet(workbook, sheet, table.name.substring(0, 31));
+        });
+        
+        XLSX.writeFile(workbook, filename);
+    },
+
+    /**
+     * Trigger a browser download for text content
+     */
+    saveFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
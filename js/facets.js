@@ -0,0 +1,324 @@
+/**
+ * Facets module - category, selection method, notice type and keyword filters with live counts,
+ * and the amount range histogram slider
+ */
+
+const Facets = {
+    // Values listed per facet until "Show all" is clicked
+    VISIBLE: 8,
+    // Keywords offered from additional_info
+    MAX_KEYWORDS: 30,
+    // Histogram bars across the (log) amount range
+    BINS: 40,
+    // Slider positions between $0 and the largest loaded amount
+    STEPS: 200,
+    // Facets showing every value
+    expanded: new Set(),
+    // additional_info text -> keywords (the same text repeats across records)
+    keywordCache: new Map(),
+    // Largest amount in the loaded data (the top of the slider)
+    maxLoaded: 1,
+    // Facet key -> Map(value -> { count, amount }) and the log amounts for the histogram, from the last render
+    counts: null,
+
+    FACETS: {
+        category: { label: 'Category', stateKey: 'selectedCategories', field: 'category_description' },
+        method: { label: 'Selection Method', stateKey: 'selectedMethods', field: 'selection_method_description' },
+        notice: { label: 'Notice Type', stateKey: 'selectedNotices', field: 'type_of_notice_description' },
+        keyword: { label: 'Keyword', stateKey: 'selectedKeywords', field: 'additional_info' }
+    },
+
+    // Words too common in additional_info to be useful keywords
+    STOPWORDS: new Set([
+        'the', 'and', 'for', 'with', 'from', 'this', 'that', 'will', 'are', 'not', 'all', 'any',
+        'per', 'other', 'info', 'information', 'contract', 'contracts', 'services', 'service',
+        'city', 'york', 'new', 'nyc', 'department', 'agency', 'vendor', 'award', 'amount',
+        'total', 'date', 'term', 'days', 'year', 'years', 'none', 'n/a', 'see', 'has', 'have',
+        'been', 'its', 'was', 'were', 'which', 'such', 'under', 'into', 'also', 'each'
+    ]),
+
+    /**
+     * Bind facet checkboxes, "Show all", the keyword input and the amount sliders
+     */
+    init() {
+        const container = document.getElementById('facet-filters');
+        
+        container.addEventListener('change', (e) => {
+            const { facet, value } = e.target.dataset;
+            if (!facet) return;
+            this.toggle(facet, value, e.target.checked);
+        });
+        
+        container.addEventListener('click', (e) => {
+            const more = e.target.closest('[data-facet-more]');
+            if (!more) return;
+            
+            const key = more.dataset.facetMore;
+            if (this.expanded.has(key)) {
+                this.expanded.delete(key);
+            } else {
+                this.expanded.add(key);
+            }
+            this.renderFacet(key);
+        });
+        
+        const keywordInput = document.getElementById('keyword-input');
+        keywordInput.addEventListener('keydown', (e) => {
+            const keyword = keywordInput.value.trim().toLowerCase();
+            if (e.key !== 'Enter' || !keyword) return;
+            
+            keywordInput.value = '';
+            this.toggle('keyword', keyword, true);
+        });
+        
+        this.bindSliders();
+    },
+
+    /**
+     * Add or remove a facet value and re-apply filters
+     */
+    toggle(key, value, selected) {
+        const stateKey = this.FACETS[key].stateKey;
+        const values = Filters.state[stateKey].filter(v => v !== value);
+        if (selected) values.push(value);
+        Filters.state[stateKey] = values;
+        App.applyClientFilters();
+    },
+
+    /**
+     * Keywords in an additional_info text (lowercase words of 4+ letters, minus stopwords)
+     */
+    getKeywords(text) {
+        if (!text) return [];
+        if (!this.keywordCache.has(text)) {
+            const words = text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || [];
+            this.keywordCache.set(text, [...new Set(words)].filter(word => !this.STOPWORDS.has(word)));
+        }
+        return this.keywordCache.get(text);
+    },
+
+    /**
+     * Facet values for a record (a record has many keywords but one value per other facet)
+     */
+    getValues(record, key) {
+        const field = this.FACETS[key].field;
+        if (key === 'keyword') return this.getKeywords(record[field]);
+        return [record[field] || 'Unknown'];
+    },
+
+    /**
+     * Whether a record has any of the selected values of a facet
+     * Typed keywords with spaces match as phrases
+     */
+    matches(record, key, selected) {
+        const values = this.getValues(record, key);
+        return selected.some(value => values.includes(value) ||
+            (key === 'keyword' && value.includes(' ') && (record.additional_info || '').toLowerCase().includes(value)));
+    },
+
+    /**
+     * Render every facet and the amount histogram for the loaded data
+     */
+    render() {
+        this.counts = this.getCounts(typeof App !== 'undefined' ? App.rawData : []);
+        Object.keys(this.FACETS).forEach(key => this.renderFacet(key));
+        this.renderHistogram();
+    },
+
+    /**
+     * Counts and sums per facet value, and log amounts, in one pass over the data
+     * A record counts toward a facet (or the histogram) when it passes every other active filter:
+     * it fails none of the facet and amount checks, or only that facet's own
+     * Returns { totals: { key: Map(value -> { count, amount }) }, logs: [log10 amount] }
+     */
+    getCounts(data) {
+        const base = Filters.applyFilters(data, { facets: false, sort: false });
+        const checks = Filters.getFacetChecks(base);
+        const totals = Object.fromEntries(Object.keys(this.FACETS).map(key => [key, new Map()]));
+        const logs = [];
+        
+        base.forEach(record => {
+            let failed = null;
+            for (const check of checks) {
+                if (check.test(record)) continue;
+                if (failed) return;
+                failed = check.key;
+            }
+            
+            Object.keys(this.FACETS).forEach(key => {
+                if (failed && failed !== key) return;
+                this.getValues(record, key).forEach(value => {
+                    const entry = totals[key].get(value) || { count: 0, amount: 0 };
+                    entry.count += 1;
+                    entry.amount += record.contract_amount || 0;
+                    totals[key].set(value, entry);
+                });
+            });
+            if (!failed || failed === 'amount') {
+                logs.push(Math.log10(Math.max(1, record.contract_amount || 0)));
+            }
+        });
+        
+        return { totals, logs };
+    },
+
+    /**
+     * Render one facet with counts and sums under every other active filter (see getCounts)
+     */
+    renderFacet(key) {
+        const facet = this.FACETS[key];
+        const container = document.querySelector(`[data-facet-list="${key}"]`);
+        const data = typeof App !== 'undefined' ? App.rawData : [];
+        const selected = Filters.state[facet.stateKey];
+        
+        if (Filters.state.dataMode === 'aggregate' || (data.length > 0 && data[0].is_aggregate)) {
+            container.innerHTML = '<p class="panel-empty">Not available for server-side totals.</p>';
+            return;
+        }
+        
+        if (!this.counts) {
+            this.counts = this.getCounts(data);
+        }
+        const totals = this.counts.totals[key];
+        
+        let values = Array.from(totals.entries());
+        if (key === 'keyword') {
+            values = values.sort((a, b) => b[1].count - a[1].count).slice(0, this.MAX_KEYWORDS);
+        } else {
+            values = values.sort((a, b) => b[1].amount - a[1].amount);
+        }
+        
+        // Selected values stay listed (first) even when nothing else matches them
+        const empty = { count: 0, amount: 0 };
+        values = [
+            ...selected.map(value => [value, totals.get(value) || empty]),
+            ...values.filter(([value]) => !selected.includes(value))
+        ];
+        
+        if (values.length === 0) {
+            container.innerHTML = `<p class="panel-empty">${data.length ? 'No values in the filtered data.' : 'Load data to see values.'}</p>`;
+            return;
+        }
+        
+        const limit = Math.max(this.VISIBLE, selected.length);
+        const shown = this.expanded.has(key) ? values : values.slice(0, limit);
+        
+        container.innerHTML = shown.map(([value, entry]) => `
+            <label class="checkbox-label facet-option" title="${Utils.escapeHtml(value)}: ${Utils.formatNumber(entry.count)} contracts, ${Utils.formatCurrencyFull(entry.amount)}">
+                <input type="checkbox" data-facet="${key}" data-value="${Utils.escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+                <span class="facet-label">${Utils.escapeHtml(Utils.truncate(value, 28))}</span>
+                <span class="facet-count">${Utils.formatNumber(entry.count)} · ${Utils.formatCurrency(entry.amount)}</span>
+            </label>
+        `).join('') + (values.length > limit
+            ? `<button class="link-btn" data-facet-more="${key}">${this.expanded.has(key) ? 'Show fewer' : `Show all ${Utils.formatNumber(values.length)}`}</button>`
+            : '');
+    },
+
+    /**
+     * Slider position (0..STEPS) -> amount on a log scale ($0 at the left end)
+     */
+    toAmount(step) {
+        if (step <= 0) return 0;
+        return Number(Math.pow(10, step / this.STEPS * Math.log10(this.maxLoaded)).toPrecision(2));
+    },
+
+    /**
+     * Amount -> slider position
+     */
+    toStep(amount) {
+        if (!amount || amount <= 1) return 0;
+        return Math.min(this.STEPS, Math.round(Math.log10(amount) / Math.log10(this.maxLoaded) * this.STEPS));
+    },
+
+    /**
+     * Bind the two range sliders over the histogram
+     */
+    bindSliders() {
+        const minSlider = document.getElementById('amount-slider-min');
+        const maxSlider = document.getElementById('amount-slider-max');
+        const apply = Utils.debounce(() => App.applyClientFilters(), 200);
+        
+        [minSlider, maxSlider].forEach(slider => {
+            slider.max = this.STEPS;
+            slider.addEventListener('input', () => {
+                // Keep the thumbs from crossing
+                if (parseInt(minSlider.value) > parseInt(maxSlider.value)) {
+                    if (slider === minSlider) {
+                        minSlider.value = maxSlider.value;
+                    } else {
+                        maxSlider.value = minSlider.value;
+                    }
+                }
+                
+                Filters.state.minAmount = this.toAmount(parseInt(minSlider.value));
+                Filters.state.maxAmount = parseInt(maxSlider.value) >= this.STEPS
+                    ? null
+                    : this.toAmount(parseInt(maxSlider.value));
+                this.syncAmountInputs();
+                this.highlightBins();
+                apply();
+            });
+        });
+    },
+
+    /**
+     * Match the number inputs and sliders to the amount range in the filter state
+     */
+    syncAmountInputs() {
+        const { minAmount, maxAmount } = Filters.state;
+        document.getElementById('min-amount').value = String(minAmount);
+        document.getElementById('max-amount').value = maxAmount === null ? '' : String(maxAmount);
+        document.getElementById('amount-slider-min').value = this.toStep(minAmount);
+        document.getElementById('amount-slider-max').value = maxAmount === null ? this.STEPS : this.toStep(maxAmount);
+        document.getElementById('amount-range-label').textContent =
+            `${Utils.formatCurrency(minAmount)} – ${maxAmount === null ? 'any' : Utils.formatCurrency(maxAmount)}`;
+    },
+
+    /**
+     * Draw a histogram of amounts (log scale) under every other active filter
+     */
+    renderHistogram() {
+        const container = document.getElementById('amount-histogram');
+        const data = typeof App !== 'undefined' ? App.rawData : [];
+        this.maxLoaded = Math.max(10, d3.max(data, r => r.contract_amount || 0) || 0);
+        
+        const logs = (this.counts || this.getCounts(data)).logs;
+        const logMax = Math.log10(this.maxLoaded);
+        const bins = d3.bin()
+            .domain([0, logMax])
+            .thresholds(d3.range(1, this.BINS).map(i => i / this.BINS * logMax))(logs);
+        
+        const width = 240;
+        const height = 48;
+        const x = d3.scaleLinear().domain([0, logMax]).range([0, width]);
+        const y = d3.scaleSqrt().domain([0, d3.max(bins, b => b.length) || 1]).range([0, height]);
+        
+        container.innerHTML = '';
+        d3.select(container)
+            .append('svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'none')
+            .selectAll('rect')
+            .data(bins)
+            .join('rect')
+            .attr('class', 'amount-bin')
+            .attr('x', b => x(b.x0))
+            .attr('width', b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+            .attr('y', b => height - y(b.length))
+            .attr('height', b => y(b.length))
+            .append('title')
+            .text(b => `${Utils.formatCurrency(Math.pow(10, b.x0))} – ${Utils.formatCurrency(Math.pow(10, b.x1))}: ${Utils.formatNumber(b.length)} contracts`);
+        
+        this.syncAmountInputs();
+        this.highlightBins();
+    },
+
+    /**
+     * Shade the histogram bars inside the selected amount range
+     */
+    highlightBins() {
+        const { minAmount, maxAmount } = Filters.state;
+        d3.selectAll('#amount-histogram .amount-bin')
+            .classed('in-range', b => Math.pow(10, b.x1) > minAmount && (maxAmount === null || Math.pow(10, b.x0) <= maxAmount));
+    }
+};
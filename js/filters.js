@@ -8,22 +8,47 @@ const Filters = {
         endDate: null,
         searchQuery: '',
         minAmount: 0,
+        // Upper end of the amount range (null for no limit; client-side only)
+        maxAmount: null,
         selectedVendors: [],
         selectedAgencies: [],
         sortBy: 'amount-desc',
-        activePreset: null
+        activePreset: null,
+        dataMode: 'records',
+        selectedFlags: [],
+        // Facet selections (see Facets.FACETS)
+        selectedCategories: [],
+        selectedMethods: [],
+        selectedNotices: [],
+        selectedKeywords: [],
+        // Vendor locations as "level:value" ("borough:Brooklyn", "state:NJ", "zip:10001")
+        selectedLocations: [],
+        query: '',
+        queryServer: false,
+        compare: false,
+        baselineStart: null,
+        baselineEnd: null,
+        baselinePreset: null
     },
 
+    // Values the sort, data mode and preset controls offer
+    SORT_OPTIONS: ['amount-desc', 'amount-asc', 'count-desc', 'count-asc', 'name-asc', 'name-desc'],
+    DATA_MODES: ['records', 'aggregate'],
+    DATE_PRESETS: ['today', 'week', 'month', '30days'],
+    BASELINE_PRESETS: ['previous', 'year'],
+
     /**
      * Initialize filter controls
      */
     init() {
         this.bindDatePresets();
         this.bindDateInputs();
+        this.bindCompare();
         this.bindSearch();
         this.bindAmountFilter();
         this.bindDropdowns();
         this.bindSortBy();
+        this.bindDataMode();
         this.bindButtons();
         
         // Set initial end date to today
@@ -35,7 +60,7 @@ const Filters = {
      * Bind date preset buttons
      */
     bindDatePresets() {
-        const presetBtns = document.querySelectorAll('.preset-btn');
+        const presetBtns = document.querySelectorAll('.preset-btn[data-preset]');
         
         presetBtns.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -51,9 +76,9 @@ const Filters = {
     },
 
     /**
-     * Apply date preset
+     * Get [startDate, endDate] for a date preset
      */
-    applyPreset(preset) {
+    getPresetRange(preset) {
         const endDate = Utils.getToday();
         let startDate;
         
@@ -74,12 +99,22 @@ const Filters = {
                 startDate = '2026-01-01';
         }
         
+        return [startDate, endDate];
+    },
+
+    /**
+     * Apply date preset
+     */
+    applyPreset(preset) {
+        const [startDate, endDate] = this.getPresetRange(preset);
+        
         this.state.startDate = startDate;
         this.state.endDate = endDate;
         
         // Update date inputs
         document.getElementById('start-date').value = startDate;
         document.getElementById('end-date').value = endDate;
+        this.updateBaseline();
     },
 
     /**
@@ -92,11 +127,88 @@ const Filters = {
         startInput.addEventListener('change', () => {
             this.state.startDate = startInput.value;
             this.clearPresetActive();
+            this.updateBaseline();
         });
         
         endInput.addEventListener('change', () => {
             this.state.endDate = endInput.value;
             this.clearPresetActive();
+            this.updateBaseline();
+        });
+    },
+
+    /**
+     * Bind compare toggle, baseline presets and baseline dates (applied on next fetch)
+     */
+    bindCompare() {
+        const toggle = document.getElementById('compare-toggle');
+        const startInput = document.getElementById('baseline-start');
+        const endInput = document.getElementById('baseline-end');
+        
+        toggle.addEventListener('change', () => {
+            this.state.compare = toggle.checked;
+            this.updateBaseline();
+        });
+        
+        document.querySelectorAll('.preset-btn[data-baseline]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.state.baselinePreset = btn.dataset.baseline;
+                this.updateBaseline();
+            });
+        });
+        
+        [startInput, endInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.state.baselineStart = startInput.value || null;
+                this.state.baselineEnd = endInput.value || null;
+                this.state.baselinePreset = null;
+                this.updateBaseline();
+            });
+        });
+    },
+
+    /**
+     * Get [startDate, endDate] of the baseline for the primary range
+     * 'previous' is the same number of days just before; 'year' is the same dates a year earlier
+     */
+    getBaselineRange(preset) {
+        const toDate = (value) => new Date(`${value}T00:00:00Z`);
+        const format = (date) => date.toISOString().split('T')[0];
+        const start = toDate(this.state.startDate);
+        const end = toDate(this.state.endDate || Utils.getToday());
+        
+        if (preset === 'previous') {
+            const days = Math.round((end - start) / 86400000) + 1;
+            const baselineEnd = new Date(start);
+            baselineEnd.setUTCDate(baselineEnd.getUTCDate() - 1);
+            const baselineStart = new Date(start);
+            baselineStart.setUTCDate(baselineStart.getUTCDate() - days);
+            return [format(baselineStart), format(baselineEnd)];
+        }
+        
+        start.setUTCFullYear(start.getUTCFullYear() - 1);
+        end.setUTCFullYear(end.getUTCFullYear() - 1);
+        return [format(start), format(end)];
+    },
+
+    /**
+     * Recompute baseline dates from the active baseline preset and update its controls
+     */
+    updateBaseline() {
+        if (this.state.compare && this.state.baselinePreset && this.state.startDate) {
+            [this.state.baselineStart, this.state.baselineEnd] = this.getBaselineRange(this.state.baselinePreset);
+        } else if (this.state.compare && !this.state.baselineStart && this.state.startDate) {
+            // Default to the same period a year earlier
+            this.state.baselinePreset = 'year';
+            [this.state.baselineStart, this.state.baselineEnd] = this.getBaselineRange('year');
+        }
+        
+        document.getElementById('compare-toggle').checked = this.state.compare;
+        document.getElementById('compare-inputs').classList.toggle('open', this.state.compare);
+        document.getElementById('baseline-start').value = this.state.baselineStart || '';
+        document.getElementById('baseline-end').value = this.state.baselineEnd || '';
+        document.querySelectorAll('.preset-btn[data-baseline]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.baseline === this.state.baselinePreset);
         });
     },
 
@@ -104,7 +216,7 @@ const Filters = {
      * Clear active preset button
      */
     clearPresetActive() {
-        document.querySelectorAll('.preset-btn').forEach(btn => {
+        document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
             btn.classList.remove('active');
         });
         this.state.activePreset = null;
@@ -126,17 +238,126 @@ const Filters = {
         
         searchInput.addEventListener('input', (e) => {
             debouncedSearch(e.target.value);
+            this.renderSearchResults(e.target.value);
         });
+        
+        this.bindSearchResults();
     },
 
     /**
-     * Bind amount filter
+     * Bind search result dropdown (opens entity profiles or lists matching contracts)
+     */
+    bindSearchResults() {
+        const searchInput = document.getElementById('global-search');
+        const results = document.getElementById('search-results');
+        
+        results.addEventListener('mousedown', (e) => {
+            // mousedown fires before the input loses focus
+            const profile = e.target.closest('[data-profile-type]');
+            const contract = e.target.closest('[data-search-record]');
+            const all = e.target.closest('[data-search-all]');
+            if (!profile && !contract && !all) return;
+            
+            e.preventDefault();
+            results.classList.remove('open');
+            if (profile) {
+                ProfilePanel.open(profile.dataset.profileType, profile.dataset.profileName);
+            } else if (contract) {
+                const record = this.searchMatches[parseInt(contract.dataset.searchRecord)];
+                App.showRecords([record], record.short_title || record.request_id);
+            } else {
+                this.state.searchQuery = searchInput.value;
+                App.applyClientFilters();
+                App.switchTab('records');
+            }
+        });
+        
+        searchInput.addEventListener('focus', () => this.renderSearchResults(searchInput.value));
+        searchInput.addEventListener('blur', () => results.classList.remove('open'));
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') results.classList.remove('open');
+        });
+    },
+
+    /**
+     * Render ranked vendors, agencies and contracts under the search box
+     */
+    renderSearchResults(query) {
+        const results = document.getElementById('search-results');
+        const records = typeof App !== 'undefined' ? App.rawData : [];
+        
+        if (query.trim().length < 2 || !this.options || !SearchIndex.parse(query)) {
+            results.classList.remove('open');
+            return;
+        }
+        
+        const rank = names => names
+            .map(name => [name, SearchIndex.scoreText(name, query)])
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([name]) => name);
+        
+        // Server-side totals have no individual contracts to list
+        const scores = SearchIndex.search(records, query);
+        const contracts = records.length > 0 && records[0].is_aggregate
+            ? []
+            : Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+        this.searchMatches = contracts.slice(0, 5).map(([record]) => record);
+        
+        const groups = [
+            ['vendor', 'Vendors', rank(this.options.vendors)],
+            ['agency', 'Agencies', rank(this.options.agencies)]
+        ].filter(([, , matches]) => matches.length > 0);
+        
+        if (groups.length === 0 && contracts.length === 0) {
+            results.classList.remove('open');
+            return;
+        }
+        
+        results.innerHTML = groups.map(([type, label, matches]) => `
+            <div class="search-group">${label}</div>
+            ${matches.map(name => `
+                <div class="search-result" data-profile-type="${type}" data-profile-name="${Utils.escapeHtml(name)}">
+                    ${SearchIndex.highlight(name, 40, query)}
+                </div>
+            `).join('')}
+        `).join('') + (contracts.length ? `
+            <div class="search-group">Contracts</div>
+            ${this.searchMatches.map((record, i) => `
+                <div class="search-result" data-search-record="${i}">
+                    ${SearchIndex.highlight(record.short_title || record.request_id, 50, query)}
+                    <div class="search-result-meta">
+                        ${SearchIndex.highlight(record.vendor_name, 30, query)} &middot; ${Utils.formatCurrency(record.contract_amount)}
+                    </div>
+                </div>
+            `).join('')}
+            ${contracts.length > this.searchMatches.length ? `
+                <div class="search-result search-all" data-search-all>
+                    View all ${Utils.formatNumber(contracts.length)} matching contracts
+                </div>
+            ` : ''}
+        ` : '');
+        
+        results.classList.add('open');
+    },
+
+    /**
+     * Bind amount range inputs (the minimum also applies on the server at the next fetch)
      */
     bindAmountFilter() {
-        const amountInput = document.getElementById('min-amount');
+        const minInput = document.getElementById('min-amount');
+        const maxInput = document.getElementById('max-amount');
+        
+        minInput.addEventListener('change', () => {
+            this.state.minAmount = parseFloat(minInput.value) || 0;
+            App.applyClientFilters();
+        });
         
-        amountInput.addEventListener('change', () => {
-            this.state.minAmount = parseFloat(amountInput.value) || 0;
+        maxInput.addEventListener('change', () => {
+            const value = parseFloat(maxInput.value);
+            this.state.maxAmount = value > 0 ? value : null;
+            App.applyClientFilters();
         });
     },
 
@@ -186,6 +407,20 @@ const Filters = {
         });
     },
 
+    /**
+     * Add a vendor or agency to the selection
+     * Returns true when the selection changed
+     */
+    addSelection(type, value) {
+        const selected = type === 'vendor' ? this.state.selectedVendors : this.state.selectedAgencies;
+        if (selected.includes(value)) return false;
+        
+        selected.push(value);
+        this.updateTags(type);
+        this.syncDropdown(`${type}-filter`, selected);
+        return true;
+    },
+
     /**
      * Remove a tag
      */
@@ -200,6 +435,36 @@ const Filters = {
         this.updateTags(type);
     },
 
+    /**
+     * Add or remove a vendor location ("borough:Brooklyn") and re-apply filters
+     */
+    toggleLocation(location) {
+        const selected = this.state.selectedLocations;
+        this.state.selectedLocations = selected.includes(location)
+            ? selected.filter(l => l !== location)
+            : [...selected, location];
+        this.updateLocationTags();
+        App.applyClientFilters();
+    },
+
+    /**
+     * Update selected vendor location tags
+     */
+    updateLocationTags() {
+        const container = document.getElementById('location-tags');
+        
+        container.innerHTML = this.state.selectedLocations.map(location => `
+            <span class="tag">
+                ${Utils.escapeHtml(MapChart.getLocationLabel(location))}
+                <span class="tag-remove" data-value="${Utils.escapeHtml(location)}">&times;</span>
+            </span>
+        `).join('');
+        
+        container.querySelectorAll('.tag-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => this.toggleLocation(e.target.dataset.value));
+        });
+    },
+
     /**
      * Sync dropdown selection with state
      */
@@ -225,6 +490,17 @@ const Filters = {
         });
     },
 
+    /**
+     * Bind data mode selector (applied on next fetch)
+     */
+    bindDataMode() {
+        const modeSelect = document.getElementById('data-mode');
+        
+        modeSelect.addEventListener('change', () => {
+            this.state.dataMode = modeSelect.value;
+        });
+    },
+
     /**
      * Bind apply/reset buttons
      */
@@ -241,40 +517,77 @@ const Filters = {
     },
 
     /**
-     * Reset all filters to defaults
+     * Get default filter state
      */
-    reset() {
-        // Reset state
-        this.state = {
+    getDefaultState() {
+        return {
             startDate: '2026-01-01',
             endDate: Utils.getToday(),
             searchQuery: '',
             minAmount: 0,
+            maxAmount: null,
             selectedVendors: [],
             selectedAgencies: [],
             sortBy: 'amount-desc',
-            activePreset: null
+            activePreset: null,
+            dataMode: 'records',
+            selectedFlags: [],
+            selectedCategories: [],
+            selectedMethods: [],
+            selectedNotices: [],
+            selectedKeywords: [],
+            selectedLocations: [],
+            query: '',
+            queryServer: false,
+            compare: false,
+            baselineStart: null,
+            baselineEnd: null,
+            baselinePreset: null
         };
-        
-        // Reset UI
-        document.getElementById('start-date').value = this.state.startDate;
-        document.getElementById('end-date').value = this.state.endDate;
-        document.getElementById('global-search').value = '';
-        document.getElementById('min-amount').value = '0';
-        document.getElementById('sort-by').value = 'amount-desc';
-        
-        // Clear selections
-        ['vendor-filter', 'agency-filter'].forEach(id => {
-            const select = document.getElementById(id);
-            Array.from(select.options).forEach(opt => opt.selected = false);
-        });
-        
-        // Clear tags
-        document.getElementById('vendor-tags').innerHTML = '';
-        document.getElementById('agency-tags').innerHTML = '';
-        
-        // Clear preset active
-        this.clearPresetActive();
+    },
+
+    /**
+     * Whether a YYYY-MM-DD string is a real calendar date
+     */
+    isDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    },
+
+    /**
+     * Whether a (non-null) value can be used for a filter state key
+     * Dates, sort order, data mode, presets and amounts are checked; other keys only need the right type
+     * (state from links and imported files goes into SoQL and date math, so it must be checked first)
+     */
+    isValidValue(key, value) {
+        switch (key) {
+            case 'startDate':
+            case 'endDate':
+            case 'baselineStart':
+            case 'baselineEnd':
+                return this.isDate(value);
+            case 'sortBy':
+                return this.SORT_OPTIONS.includes(value);
+            case 'dataMode':
+                return this.DATA_MODES.includes(value);
+            case 'activePreset':
+                return this.DATE_PRESETS.includes(value);
+            case 'baselinePreset':
+                return this.BASELINE_PRESETS.includes(value);
+            case 'minAmount':
+            case 'maxAmount':
+                return Number.isFinite(value) && value >= 0;
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Reset all filters to defaults
+     */
+    reset() {
+        this.setState({});
         
         // Trigger fetch
         if (typeof App !== 'undefined' && App.fetchAndRender) {
@@ -282,10 +595,49 @@ const Filters = {
         }
     },
 
+    /**
+     * Replace filter state (missing keys fall back to defaults) and update the UI
+     */
+    setState(partial) {
+        this.state = { ...this.getDefaultState(), ...partial };
+        this.syncUI();
+    },
+
+    /**
+     * Update all filter controls to match state
+     */
+    syncUI() {
+        document.getElementById('start-date').value = this.state.startDate || '';
+        document.getElementById('end-date').value = this.state.endDate || '';
+        this.updateBaseline();
+        document.getElementById('global-search').value = this.state.searchQuery;
+        document.getElementById('sort-by').value = this.state.sortBy;
+        document.getElementById('data-mode').value = this.state.dataMode;
+        document.getElementById('query-input').value = this.state.query;
+        document.getElementById('query-server').checked = this.state.queryServer;
+        Query.renderStatus();
+        
+        // Sync selections and tags
+        this.syncDropdown('vendor-filter', this.state.selectedVendors);
+        this.syncDropdown('agency-filter', this.state.selectedAgencies);
+        this.updateTags('vendor');
+        this.updateTags('agency');
+        this.updateLocationTags();
+        Flags.renderFacet();
+        Facets.render();
+        
+        // Sync preset buttons
+        document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.preset === this.state.activePreset);
+        });
+    },
+
     /**
      * Populate dropdown options
      */
     populateDropdowns(options) {
+        this.options = options;
+        
         const vendorSelect = document.getElementById('vendor-filter');
         const agencySelect = document.getElementById('agency-filter');
         
@@ -297,6 +649,7 @@ const Filters = {
             const opt = document.createElement('option');
             opt.value = vendor;
             opt.textContent = Utils.truncate(vendor, 40);
+            opt.selected = this.state.selectedVendors.includes(vendor);
             vendorSelect.appendChild(opt);
         });
         
@@ -304,6 +657,7 @@ const Filters = {
             const opt = document.createElement('option');
             opt.value = agency;
             opt.textContent = Utils.truncate(agency, 40);
+            opt.selected = this.state.selectedAgencies.includes(agency);
             agencySelect.appendChild(opt);
         });
     },
@@ -315,30 +669,71 @@ const Filters = {
         return {
             startDate: this.state.startDate,
             endDate: this.state.endDate,
-            minAmount: this.state.minAmount
+            minAmount: this.state.minAmount,
+            dataMode: this.state.dataMode,
+            where: this.state.queryServer ? Query.getWhere(this.state.query) : null,
+            baselineStart: this.state.compare ? this.state.baselineStart : null,
+            baselineEnd: this.state.compare ? this.state.baselineEnd : null
         };
     },
 
+    /**
+     * Get API params for the baseline period (null when not comparing)
+     */
+    getBaselineParams() {
+        const params = this.getApiParams();
+        if (!params.baselineStart) return null;
+        
+        return { ...params, startDate: params.baselineStart, endDate: params.baselineEnd };
+    },
+
+    /**
+     * Active facet and amount filters as [{ key, test }], key being a facet key or 'amount'
+     * Facets match any selected value (server-side totals have no facet fields); amounts match
+     * the server's contract_amount > minAmount
+     */
+    getFacetChecks(data) {
+        const checks = [];
+        const aggregate = data.length > 0 && data[0].is_aggregate;
+        Object.entries(Facets.FACETS).forEach(([key, facet]) => {
+            const selected = this.state[facet.stateKey];
+            if (selected.length > 0 && !aggregate) {
+                checks.push({ key, test: record => Facets.matches(record, key, selected) });
+            }
+        });
+        
+        const { minAmount, maxAmount } = this.state;
+        if (minAmount > 0 || maxAmount !== null) {
+            checks.push({
+                key: 'amount',
+                test: record => {
+                    const amount = record.contract_amount || 0;
+                    return amount > minAmount && (maxAmount === null || amount <= maxAmount);
+                }
+            });
+        }
+        return checks;
+    },
+
     /**
      * Apply client-side filters to data
+     * Pass skipLocations = true to ignore the vendor location filter (the map shades every region),
+     * facets = false to leave out the facet and amount filters (Facets counts against each of them itself),
+     * and sort = false to keep data order
      */
-    applyFilters(data) {
+    applyFilters(data, { skipLocations = false, facets = true, sort = true } = {}) {
         let filtered = [...data];
         
-        // Search filter
-        if (this.state.searchQuery) {
-            const query = this.state.searchQuery.toLowerCase();
-            filtered = filtered.filter(record => {
-                const searchFields = [
-                    record.vendor_name,
-                    record.agency_name,
-                    record.short_title,
-                    record.additional_info
-                ];
-                return searchFields.some(field => 
-                    field && field.toLowerCase().includes(query)
-                );
-            });
+        // Full-text search (ranked; see SearchIndex)
+        const scores = this.state.searchQuery ? SearchIndex.search(data, this.state.searchQuery) : null;
+        if (scores) {
+            filtered = filtered.filter(record => scores.has(record));
+        }
+        
+        // Query language filter (ignored while the query has errors)
+        const predicate = Query.getPredicate(this.state.query);
+        if (predicate) {
+            filtered = filtered.filter(predicate);
         }
         
         // Vendor filter
@@ -355,8 +750,34 @@ const Filters = {
             );
         }
         
-        // Sort
-        filtered = this.sortData(filtered);
+        // Vendor location filter (records whose vendor is in any selected region)
+        if (this.state.selectedLocations.length > 0 && !skipLocations) {
+            filtered = filtered.filter(record =>
+                this.state.selectedLocations.some(location => MapChart.matchesLocation(record, location))
+            );
+        }
+        
+        // Flag filter (records matching any selected rule)
+        if (this.state.selectedFlags.length > 0) {
+            filtered = filtered.filter(record =>
+                record.flags && record.flags.some(id => this.state.selectedFlags.includes(id))
+            );
+        }
+        
+        // Facet and amount filters
+        if (facets) {
+            this.getFacetChecks(filtered).forEach(({ test }) => {
+                filtered = filtered.filter(test);
+            });
+        }
+        
+        // Sort (search results by relevance first, ties by the sort setting)
+        if (sort) {
+            filtered = this.sortData(filtered);
+            if (scores) {
+                filtered.sort((a, b) => scores.get(b) - scores.get(a));
+            }
+        }
         
         return filtered;
     },
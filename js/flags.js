@@ -0,0 +1,375 @@
+/**
+ * Flags module - rule-based red flags on contract awards
+ */
+
+const Flags = {
+    STORAGE_KEY: 'crol-explorer:flag-rules',
+
+    // Rule definitions; param values are defaults and can be changed in the rules panel
+    RULES: [
+        {
+            id: 'sole_source',
+            label: 'Sole Source',
+            description: 'Selection method is sole source or otherwise non-competitive',
+            params: [
+                { key: 'pattern', label: 'Selection method matches (regex)', type: 'text', value: 'sole source|non-competitive|negotiated acquisition' }
+            ]
+        },
+        {
+            id: 'emergency',
+            label: 'Emergency',
+            description: 'Awarded as an emergency procurement',
+            params: [
+                { key: 'pattern', label: 'Selection method matches (regex)', type: 'text', value: 'emergency' }
+            ]
+        },
+        {
+            id: 'near_threshold',
+            label: 'Under Threshold',
+            description: 'Amount falls just below a procurement threshold',
+            params: [
+                { key: 'thresholds', label: 'Thresholds ($, comma separated)', type: 'text', value: '35000, 100000, 1000000' },
+                { key: 'margin', label: 'Margin below threshold (%)', type: 'number', value: 5 }
+            ]
+        },
+        {
+            id: 'split',
+            label: 'Possible Split',
+            description: 'Same vendor, agency and title awarded again within a short window',
+            params: [
+                { key: 'days', label: 'Window (days)', type: 'number', value: 30 }
+            ]
+        },
+        {
+            id: 'large_first',
+            label: 'Large First Award',
+            description: "Vendor's first award in the loaded date range is unusually large",
+            params: [
+                { key: 'minAmount', label: 'Minimum amount ($)', type: 'number', value: 1000000 }
+            ]
+        },
+        {
+            id: 'duplicate_pin',
+            label: 'Duplicate PIN',
+            description: 'The same PIN appears on more than one award',
+            params: []
+        }
+    ],
+
+    // Rule id -> { enabled, ...param values } overrides
+    settings: {},
+
+    /**
+     * Initialize flag settings and the rules panel
+     */
+    init() {
+        this.settings = Utils.loadLocal(this.STORAGE_KEY, {});
+        this.bindFacet();
+        this.bindPanel();
+    },
+
+    /**
+     * Save settings to localStorage
+     */
+    save() {
+        Utils.saveLocal(this.STORAGE_KEY, this.settings);
+    },
+
+    /**
+     * Get a rule's effective configuration (defaults merged with settings)
+     */
+    getConfig(rule) {
+        const config = { enabled: true };
+        rule.params.forEach(p => {
+            config[p.key] = p.value;
+        });
+        return { ...config, ...this.settings[rule.id] };
+    },
+
+    /**
+     * Get the display label for a rule id
+     */
+    getLabel(id) {
+        const rule = this.RULES.find(r => r.id === id);
+        return rule ? rule.label : id;
+    },
+
+    /**
+     * Build a case-insensitive regex, falling back to a literal match when the pattern is invalid
+     */
+    toRegex(pattern) {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        }
+    },
+
+    /**
+     * Run enabled rules over records and store matching rule ids in record.flags
+     */
+    apply(records) {
+        records.forEach(record => {
+            record.flags = [];
+        });
+        
+        // Server-side totals have no per-contract fields to check
+        if (records.length === 0 || records[0].is_aggregate) return records;
+        
+        this.RULES.forEach(rule => {
+            const config = this.getConfig(rule);
+            if (!config.enabled) return;
+            
+            this.match(rule.id, config, records).forEach(record => {
+                record.flags.push(rule.id);
+            });
+        });
+        
+        return records;
+    },
+
+    /**
+     * Get the records matched by one rule
+     */
+    match(id, config, records) {
+        switch (id) {
+            case 'sole_source':
+            case 'emergency': {
+                const regex = this.toRegex(config.pattern);
+                return records.filter(r => r.selection_method_description && regex.test(r.selection_method_description));
+            }
+            case 'near_threshold': {
+                const thresholds = String(config.thresholds)
+                    .split(',')
+                    .map(t => parseFloat(t.replace(/[$\s]/g, '')))
+                    .filter(t => t > 0);
+                const margin = (parseFloat(config.margin) || 0) / 100;
+                return records.filter(r => thresholds.some(t =>
+                    r.contract_amount < t && r.contract_amount >= t * (1 - margin)
+                ));
+            }
+            case 'split':
+                return this.matchSplits(records, parseFloat(config.days) || 0);
+            case 'large_first':
+                return this.matchLargeFirst(records, parseFloat(config.minAmount) || 0);
+            case 'duplicate_pin':
+                return this.matchDuplicatePins(records);
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Awards sharing vendor, agency and title within `days` of each other
+     */
+    matchSplits(records, days) {
+        const groups = d3.group(
+            records.filter(r => r.short_title && r.start_date_parsed),
+            r => `${r.vendor_name}|||${r.agency_name}|||${r.short_title.trim().toLowerCase()}`
+        );
+        const maxGap = days * 24 * 60 * 60 * 1000;
+        const matched = new Set();
+        
+        groups.forEach(group => {
+            if (group.length < 2) return;
+            group.sort((a, b) => a.start_date_parsed - b.start_date_parsed);
+            for (let i = 1; i < group.length; i++) {
+                if (group[i].start_date_parsed - group[i - 1].start_date_parsed <= maxGap) {
+                    matched.add(group[i - 1]);
+                    matched.add(group[i]);
+                }
+            }
+        });
+        
+        return Array.from(matched);
+    },
+
+    /**
+     * Each vendor's earliest award when it is at least minAmount
+     */
+    matchLargeFirst(records, minAmount) {
+        const first = new Map();
+        records.forEach(r => {
+            if (!r.start_date_parsed) return;
+            const current = first.get(r.vendor_name);
+            if (!current || r.start_date_parsed < current.start_date_parsed) {
+                first.set(r.vendor_name, r);
+            }
+        });
+        
+        return Array.from(first.values()).filter(r => r.contract_amount >= minAmount);
+    },
+
+    /**
+     * Awards whose PIN is shared with another award
+     */
+    matchDuplicatePins(records) {
+        const groups = d3.group(records.filter(r => r.pin && r.pin.trim()), r => r.pin.trim());
+        
+        return Array.from(groups.values())
+            .filter(group => new Set(group.map(r => r.request_id)).size > 1)
+            .flat();
+    },
+
+    /**
+     * Count flagged records per rule
+     * Returns Map(rule id -> count)
+     */
+    count(records) {
+        const counts = new Map();
+        records.forEach(r => {
+            (r.flags || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        });
+        return counts;
+    },
+
+    /**
+     * Render flag badges for one or more records (with counts when several)
+     */
+    renderBadges(records) {
+        return this.renderCounts(this.count(records), records.length > 1);
+    },
+
+    /**
+     * Render flag badges from per-rule counts (see count), with the counts when showCounts is set
+     */
+    renderCounts(counts, showCounts) {
+        if (counts.size === 0) return '';
+        
+        return `<div class="flag-badges">${this.RULES
+            .filter(rule => counts.has(rule.id))
+            .map(rule => `
+                <span class="flag-badge" title="${Utils.escapeHtml(rule.description)}">
+                    ${Utils.escapeHtml(rule.label)}${showCounts ? ` &times;${Utils.formatNumber(counts.get(rule.id))}` : ''}
+                </span>
+            `).join('')}</div>`;
+    },
+
+    /**
+     * Bind the Flags facet in the filter panel
+     */
+    bindFacet() {
+        document.getElementById('flag-filter').addEventListener('change', (e) => {
+            const id = e.target.dataset.flag;
+            if (!id) return;
+            
+            const selected = Filters.state.selectedFlags.filter(f => f !== id);
+            if (e.target.checked) selected.push(id);
+            Filters.state.selectedFlags = selected;
+            App.applyClientFilters();
+        });
+    },
+
+    /**
+     * Render the Flags facet with counts for the loaded data
+     */
+    renderFacet() {
+        const container = document.getElementById('flag-filter');
+        const records = typeof App !== 'undefined' ? App.rawData : [];
+        
+        if (Filters.state.dataMode === 'aggregate') {
+            container.innerHTML = '<p class="panel-empty">Not available for server-side totals.</p>';
+            return;
+        }
+        
+        const counts = this.count(records);
+        const rules = this.RULES.filter(rule => this.getConfig(rule).enabled);
+        
+        if (rules.length === 0) {
+            container.innerHTML = '<p class="panel-empty">All rules are turned off.</p>';
+            return;
+        }
+        
+        container.innerHTML = rules.map(rule => `
+            <label class="checkbox-label facet-option" title="${Utils.escapeHtml(rule.description)}">
+                <input type="checkbox" data-flag="${rule.id}" ${Filters.state.selectedFlags.includes(rule.id) ? 'checked' : ''}>
+                <span class="facet-label">${Utils.escapeHtml(rule.label)}</span>
+                <span class="facet-count">${Utils.formatNumber(counts.get(rule.id) || 0)}</span>
+            </label>
+        `).join('');
+    },
+
+    /**
+     * Re-run rules on loaded data after settings change
+     */
+    reapply() {
+        this.save();
+        
+        // Drop selections for rules that were turned off
+        Filters.state.selectedFlags = Filters.state.selectedFlags.filter(id => {
+            const rule = this.RULES.find(r => r.id === id);
+            return rule && this.getConfig(rule).enabled;
+        });
+        
+        this.apply(App.rawData);
+        if (App.baselineData) {
+            this.apply(App.baselineData);
+        }
+        this.renderFacet();
+        App.applyClientFilters();
+        
+        if (ProfilePanel.current) {
+            ProfilePanel.render();
+        }
+    },
+
+    /**
+     * Bind rules panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('flags-modal');
+        
+        document.getElementById('manage-flags').addEventListener('click', () => {
+            this.renderPanel();
+            modal.classList.add('open');
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+            }
+        });
+        
+        document.getElementById('flags-reset').addEventListener('click', () => {
+            this.settings = {};
+            this.reapply();
+            this.renderPanel();
+        });
+        
+        document.getElementById('flags-list').addEventListener('change', (e) => {
+            const { rule, param } = e.target.dataset;
+            if (!rule) return;
+            
+            const value = param
+                ? (e.target.type === 'number' ? parseFloat(e.target.value) || 0 : e.target.value)
+                : e.target.checked;
+            this.settings[rule] = { ...this.settings[rule], [param || 'enabled']: value };
+            this.reapply();
+        });
+    },
+
+    /**
+     * Render rule toggles and thresholds in the panel
+     */
+    renderPanel() {
+        document.getElementById('flags-list').innerHTML = this.RULES.map(rule => {
+            const config = this.getConfig(rule);
+            return `
+                <div class="entity-item flag-rule">
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-rule="${rule.id}" ${config.enabled ? 'checked' : ''}>
+                        <span class="flag-badge">${Utils.escapeHtml(rule.label)}</span>
+                        ${Utils.escapeHtml(rule.description)}
+                    </label>
+                    ${rule.params.map(p => `
+                        <label class="flag-param">
+                            <span>${Utils.escapeHtml(p.label)}</span>
+                            <input type="${p.type}" data-rule="${rule.id}" data-param="${p.key}"
+                                value="${Utils.escapeHtml(String(config[p.key]))}" ${p.type === 'number' ? 'min="0"' : ''}>
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+};
@@ -0,0 +1,388 @@
+/**
+ * Importer module - loads CSV, JSON or Socrata JSON export files in place of the live API,
+ * mapping their columns onto the fields API.processData expects
+ */
+
+const Importer = {
+    STORAGE_KEY: 'crol-explorer:import-mapping',
+
+    // Fields that must be mapped for the views to work
+    REQUIRED: ['vendor_name', 'agency_name', 'contract_amount'],
+
+    // Other header spellings for each field (compared lowercase without punctuation)
+    ALIASES: {
+        request_id: ['requestid', 'id', 'noticeid'],
+        start_date: ['startdate', 'date', 'noticedate', 'publicationdate', 'publisheddate'],
+        end_date: ['enddate', 'duedate'],
+        agency_name: ['agencyname', 'agency'],
+        vendor_name: ['vendorname', 'vendor', 'awardee', 'contractor'],
+        vendor_address: ['vendoraddress', 'address'],
+        contract_amount: ['contractamount', 'amount', 'awardamount', 'value'],
+        short_title: ['shorttitle', 'title', 'description'],
+        type_of_notice_description: ['typeofnoticedescription', 'noticetype'],
+        category_description: ['categorydescription', 'category'],
+        selection_method_description: ['selectionmethoddescription', 'selectionmethod', 'method'],
+        pin: ['pin', 'contractid'],
+        other_info_1: ['otherinfo1', 'otherinfo', 'additionalinfo'],
+        other_info_2: ['otherinfo2'],
+        other_info_3: ['otherinfo3']
+    },
+
+    // Parsed file waiting for its mapping ({ name, columns, rows })
+    pending: null,
+    // Imported data in use ({ name, rows }), or null for live data
+    active: null,
+
+    /**
+     * Bind the import button, file drops and the mapping panel
+     */
+    init() {
+        const input = document.getElementById('import-input');
+        document.getElementById('import-file').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            if (input.files[0]) this.read(input.files[0]);
+            input.value = '';
+        });
+        
+        document.getElementById('import-live').addEventListener('click', () => this.close());
+        
+        this.bindDrop();
+        this.bindPanel();
+        this.renderStatus();
+    },
+
+    /**
+     * Accept files dropped anywhere on the page
+     */
+    bindDrop() {
+        const overlay = document.getElementById('drop-overlay');
+        const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            overlay.classList.remove('hidden');
+        });
+        
+        document.addEventListener('dragleave', (e) => {
+            // Leaving the window, not just moving between elements
+            if (!e.relatedTarget) overlay.classList.add('hidden');
+        });
+        
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            overlay.classList.add('hidden');
+            if (e.dataTransfer.files[0]) this.read(e.dataTransfer.files[0]);
+        });
+    },
+
+    /**
+     * Read and parse a file, then open the mapping panel
+     */
+    async read(file) {
+        try {
+            const text = await file.text();
+            const rows = this.parse(text, file.name);
+            if (rows.length === 0) {
+                Utils.showNotice(`${file.name} has no rows to import.`);
+                return;
+            }
+            
+            const columns = [...new Set(rows.slice(0, 1000).flatMap(row => Object.keys(row)))];
+            this.pending = { name: file.name, columns, rows };
+            this.renderPanel(this.guessMapping(columns));
+            document.getElementById('import-modal').classList.add('open');
+        } catch (error) {
+            console.error('Error importing file:', error);
+            Utils.showNotice(`Could not read ${file.name}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Parse file text into row objects (JSON when it looks like JSON, else CSV or TSV)
+     */
+    parse(text, name) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (/\.json$/i.test(name) || /^[[{]/.test(trimmed)) {
+            return this.parseJson(JSON.parse(trimmed));
+        }
+        return /\.tsv$/i.test(name) ? d3.tsvParse(trimmed) : d3.csvParse(trimmed);
+    },
+
+    /**
+     * Rows from parsed JSON: an array of records (SODA API), or a Socrata export
+     * ({ meta: { view: { columns } }, data: [[...]] }) whose rows are arrays
+     */
+    parseJson(json) {
+        if (Array.isArray(json)) {
+            return json.map(row => this.flatten(row));
+        }
+        
+        const data = json && Array.isArray(json.data) ? json.data : null;
+        if (!data) {
+            throw new Error('expected an array of records or a Socrata JSON export');
+        }
+        
+        const columns = json.meta && json.meta.view && json.meta.view.columns;
+        if (data.length > 0 && Array.isArray(data[0])) {
+            if (!columns) throw new Error('the export has no column metadata');
+            
+            // Socrata system columns (:sid, :id, ...) are left out
+            const fields = columns.map(c => (c.fieldName && !c.fieldName.startsWith(':') ? c.fieldName : null));
+            return data.map(values => {
+                const row = {};
+                fields.forEach((field, i) => {
+                    if (field) row[field] = values[i];
+                });
+                return this.flatten(row);
+            });
+        }
+        return data.map(row => this.flatten(row));
+    },
+
+    /**
+     * Turn a record's values into strings (nested location/url values keep their text)
+     */
+    flatten(row) {
+        const flat = {};
+        Object.entries(row || {}).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                flat[key] = '';
+            } else if (typeof value === 'object') {
+                flat[key] = value.url || value.human_address || JSON.stringify(value);
+            } else {
+                flat[key] = String(value);
+            }
+        });
+        return flat;
+    },
+
+    /**
+     * "Vendor Name", "vendor_name", "VENDORNAME" -> "vendorname"
+     */
+    normalize(header) {
+        return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Field -> column guessed from headers (a mapping saved for the same header wins)
+     */
+    guessMapping(columns) {
+        const saved = Utils.loadLocal(this.STORAGE_KEY, {});
+        const mapping = {};
+        
+        API.FIELDS.forEach(field => {
+            const names = [this.normalize(field), ...this.ALIASES[field]];
+            const column = columns.find(c => saved[c] === field) ||
+                columns.find(c => c === field) ||
+                names.map(name => columns.find(c => this.normalize(c) === name)).find(Boolean);
+            mapping[field] = column || '';
+        });
+        return mapping;
+    },
+
+    /**
+     * Render the column mapping panel
+     */
+    renderPanel(mapping) {
+        const { name, columns, rows } = this.pending;
+        const sample = field => {
+            const row = mapping[field] ? rows.find(r => r[mapping[field]]) : null;
+            return Utils.escapeHtml(Utils.truncate(row ? row[mapping[field]] : '', 40));
+        };
+        
+        document.getElementById('import-summary').textContent =
+            `${name}: ${Utils.formatNumber(rows.length)} rows, ${Utils.formatNumber(columns.length)} columns`;
+        
+        document.getElementById('import-mapping').innerHTML = `
+            <table class="import-table">
+                <thead><tr><th>Field</th><th>Column in file</th><th>Sample</th></tr></thead>
+                <tbody>
+                    ${API.FIELDS.map(field => `
+                        <tr>
+                            <td>${field}${this.REQUIRED.includes(field) ? ' <span class="import-required">*</span>' : ''}</td>
+                            <td>
+                                <select data-field="${field}">
+                                    <option value="">(none)</option>
+                                    ${columns.map(c => `<option value="${Utils.escapeHtml(c)}" ${mapping[field] === c ? 'selected' : ''}>${Utils.escapeHtml(c)}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td class="import-sample">${sample(field)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.validate(mapping);
+    },
+
+    /**
+     * Mapping chosen in the panel
+     */
+    readMapping() {
+        const mapping = {};
+        document.querySelectorAll('#import-mapping select[data-field]').forEach(select => {
+            mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    },
+
+    /**
+     * Show what is missing from a mapping; returns whether it can be loaded
+     */
+    validate(mapping) {
+        const missing = this.REQUIRED.filter(field => !mapping[field]);
+        const status = document.getElementById('import-status');
+        
+        if (missing.length > 0) {
+            status.textContent = `Choose a column for ${missing.join(', ')}.`;
+        } else if (!mapping.start_date) {
+            status.textContent = 'Without start_date the date range filter has no effect and Over Time is empty.';
+        } else {
+            status.textContent = '';
+        }
+        document.getElementById('import-load').disabled = missing.length > 0;
+        return missing.length === 0;
+    },
+
+    /**
+     * Bind mapping panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('import-modal');
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+                this.pending = null;
+            }
+        });
+        
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.field) this.renderPanel(this.readMapping());
+        });
+        
+        document.getElementById('import-load').addEventListener('click', () => {
+            const mapping = this.readMapping();
+            if (!this.validate(mapping)) return;
+            
+            modal.classList.remove('open');
+            this.load(mapping);
+        });
+    },
+
+    /**
+     * Convert a date to the API's format ("2026-03-01T00:00:00.000"), or '' when unreadable
+     * Accepts ISO dates and US month/day/year dates
+     */
+    toApiDate(value) {
+        const text = (value || '').trim();
+        if (!text) return '';
+        
+        // Month and day must make a real date ("13/45/2020" is no date)
+        const toDate = day => Filters.isDate(day) ? `${day}T00:00:00.000` : '';
+        
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) return toDate(match[0]);
+        
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+        if (match) {
+            const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+            return toDate(`${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`);
+        }
+        
+        // Other formats ("May 3, 2019") parse as local dates
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) return '';
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T00:00:00.000`;
+    },
+
+    /**
+     * Map the pending file's rows onto API fields and show them in place of live data
+     */
+    load(mapping) {
+        const { name, rows } = this.pending;
+        this.pending = null;
+        
+        // Remember the choices for the next file with the same headers
+        const saved = Utils.loadLocal(this.STORAGE_KEY, {});
+        Object.entries(mapping).forEach(([field, column]) => {
+            if (column) saved[column] = field;
+        });
+        Utils.saveLocal(this.STORAGE_KEY, saved);
+        
+        const records = [];
+        rows.forEach((row, i) => {
+            const record = {};
+            API.FIELDS.forEach(field => {
+                record[field] = mapping[field] ? (row[mapping[field]] || '').trim() : '';
+            });
+            
+            // Like the API query, only rows with a vendor (awards)
+            if (!record.vendor_name) return;
+            
+            record.request_id = record.request_id || `import-${i + 1}`;
+            record.start_date = this.toApiDate(record.start_date);
+            record.end_date = this.toApiDate(record.end_date);
+            record.contract_amount = record.contract_amount.replace(/[$,\s]/g, '');
+            records.push(record);
+        });
+        
+        if (records.length === 0) {
+            Utils.showNotice(`No rows in ${name} have a vendor name.`);
+            return;
+        }
+        
+        this.active = { name, rows: records };
+        
+        // Open on the file's whole date range, with individual contracts
+        const dates = records.map(r => r.start_date.slice(0, 10)).filter(Boolean);
+        const [startDate, endDate] = dates.length > 0 ? d3.extent(dates) : [null, null];
+        Filters.setState({ ...Filters.state, startDate, endDate, activePreset: null, dataMode: 'records' });
+        
+        const skipped = rows.length - records.length;
+        Utils.showNotice(`Showing ${Utils.formatNumber(records.length)} rows from ${name}${skipped > 0 ? ` (${Utils.formatNumber(skipped)} without a vendor skipped)` : ''}. Live data returns with "Use live data" under Data Mode.`);
+        this.renderStatus();
+        App.fetchAndRender();
+        Permalink.update();
+    },
+
+    /**
+     * Imported rows matching API params, as the API would return them
+     * Rows without a start date match any date range
+     */
+    getRows(params) {
+        const { startDate = null, endDate = null, minAmount = 0 } = params;
+        
+        return this.active.rows.filter(row => {
+            const date = row.start_date.slice(0, 10);
+            if (date && startDate && date < startDate) return false;
+            if (date && endDate && date > endDate) return false;
+            return (parseFloat(row.contract_amount) || 0) > minAmount;
+        });
+    },
+
+    /**
+     * Stop using imported data and reload live data
+     */
+    close() {
+        this.active = null;
+        this.renderStatus();
+        Utils.hideNotice();
+        App.fetchAndRender();
+    },
+
+    /**
+     * Show the imported file (or the import button) under Data Mode
+     */
+    renderStatus() {
+        const status = document.getElementById('import-source');
+        status.textContent = this.active
+            ? `${this.active.name} (${Utils.formatNumber(this.active.rows.length)} rows)`
+            : 'Drop a CSV or JSON file to explore it';
+        status.title = this.active ? 'Imported file in use instead of live data' : '';
+        document.getElementById('import-live').style.display = this.active ? '' : 'none';
+    }
+};
@@ -0,0 +1,693 @@
+/**
+ * Investigations module - named workspaces saved locally with filters, pins and notes
+ */
+
+const Investigations = {
+    STORAGE_KEY: 'crol-explorer:investigations',
+    FILE_VERSION: 1,
+    // What can be pinned or noted, with display labels
+    PIN_TYPES: { vendor: 'Vendor', agency: 'Agency', contract: 'Contract' },
+
+    items: [],
+    activeId: null,
+
+    /**
+     * Initialize saved investigations and the workspace panel
+     */
+    init() {
+        const saved = Utils.loadLocal(this.STORAGE_KEY, {});
+        this.items = saved.items || [];
+        this.activeId = this.items.some(item => item.id === saved.activeId) ? saved.activeId : null;
+        
+        this.bindPanel();
+        this.renderIndicator();
+    },
+
+    /**
+     * Save investigations to localStorage
+     */
+    save() {
+        Utils.saveLocal(this.STORAGE_KEY, { items: this.items, activeId: this.activeId });
+        this.renderIndicator();
+    },
+
+    /**
+     * Generate a unique id
+     */
+    createId() {
+        return `inv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Get the active investigation (null when none is open)
+     */
+    getActive() {
+        return this.items.find(item => item.id === this.activeId) || null;
+    },
+
+    /**
+     * Capture view settings that are not part of the filter state
+     */
+    getView() {
+        return {
+            sankey: { stages: [...SankeyChart.stages], topN: SankeyChart.topN, focused: SankeyChart.focused },
+            matrix: {
+                topVendors: MatrixChart.topVendors,
+                topAgencies: MatrixChart.topAgencies,
+                metric: MatrixChart.metric,
+                order: MatrixChart.order,
+                sortColumn: MatrixChart.sortColumn,
+                sortDirection: MatrixChart.sortDirection
+            },
+            network: { mode: NetworkChart.mode, topN: NetworkChart.topN, expanded: [...NetworkChart.expanded] },
+            map: { level: MapChart.level },
+            metrics: { table: MetricsPanel.table },
+            timeseries: {
+                interval: TimeSeriesChart.interval,
+                metric: TimeSeriesChart.metric,
+                stackBy: TimeSeriesChart.stackBy
+            },
+            records: {
+                columns: RecordsTable.COLUMNS.filter(c => c.visible).map(c => c.key),
+                sortColumn: RecordsTable.sortColumn,
+                sortDirection: RecordsTable.sortDirection,
+                pageSize: RecordsTable.pageSize
+            }
+        };
+    },
+
+    /**
+     * Restore view settings and sync their controls
+     */
+    applyView(view = {}) {
+        if (view.sankey) {
+            SankeyChart.stages = view.sankey.stages || SankeyChart.stages;
+            SankeyChart.topN = view.sankey.topN || SankeyChart.topN;
+            SankeyChart.expanded = {};
+            SankeyChart.focused = view.sankey.focused || null;
+            document.getElementById('sankey-top').value = SankeyChart.topN;
+        }
+        
+        if (view.matrix) {
+            MatrixChart.topVendors = view.matrix.topVendors || MatrixChart.topVendors;
+            MatrixChart.topAgencies = view.matrix.topAgencies || MatrixChart.topAgencies;
+            MatrixChart.metric = MatrixChart.METRICS[view.matrix.metric] ? view.matrix.metric : 'amount';
+            MatrixChart.order = view.matrix.order || 'default';
+            MatrixChart.sortColumn = view.matrix.sortColumn || null;
+            MatrixChart.sortDirection = view.matrix.sortDirection || 'desc';
+            MatrixChart.expanded = { vendor: 0, agency: 0 };
+            MatrixChart.drill = null;
+            document.getElementById('matrix-top-vendors').value = MatrixChart.topVendors;
+            document.getElementById('matrix-top-agencies').value = MatrixChart.topAgencies;
+            document.getElementById('matrix-metric').value = MatrixChart.metric;
+            document.getElementById('matrix-order').value = MatrixChart.order;
+        }
+        
+        if (view.network) {
+            NetworkChart.mode = view.network.mode || NetworkChart.mode;
+            NetworkChart.topN = view.network.topN || NetworkChart.topN;
+            NetworkChart.expanded = new Set(view.network.expanded || []);
+            document.getElementById('network-mode').value = NetworkChart.mode;
+            document.getElementById('network-top').value = NetworkChart.topN;
+        }
+        
+        if (view.map && MapChart.LEVELS[view.map.level]) {
+            MapChart.level = view.map.level;
+            document.getElementById('map-level').value = MapChart.level;
+        }
+        
+        if (view.metrics && MetricsPanel.TABLES[view.metrics.table]) {
+            MetricsPanel.table = view.metrics.table;
+            document.getElementById('metrics-table').value = MetricsPanel.table;
+        }
+        
+        if (view.timeseries) {
+            [['ts-interval', 'interval'], ['ts-metric', 'metric'], ['ts-stack', 'stackBy']].forEach(([id, key]) => {
+                if (view.timeseries[key]) {
+                    TimeSeriesChart[key] = view.timeseries[key];
+                    document.getElementById(id).value = view.timeseries[key];
+                }
+            });
+        }
+        
+        if (view.records) {
+            const columns = view.records.columns;
+            if (columns) {
+                RecordsTable.COLUMNS.forEach(col => {
+                    col.visible = columns.includes(col.key);
+                });
+                document.querySelectorAll('#records-columns-menu [data-column]').forEach(input => {
+                    input.checked = columns.includes(input.dataset.column);
+                });
+            }
+            RecordsTable.sortColumn = view.records.sortColumn || null;
+            RecordsTable.sortDirection = view.records.sortDirection || 'desc';
+            RecordsTable.pageSize = view.records.pageSize || RecordsTable.pageSize;
+            RecordsTable.lastData = null;
+        }
+    },
+
+    /**
+     * Create an investigation from the current filters and view, and make it active
+     */
+    create(name) {
+        const now = new Date().toISOString();
+        const item = {
+            id: this.createId(),
+            name: name || `Investigation ${this.items.length + 1}`,
+            created: now,
+            updated: now,
+            pins: [],
+            notes: {}
+        };
+        this.snapshot(item);
+        
+        this.items.push(item);
+        this.activeId = item.id;
+        this.save();
+        return item;
+    },
+
+    /**
+     * Store the current filters, tab and view settings on an investigation
+     */
+    snapshot(item) {
+        item.state = JSON.parse(JSON.stringify(Filters.state));
+        item.tab = App.activeTab;
+        item.view = this.getView();
+        item.updated = new Date().toISOString();
+    },
+
+    /**
+     * Open an investigation: restore its filters, tab and view, then reload data
+     */
+    async open(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+        
+        this.activeId = id;
+        this.save();
+        
+        this.applyView(item.view);
+        Filters.setState(item.state || {});
+        
+        App.setActiveTab(App.isTab(item.tab) ? item.tab : 'sankey');
+        
+        await App.fetchAndRender();
+    },
+
+    /**
+     * Stop working in the active investigation (it stays saved)
+     */
+    close() {
+        this.activeId = null;
+        this.save();
+    },
+
+    /**
+     * Rename an investigation
+     */
+    rename(id, name) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || !name) return;
+        
+        item.name = name;
+        item.updated = new Date().toISOString();
+        this.save();
+    },
+
+    /**
+     * Copy an investigation under a new name
+     */
+    duplicate(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+        
+        const now = new Date().toISOString();
+        this.items.push({
+            ...JSON.parse(JSON.stringify(item)),
+            id: this.createId(),
+            name: `${item.name} (copy)`,
+            created: now,
+            updated: now
+        });
+        this.save();
+    },
+
+    /**
+     * Delete an investigation
+     */
+    remove(id) {
+        this.items = this.items.filter(i => i.id !== id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        this.save();
+    },
+
+    /**
+     * Get the active investigation, starting a new one if none is open
+     */
+    ensureActive() {
+        const active = this.getActive();
+        if (active) return active;
+        
+        const item = this.create();
+        Utils.showNotice(`Started "${item.name}". Rename it or add notes under Investigations.`);
+        return item;
+    },
+
+    /**
+     * Whether an entity or contract is pinned in the active investigation
+     */
+    isPinned(type, key) {
+        const active = this.getActive();
+        return Boolean(active) && active.pins.some(p => p.type === type && p.key === key);
+    },
+
+    /**
+     * Pin or unpin a vendor, agency or contract (by request_id)
+     * record is used to describe a pinned contract when it is not loaded later
+     */
+    togglePin(type, key, record = null) {
+        const active = this.ensureActive();
+        
+        if (this.isPinned(type, key)) {
+            active.pins = active.pins.filter(p => !(p.type === type && p.key === key));
+        } else {
+            active.pins.push({
+                type,
+                key,
+                label: record ? (record.short_title || key) : key,
+                detail: record
+                    ? `${record.vendor_name} · ${record.agency_name} · ${Utils.formatCurrency(record.contract_amount)}`
+                    : ''
+            });
+        }
+        
+        active.updated = new Date().toISOString();
+        this.save();
+        this.renderPanel();
+    },
+
+    /**
+     * Get the note for an entity or contract in the active investigation
+     */
+    getNote(type, key) {
+        const active = this.getActive();
+        return active ? active.notes[`${type}:${key}`] || '' : '';
+    },
+
+    /**
+     * Set (or clear) a note in the active investigation
+     */
+    setNote(type, key, text) {
+        const active = this.ensureActive();
+        const noteKey = `${type}:${key}`;
+        
+        if (text.trim()) {
+            active.notes[noteKey] = text;
+        } else {
+            delete active.notes[noteKey];
+        }
+        
+        active.updated = new Date().toISOString();
+        this.save();
+    },
+
+    /**
+     * Download investigations as a JSON file
+     */
+    exportFile(items) {
+        const content = JSON.stringify({
+            type: 'crol-explorer-investigations',
+            version: this.FILE_VERSION,
+            exported: new Date().toISOString(),
+            investigations: items
+        }, null, 2);
+        const slug = items.length === 1
+            ? items[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+            : 'all';
+        
+        Export.saveFile(content, `investigation-${slug || 'untitled'}-${Utils.getToday()}.json`, 'application/json');
+    },
+
+    /**
+     * Whether a value is a plain object (not null or an array)
+     */
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Keep only filter state keys the app knows, with values of the right type that pass
+     * the same checks as permalinks (Filters.isValidValue)
+     */
+    sanitizeState(state) {
+        const defaults = Filters.getDefaultState();
+        const valid = {};
+        
+        Object.entries(defaults).forEach(([key, fallback]) => {
+            const value = state[key];
+            if (Array.isArray(fallback)) {
+                if (Array.isArray(value)) {
+                    valid[key] = value.filter(v => typeof v === 'string');
+                }
+            } else if (value === null) {
+                // Optional values (end date, maximum amount, baseline, preset)
+                if (fallback === null || typeof fallback === 'string') {
+                    valid[key] = null;
+                }
+            } else if ((fallback === null ? ['string', 'number'].includes(typeof value) : typeof value === typeof fallback) &&
+                Filters.isValidValue(key, value)) {
+                valid[key] = value;
+            }
+        });
+        
+        return valid;
+    },
+
+    /**
+     * Keep only view settings each view offers (see getView); anything else falls back
+     * to the view's current setting when the investigation is opened
+     */
+    sanitizeView(view) {
+        const section = key => this.isObject(view[key]) ? view[key] : null;
+        const oneOf = (value, options) => options.includes(value) ? value : undefined;
+        const topN = value => Number.isInteger(value) && value >= 1 ? value : undefined;
+        const strings = value => Array.isArray(value) ? value.filter(v => typeof v === 'string') : [];
+        const directions = ['asc', 'desc'];
+        const dimensions = Object.keys(API.SANKEY_DIMENSIONS);
+        const valid = {};
+        
+        const sankey = section('sankey');
+        if (sankey) {
+            const stages = [...new Set(strings(sankey.stages))].filter(key => dimensions.includes(key));
+            const focused = sankey.focused;
+            valid.sankey = {
+                stages: stages.length >= 2 ? stages : undefined,
+                topN: topN(sankey.topN),
+                focused: this.isObject(focused) && dimensions.includes(focused.type) && typeof focused.name === 'string'
+                    ? { type: focused.type, name: focused.name }
+                    : null
+            };
+        }
+        
+        const matrix = section('matrix');
+        if (matrix) {
+            const sortColumn = matrix.sortColumn;
+            valid.matrix = {
+                topVendors: topN(matrix.topVendors),
+                topAgencies: topN(matrix.topAgencies),
+                metric: oneOf(matrix.metric, Object.keys(MatrixChart.METRICS)),
+                order: oneOf(matrix.order, MatrixChart.ORDERS),
+                sortColumn: this.isObject(sortColumn) && ['vendor', 'agency'].includes(sortColumn.type) && typeof sortColumn.name === 'string'
+                    ? { type: sortColumn.type, name: sortColumn.name }
+                    : null,
+                sortDirection: oneOf(matrix.sortDirection, directions)
+            };
+        }
+        
+        const network = section('network');
+        if (network) {
+            valid.network = {
+                mode: oneOf(network.mode, Object.keys(NetworkChart.MODES)),
+                topN: topN(network.topN),
+                expanded: strings(network.expanded)
+            };
+        }
+        
+        const map = section('map');
+        if (map) {
+            valid.map = { level: oneOf(map.level, Object.keys(MapChart.LEVELS)) };
+        }
+        
+        const metrics = section('metrics');
+        if (metrics) {
+            valid.metrics = { table: oneOf(metrics.table, Object.keys(MetricsPanel.TABLES)) };
+        }
+        
+        const timeseries = section('timeseries');
+        if (timeseries) {
+            valid.timeseries = {
+                interval: oneOf(timeseries.interval, Object.keys(TimeSeriesChart.INTERVALS)),
+                metric: oneOf(timeseries.metric, TimeSeriesChart.METRICS),
+                stackBy: oneOf(timeseries.stackBy, Object.keys(TimeSeriesChart.STACK_FIELDS))
+            };
+        }
+        
+        const records = section('records');
+        if (records) {
+            const columns = RecordsTable.COLUMNS.map(col => col.key);
+            const visible = strings(records.columns).filter(key => columns.includes(key));
+            valid.records = {
+                columns: visible.length > 0 ? visible : undefined,
+                sortColumn: oneOf(records.sortColumn, columns) || null,
+                sortDirection: oneOf(records.sortDirection, directions),
+                pageSize: oneOf(records.pageSize, RecordsTable.PAGE_SIZES)
+            };
+        }
+        
+        return valid;
+    },
+
+    /**
+     * Whether a pin or note type is one the panel knows
+     */
+    isPinType(type) {
+        return Object.keys(this.PIN_TYPES).includes(type);
+    },
+
+    /**
+     * Keep pins of a known type with a key, filling in a missing label or detail
+     */
+    sanitizePins(pins) {
+        return pins
+            .filter(pin => pin && this.isPinType(pin.type) && typeof pin.key === 'string' && pin.key)
+            .map(pin => ({
+                type: pin.type,
+                key: pin.key,
+                label: typeof pin.label === 'string' && pin.label ? pin.label : pin.key,
+                detail: typeof pin.detail === 'string' ? pin.detail : ''
+            }));
+    },
+
+    /**
+     * Keep text notes on a known type ("vendor:ACME")
+     */
+    sanitizeNotes(notes) {
+        return Object.fromEntries(Object.entries(notes).filter(([noteKey, text]) =>
+            typeof text === 'string' && this.isPinType(noteKey.split(':')[0])
+        ));
+    },
+
+    /**
+     * Import investigations from an exported JSON file
+     * Imported copies get new ids so they never overwrite local work
+     */
+    async importFile(file) {
+        try {
+            const parsed = JSON.parse(await file.text());
+            const incoming = Array.isArray(parsed) ? parsed : parsed.investigations;
+            if (!Array.isArray(incoming)) {
+                throw new Error('No investigations found in this file');
+            }
+            
+            const valid = incoming.filter(item => item && typeof item.name === 'string');
+            const now = new Date().toISOString();
+            valid.forEach(item => {
+                this.items.push({
+                    id: this.createId(),
+                    name: item.name,
+                    created: typeof item.created === 'string' ? item.created : now,
+                    updated: typeof item.updated === 'string' ? item.updated : now,
+                    state: this.sanitizeState(this.isObject(item.state) ? item.state : {}),
+                    tab: App.isTab(item.tab) ? item.tab : 'sankey',
+                    view: this.sanitizeView(this.isObject(item.view) ? item.view : {}),
+                    pins: this.sanitizePins(Array.isArray(item.pins) ? item.pins : []),
+                    notes: this.sanitizeNotes(this.isObject(item.notes) ? item.notes : {})
+                });
+            });
+            this.save();
+            this.renderPanel();
+            
+            Utils.showNotice(`Imported ${valid.length} investigation${valid.length === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Error importing investigations:', error);
+            Utils.showNotice(`Could not import investigations: ${error.message}`);
+        }
+    },
+
+    /**
+     * Bind workspace panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('investigations-modal');
+        
+        document.getElementById('investigations-btn').addEventListener('click', () => {
+            this.renderPanel();
+            modal.classList.add('open');
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+                return;
+            }
+            
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button.dataset.id, button);
+            }
+        });
+        
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.rename) {
+                this.rename(e.target.dataset.rename, e.target.value.trim());
+            } else if (e.target.dataset.noteKey) {
+                this.setNote(e.target.dataset.noteType, e.target.dataset.noteKey, e.target.value);
+            }
+        });
+        
+        document.getElementById('investigation-create').addEventListener('click', () => {
+            const input = document.getElementById('investigation-name');
+            this.create(input.value.trim());
+            input.value = '';
+            this.renderPanel();
+        });
+        
+        document.getElementById('investigations-import').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (file) {
+                await this.importFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('investigations-export-all').addEventListener('click', () => {
+            if (this.items.length > 0) {
+                this.exportFile(this.items);
+            }
+        });
+    },
+
+    /**
+     * Handle list and pin buttons in the panel
+     */
+    async handleAction(action, id, button) {
+        const item = this.items.find(i => i.id === id);
+        
+        switch (action) {
+            case 'open':
+                document.getElementById('investigations-modal').classList.remove('open');
+                await this.open(id);
+                return;
+            case 'update':
+                this.snapshot(item);
+                this.save();
+                break;
+            case 'close':
+                this.close();
+                break;
+            case 'duplicate':
+                this.duplicate(id);
+                break;
+            case 'export':
+                this.exportFile([item]);
+                return;
+            case 'delete':
+                if (!confirm(`Delete "${item.name}"? This cannot be undone.`)) return;
+                this.remove(id);
+                break;
+            case 'unpin':
+                this.togglePin(button.dataset.type, button.dataset.key);
+                return;
+            case 'profile':
+                document.getElementById('investigations-modal').classList.remove('open');
+                ProfilePanel.open(button.dataset.type, button.dataset.key);
+                return;
+        }
+        
+        this.renderPanel();
+    },
+
+    /**
+     * Show the active investigation's name in the header
+     */
+    renderIndicator() {
+        const active = this.getActive();
+        const label = document.getElementById('investigation-active');
+        label.textContent = active ? active.name : '';
+        label.title = active ? `Working in "${active.name}"` : '';
+    },
+
+    /**
+     * Render the investigations list and the active investigation's pins and notes
+     */
+    renderPanel() {
+        const list = document.getElementById('investigations-list');
+        const active = this.getActive();
+        
+        list.innerHTML = this.items.length === 0
+            ? '<p class="panel-empty">No saved investigations yet.</p>'
+            : [...this.items]
+                .sort((a, b) => b.updated.localeCompare(a.updated))
+                .map(item => `
+                    <div class="entity-item investigation-item${item.id === this.activeId ? ' active' : ''}">
+                        <input type="text" class="entity-name" value="${Utils.escapeHtml(item.name)}"
+                            data-rename="${item.id}" title="Rename investigation">
+                        <div class="investigation-meta">
+                            Updated ${Utils.formatDateDisplay(item.updated)}
+                            &middot; ${Utils.formatNumber(item.pins.length)} pinned
+                            &middot; ${Utils.formatNumber(Object.keys(item.notes).length)} notes
+                        </div>
+                        <div class="investigation-actions">
+                            ${item.id === this.activeId
+                                ? `<button class="btn btn-primary btn-small" data-action="update" data-id="${item.id}" title="Save the current filters and view">Save view</button>
+                                   <button class="btn btn-secondary btn-small" data-action="close" data-id="${item.id}">Close</button>`
+                                : `<button class="btn btn-primary btn-small" data-action="open" data-id="${item.id}">Open</button>`}
+                            <button class="btn btn-secondary btn-small" data-action="duplicate" data-id="${item.id}">Duplicate</button>
+                            <button class="btn btn-secondary btn-small" data-action="export" data-id="${item.id}">Export</button>
+                            <button class="btn btn-secondary btn-small" data-action="delete" data-id="${item.id}">Delete</button>
+                        </div>
+                    </div>
+                `).join('');
+        
+        const pins = document.getElementById('investigation-pins');
+        if (!active) {
+            pins.innerHTML = '<p class="panel-empty">Open an investigation to see its pins and notes. Pinning a vendor, agency or contract starts one.</p>';
+            return;
+        }
+        
+        // Notes on items that are not pinned still get listed
+        const pinKeys = new Set(active.pins.map(p => `${p.type}:${p.key}`));
+        const unpinnedNotes = Object.keys(active.notes)
+            .filter(noteKey => !pinKeys.has(noteKey))
+            .map(noteKey => {
+                const [type, ...rest] = noteKey.split(':');
+                return { type, key: rest.join(':'), label: rest.join(':'), detail: '', unpinned: true };
+            });
+        // Only known types are rendered, since the type ends up in markup
+        const entries = [...active.pins, ...unpinnedNotes].filter(entry => this.isPinType(entry.type));
+        
+        if (entries.length === 0) {
+            pins.innerHTML = '<p class="panel-empty">Nothing pinned yet. Pin vendors and agencies from their profile, or contracts from the Records table.</p>';
+            return;
+        }
+        
+        pins.innerHTML = entries.map(entry => `
+            <div class="entity-item pin-item">
+                <div class="pin-header">
+                    <span class="pin-type">${this.PIN_TYPES[entry.type]}</span>
+                    ${entry.type === 'contract'
+                        ? `<span class="pin-label" title="${Utils.escapeHtml(entry.key)}">${Utils.escapeHtml(Utils.truncate(entry.label, 60))}</span>`
+                        : `<button class="pin-label link-btn" data-action="profile" data-type="${entry.type}" data-key="${Utils.escapeHtml(entry.key)}">${Utils.escapeHtml(Utils.truncate(entry.label, 60))}</button>`}
+                    ${entry.unpinned ? '' : `<button class="entity-split" data-action="unpin" data-type="${entry.type}" data-key="${Utils.escapeHtml(entry.key)}" title="Unpin">&times;</button>`}
+                </div>
+                ${entry.detail ? `<div class="investigation-meta">${Utils.escapeHtml(entry.detail)}</div>` : ''}
+                <textarea class="note-input" rows="2" placeholder="Notes..."
+                    data-note-type="${entry.type}" data-note-key="${Utils.escapeHtml(entry.key)}">${Utils.escapeHtml(this.getNote(entry.type, entry.key))}</textarea>
+            </div>
+        `).join('');
+    }
+};
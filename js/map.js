@@ -0,0 +1,346 @@
+/**
+ * Map module - vendor locations by borough, state or ZIP using bundled boundary GeoJSON
+ */
+
+const MapChart = {
+    lastData: null,
+    controlsBound: false,
+    // 'borough', 'state' or 'zip'
+    level: 'borough',
+    // ZIP codes listed in the ZIP view
+    MAX_ZIPS: 40,
+
+    LEVELS: {
+        borough: { label: 'NYC Borough', field: 'vendor_borough', file: 'data/nyc-boroughs.geojson' },
+        state: { label: 'State', field: 'vendor_state', file: 'data/us-states.geojson' },
+        zip: { label: 'ZIP Code', field: 'vendor_zip', file: null }
+    },
+
+    SCOPES: {
+        nyc: 'New York City',
+        ny: 'Rest of New York State',
+        out: 'Out of state',
+        unknown: 'No parsable address'
+    },
+
+    // Level -> GeoJSON FeatureCollection promise (loaded on first use)
+    boundaries: {},
+
+    /**
+     * Initialize the map view
+     */
+    init() {
+        if (!this.controlsBound) {
+            this.bindControls();
+            this.controlsBound = true;
+        }
+        
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (this.lastData && App.activeTab === 'map') {
+                this.render(this.lastData);
+            }
+        }, 250));
+    },
+
+    /**
+     * Bind the level picker
+     */
+    bindControls() {
+        const select = document.getElementById('map-level');
+        select.innerHTML = Object.entries(this.LEVELS)
+            .map(([key, level]) => `<option value="${key}">By ${level.label}</option>`)
+            .join('');
+        select.value = this.level;
+        select.addEventListener('change', () => {
+            this.level = select.value;
+            if (this.lastData) {
+                this.render(this.lastData);
+            }
+        });
+    },
+
+    /**
+     * Load the boundaries for a level from the bundled GeoJSON
+     */
+    loadBoundaries(level) {
+        if (!this.boundaries[level]) {
+            this.boundaries[level] = d3.json(this.LEVELS[level].file);
+        }
+        return this.boundaries[level];
+    },
+
+    /**
+     * Whether a record's vendor is in a location ("borough:Brooklyn", "state:NJ", "zip:10001")
+     */
+    matchesLocation(record, location) {
+        const [level, value] = this.splitLocation(location);
+        return Boolean(this.LEVELS[level]) && record[this.LEVELS[level].field] === value;
+    },
+
+    /**
+     * "state:NJ" -> ['state', 'NJ']
+     */
+    splitLocation(location) {
+        const index = location.indexOf(':');
+        return [location.slice(0, index), location.slice(index + 1)];
+    },
+
+    /**
+     * Display label for a location ("State: New Jersey")
+     */
+    getLocationLabel(location) {
+        const [level, value] = this.splitLocation(location);
+        const name = level === 'state' ? Address.STATES[value] || value : value;
+        return `${this.LEVELS[level] ? this.LEVELS[level].label : level}: ${name}`;
+    },
+
+    /**
+     * Sum amount, contracts and vendors per region for the current level
+     * Returns Map(region -> { amount, count, vendors: Map(name -> amount) })
+     */
+    aggregate(data) {
+        const field = this.LEVELS[this.level].field;
+        const regions = new Map();
+        
+        data.forEach(record => {
+            const region = record[field];
+            if (!region) return;
+            
+            if (!regions.has(region)) {
+                regions.set(region, { amount: 0, count: 0, vendors: new Map() });
+            }
+            const totals = regions.get(region);
+            totals.amount += record.contract_amount || 0;
+            totals.count += 1;
+            totals.vendors.set(record.vendor_name, (totals.vendors.get(record.vendor_name) || 0) + (record.contract_amount || 0));
+        });
+        
+        return regions;
+    },
+
+    /**
+     * Render in-city vs out-of-state totals
+     */
+    renderSummary(data) {
+        const total = d3.sum(data, r => r.contract_amount || 0) || 1;
+        const byScope = d3.rollup(data, v => d3.sum(v, r => r.contract_amount || 0), r => Address.getScope({
+            borough: r.vendor_borough,
+            state: r.vendor_state
+        }));
+        
+        document.getElementById('map-summary').innerHTML = Object.entries(this.SCOPES)
+            .map(([scope, label]) => {
+                const amount = byScope.get(scope) || 0;
+                return `
+                    <div class="map-scope ${scope}">
+                        <span class="map-scope-label">${label}</span>
+                        <span class="map-scope-value">${Utils.formatCurrency(amount)}</span>
+                        <span class="map-scope-share">${(amount / total * 100).toFixed(1)}%</span>
+                    </div>
+                `;
+            }).join('');
+    },
+
+    /**
+     * Render the map for the current level
+     */
+    async render(data) {
+        if (!data || data.length === 0) {
+            this.showEmpty('No Data Available', 'Try adjusting your filters or date range to see contract data.');
+            return;
+        }
+        if (data[0].is_aggregate) {
+            this.showEmpty('No Vendor Addresses', 'Server-side totals do not include vendor addresses. Switch the data mode to individual records to use the map.');
+            return;
+        }
+        
+        this.lastData = data;
+        this.renderSummary(data);
+        const regions = this.aggregate(data);
+        
+        if (this.level === 'zip') {
+            this.renderZips(regions);
+            return;
+        }
+        
+        let geojson;
+        try {
+            geojson = await this.loadBoundaries(this.level);
+        } catch (error) {
+            console.error('Error loading boundaries:', error);
+            this.boundaries[this.level] = null;
+            this.showEmpty('Boundaries Not Available', `Could not load ${this.LEVELS[this.level].file}.`);
+            return;
+        }
+        
+        // Another render may have started while the boundaries loaded
+        if (this.lastData !== data) return;
+        this.renderRegions(geojson, regions);
+    },
+
+    /**
+     * Region key for a boundary feature (borough name, or state postal code)
+     */
+    getFeatureKey(feature) {
+        if (this.level === 'borough') return feature.properties.name;
+        return Object.keys(Address.STATES).find(code => Address.STATES[code] === feature.properties.name) || feature.properties.name;
+    },
+
+    /**
+     * Draw a choropleth of amount per region
+     */
+    renderRegions(geojson, regions) {
+        const container = document.getElementById('map-chart');
+        container.innerHTML = '';
+        
+        const rect = container.getBoundingClientRect();
+        const width = rect.width;
+        const height = Math.max(rect.height, 500);
+        const padding = 20;
+        
+        const projection = this.level === 'state' ? d3.geoAlbersUsa() : d3.geoMercator();
+        projection.fitExtent([[padding, padding], [width - padding, height - padding]], geojson);
+        const path = d3.geoPath(projection);
+        
+        const max = d3.max(Array.from(regions.values()), r => r.amount) || 1;
+        const color = d3.scaleSequentialLog(d3.interpolateOranges).domain([Math.min(1000, max), max]).clamp(true);
+        const selected = new Set(Filters.state.selectedLocations);
+        
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+        
+        svg.append('g')
+            .selectAll('path')
+            .data(geojson.features.filter(f => path(f)))
+            .join('path')
+            .attr('class', f => `map-region${selected.has(`${this.level}:${this.getFeatureKey(f)}`) ? ' selected' : ''}`)
+            .attr('d', path)
+            .style('fill', f => {
+                const region = regions.get(this.getFeatureKey(f));
+                return region ? color(Math.max(region.amount, 1)) : null;
+            })
+            .on('mouseover', (event, f) => this.showTooltip(event, this.getFeatureKey(f), regions))
+            .on('mousemove', (event) => {
+                Utils.showTooltip(
+                    document.getElementById('tooltip').innerHTML,
+                    event.clientX,
+                    event.clientY
+                );
+            })
+            .on('mouseout', () => Utils.hideTooltip())
+            .on('click', (event, f) => this.handleRegionClick(this.getFeatureKey(f)));
+        
+        // Borough names (states are too small to label)
+        if (this.level === 'borough') {
+            svg.append('g')
+                .selectAll('text')
+                .data(geojson.features)
+                .join('text')
+                .attr('class', 'map-label')
+                .attr('transform', f => `translate(${path.centroid(f)})`)
+                .attr('text-anchor', 'middle')
+                .text(f => f.properties.name);
+        }
+    },
+
+    /**
+     * List the top ZIP codes as bars (no ZIP boundaries are bundled)
+     */
+    renderZips(regions) {
+        const container = document.getElementById('map-chart');
+        const zips = Array.from(regions.entries())
+            .sort((a, b) => b[1].amount - a[1].amount)
+            .slice(0, this.MAX_ZIPS);
+        
+        if (zips.length === 0) {
+            this.showEmpty('No ZIP Codes Found', 'None of the loaded vendor addresses include a ZIP code.');
+            return;
+        }
+        
+        const max = zips[0][1].amount || 1;
+        const selected = new Set(Filters.state.selectedLocations);
+        
+        container.innerHTML = `
+            <div class="map-zips">
+                ${zips.map(([zip, region]) => {
+                    const borough = Address.getBorough({ zip });
+                    return `
+                        <button class="map-zip${selected.has(`zip:${zip}`) ? ' selected' : ''}" data-zip="${zip}">
+                            <span class="map-zip-code">${zip}</span>
+                            <span class="map-zip-place">${borough || 'Outside NYC'}</span>
+                            <span class="map-zip-bar"><span style="width: ${(region.amount / max * 100).toFixed(1)}%"></span></span>
+                            <span class="map-zip-value">${Utils.formatCurrency(region.amount)}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-zip]').forEach(button => {
+            button.addEventListener('mouseover', (event) => this.showTooltip(event, button.dataset.zip, regions));
+            button.addEventListener('mouseout', () => Utils.hideTooltip());
+            button.addEventListener('click', () => this.handleRegionClick(button.dataset.zip));
+        });
+    },
+
+    /**
+     * Show tooltip for a region
+     */
+    showTooltip(event, key, regions) {
+        const region = regions.get(key);
+        const name = this.level === 'state' ? Address.STATES[key] || key : key;
+        const topVendors = region
+            ? Array.from(region.vendors.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5)
+            : [];
+        
+        const content = `
+            <div class="tooltip-title">${Utils.escapeHtml(name)}</div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Total Amount</span>
+                <span class="tooltip-value amount">${Utils.formatCurrencyFull(region ? region.amount : 0)}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Contracts</span>
+                <span class="tooltip-value">${Utils.formatNumber(region ? region.count : 0)}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Vendors</span>
+                <span class="tooltip-value">${Utils.formatNumber(region ? region.vendors.size : 0)}</span>
+            </div>
+            ${topVendors.length ? `<div class="tooltip-info">${topVendors
+                .map(([vendor, amount]) => `${Utils.escapeHtml(Utils.truncate(vendor, 40))} (${Utils.formatCurrency(amount)})`)
+                .join('<br>')}</div>` : ''}
+            ${region ? '<div class="tooltip-info">Click to filter to vendors located here.</div>' : ''}
+        `;
+        
+        Utils.showTooltip(content, event.clientX, event.clientY);
+    },
+
+    /**
+     * Handle region click - toggle the vendor location filter
+     */
+    handleRegionClick(key) {
+        Utils.hideTooltip();
+        Filters.toggleLocation(`${this.level}:${key}`);
+    },
+
+    /**
+     * Show empty state
+     */
+    showEmpty(title, message) {
+        document.getElementById('map-summary').innerHTML = '';
+        const container = document.getElementById('map-chart');
+        container.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <path d="M9 4L3 6v14l6-2 6 2 6-2V4l-6 2-6-2z" stroke-dasharray="2 2"/>
+                    <path d="M9 4v14M15 6v14"/>
+                </svg>
+                <h3>${title}</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+};
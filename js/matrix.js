@@ -4,14 +4,266 @@
 
 const MatrixChart = {
     lastData: null,
+    // Header whose values order the other axis ({ type, name }); null follows the global sort
     sortColumn: null,
     sortDirection: 'desc',
+    // Rows and columns shown before the rest roll up into "Other"
+    topVendors: 50,
+    topAgencies: 30,
+    // Extra tiers revealed by clicking "Other"
+    expanded: { vendor: 0, agency: 0 },
+    rollups: null,
+    // Flag counts per cell of the last render (see getCellFlags)
+    cellFlags: new Map(),
+    // Cell value and color scale (key of METRICS)
+    metric: 'amount',
+    // 'default' keeps the global sort; 'cluster' groups rows and columns with similar profiles
+    order: 'default',
+    ORDERS: ['default', 'cluster'],
+    // Cell whose contracts are listed under its row ({ vendor, agency })
+    drill: null,
+    // Contracts listed in an inline drill-down
+    MAX_DRILL: 25,
+
+    // value(cell, rowTotal) for a cell and its row, format(value) for display
+    METRICS: {
+        amount: {
+            label: 'Amount',
+            value: cell => cell.amount,
+            format: value => Utils.formatCurrency(value)
+        },
+        count: {
+            label: 'Contracts',
+            value: cell => cell.count,
+            format: value => Utils.formatNumber(value)
+        },
+        average: {
+            label: 'Average Award',
+            value: cell => cell.count > 0 ? cell.amount / cell.count : 0,
+            format: value => Utils.formatCurrency(value)
+        },
+        share: {
+            label: 'Share of Row',
+            value: (cell, total) => total.amount > 0 ? cell.amount / total.amount : 0,
+            format: value => `${(value * 100).toFixed(1)}%`
+        }
+    },
 
     /**
      * Initialize the matrix view
      */
     init() {
-        // Nothing special needed for initialization
+        [['matrix-top-vendors', 'topVendors'], ['matrix-top-agencies', 'topAgencies']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.value = this[key];
+            input.addEventListener('change', () => {
+                this[key] = Math.max(1, parseInt(input.value) || this[key]);
+                input.value = this[key];
+                this.expanded = { vendor: 0, agency: 0 };
+                if (this.lastData) {
+                    this.render(this.lastData);
+                }
+            });
+        });
+        
+        const metricSelect = document.getElementById('matrix-metric');
+        metricSelect.innerHTML = Object.entries(this.METRICS)
+            .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+            .join('');
+        metricSelect.value = this.metric;
+        
+        [['matrix-metric', 'metric'], ['matrix-order', 'order']].forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            select.value = this[key];
+            select.addEventListener('change', () => {
+                this[key] = select.value;
+                if (this.lastData) {
+                    this.render(this.lastData);
+                }
+            });
+        });
+    },
+
+    /**
+     * Build the vendor and agency rollups for the current limits
+     */
+    getRollups(data) {
+        const sortBy = Filters.state.sortBy;
+        const limit = type => (type === 'vendor' ? this.topVendors : this.topAgencies) * (1 + this.expanded[type]);
+        
+        return {
+            vendor: API.getRollup(data, r => API.getMatrixName(r, 'vendor'), limit('vendor'), sortBy, 'Other vendors'),
+            agency: API.getRollup(data, r => API.getMatrixName(r, 'agency'), limit('agency'), sortBy, 'Other agencies')
+        };
+    },
+
+    /**
+     * Class and data attributes for a row or column header
+     * Headers sort the other axis by their values; the "Other" header expands the next tier
+     */
+    getHeaderAttrs(type, name, className) {
+        const rollup = this.rollups[type];
+        if (name === rollup.other) {
+            const step = type === 'vendor' ? this.topVendors : this.topAgencies;
+            return `class="${className} matrix-other" data-expand="${type}"
+                title="${Utils.formatNumber(rollup.hidden)} more ${type === 'vendor' ? 'vendors' : 'agencies'}. Click to show the next ${step}."`;
+        }
+        
+        const sorted = this.isSorted(type, name);
+        return `class="${className} matrix-sortable${sorted ? ' sorted' : ''}"
+            title="${Utils.escapeHtml(name)} - click to sort ${type === 'vendor' ? 'agencies' : 'vendors'} by this ${type}"
+            data-sort-type="${type}" data-sort-name="${Utils.escapeHtml(name)}"`;
+    },
+
+    /**
+     * Header label with a sort arrow and a profile button, or the rolled-up count for "Other"
+     */
+    getHeaderLabel(type, name, length) {
+        const rollup = this.rollups[type];
+        if (name === rollup.other) {
+            return `${name} (${Utils.formatNumber(rollup.hidden)})`;
+        }
+        
+        const arrow = this.isSorted(type, name) ? (this.sortDirection === 'desc' ? ' &darr;' : ' &uarr;') : '';
+        return `<button class="matrix-profile" title="Open ${type} profile"
+                data-profile-type="${type}" data-profile-name="${Utils.escapeHtml(name)}">&#9432;</button>
+            ${Utils.escapeHtml(Utils.truncate(name, length))}${arrow}`;
+    },
+
+    /**
+     * Whether the matrix is sorted by this header
+     */
+    isSorted(type, name) {
+        return Boolean(this.sortColumn) && this.sortColumn.type === type && this.sortColumn.name === name;
+    },
+
+    /**
+     * Handle header click - sort descending, then ascending, then back to the default order
+     */
+    handleSort(type, name) {
+        if (!this.isSorted(type, name)) {
+            this.sortColumn = { type, name };
+            this.sortDirection = 'desc';
+        } else if (this.sortDirection === 'desc') {
+            this.sortDirection = 'asc';
+        } else {
+            this.sortColumn = null;
+        }
+        this.render(this.lastData);
+    },
+
+    /**
+     * Row and column display order for a grid of values
+     * Returns { rows: [index], cols: [index] } with "Other" kept last
+     */
+    getOrder(values, vendors, agencies) {
+        let rows = vendors.map((v, i) => i);
+        let cols = agencies.map((a, j) => j);
+        
+        if (this.order === 'cluster') {
+            rows = this.getClusterOrder(values);
+            cols = this.getClusterOrder(agencies.map((a, j) => values.map(row => row[j])));
+        }
+        
+        // A sorted column orders the rows, a sorted row orders the columns
+        const multiplier = this.sortDirection === 'desc' ? -1 : 1;
+        if (this.sortColumn && this.sortColumn.type === 'agency') {
+            const j = agencies.indexOf(this.sortColumn.name);
+            if (j !== -1) {
+                rows.sort((a, b) => multiplier * (values[a][j] - values[b][j]));
+            }
+        } else if (this.sortColumn && this.sortColumn.type === 'vendor') {
+            const i = vendors.indexOf(this.sortColumn.name);
+            if (i !== -1) {
+                cols.sort((a, b) => multiplier * (values[i][a] - values[i][b]));
+            }
+        }
+        
+        const last = (order, names, rollup) => {
+            const other = names.indexOf(rollup.other);
+            return other === -1 ? order : [...order.filter(i => i !== other), other];
+        };
+        return {
+            rows: last(rows, vendors, this.rollups.vendor),
+            cols: last(cols, agencies, this.rollups.agency)
+        };
+    },
+
+    /**
+     * Leaf order of an average-linkage hierarchical clustering on cosine distance
+     * Clusters are merged with a nearest-neighbor chain, O(n²) rather than rescanning every pair per merge;
+     * each merge joins the two clusters end to end, flipped so the nearest leaves meet
+     */
+    getClusterOrder(vectors) {
+        const n = vectors.length;
+        const norms = vectors.map(v => Math.sqrt(d3.sum(v, x => x * x)));
+        const leafDistance = vectors.map((a, i) => vectors.map((b, j) => {
+            if (!norms[i] || !norms[j]) return i === j ? 0 : 1;
+            return 1 - d3.sum(a, (x, k) => x * b[k]) / (norms[i] * norms[j]);
+        }));
+        
+        const distance = leafDistance.map(row => [...row]);
+        const clusters = vectors.map((v, i) => [i]);
+        const active = new Set(clusters.keys());
+        const chain = [];
+        
+        while (active.size > 1) {
+            if (!chain.length) {
+                chain.push(active.values().next().value);
+            }
+            
+            // Nearest active cluster to the end of the chain, keeping the previous link on ties
+            const i = chain[chain.length - 1];
+            const previous = chain.length > 1 ? chain[chain.length - 2] : null;
+            let nearest = previous;
+            active.forEach(k => {
+                if (k !== i && (nearest === null || distance[i][k] < distance[i][nearest])) {
+                    nearest = k;
+                }
+            });
+            if (nearest !== previous) {
+                chain.push(nearest);
+                continue;
+            }
+            
+            // Reciprocal nearest neighbors: merge them into the lower index
+            chain.length -= 2;
+            const [keep, drop] = i < nearest ? [i, nearest] : [nearest, i];
+            const a = clusters[keep];
+            const b = clusters[drop];
+            const joins = [
+                [a, b],
+                [[...a].reverse(), b],
+                [a, [...b].reverse()],
+                [[...a].reverse(), [...b].reverse()]
+            ];
+            const [left, right] = joins.reduce((closest, join) =>
+                leafDistance[join[0][join[0].length - 1]][join[1][0]] <
+                    leafDistance[closest[0][closest[0].length - 1]][closest[1][0]] ? join : closest
+            );
+            
+            // Lance-Williams update for average linkage
+            active.forEach(k => {
+                if (k === keep || k === drop) return;
+                const merged = (a.length * distance[k][keep] + b.length * distance[k][drop]) / (a.length + b.length);
+                distance[k][keep] = merged;
+                distance[keep][k] = merged;
+            });
+            clusters[keep] = [...left, ...right];
+            active.delete(drop);
+        }
+        
+        return n ? clusters[active.values().next().value] : [];
+    },
+
+    /**
+     * Records behind a (possibly rolled-up) cell
+     */
+    getCellRecords(vendor, agency, baseline = false) {
+        return (baseline ? App.baselineFiltered : this.lastData).filter(r =>
+            API.getMatrixName(r, 'vendor', this.rollups) === vendor &&
+            API.getMatrixName(r, 'agency', this.rollups) === agency
+        );
     },
 
     /**
@@ -19,6 +271,13 @@ const MatrixChart = {
      */
     render(data) {
         const container = document.getElementById('matrix-chart');
+        document.getElementById('matrix-context').textContent = '';
+        
+        // Compare mode shows change from the baseline period
+        if (App.baselineFiltered) {
+            this.renderCompare(data || [], App.baselineFiltered);
+            return;
+        }
         
         if (!data || data.length === 0) {
             this.showEmpty();
@@ -30,41 +289,33 @@ const MatrixChart = {
         // Get current sort setting
         const sortBy = Filters.state.sortBy;
         
-        // Aggregate data for matrix with sorting
-        const matrixData = API.aggregateForMatrix(data, sortBy);
+        // Aggregate data for matrix with sorting; entries past the limits roll up into "Other"
+        this.rollups = this.getRollups(data);
+        this.cellFlags = this.getCellFlags(data, this.rollups);
+        const matrixData = API.aggregateForMatrix(data, sortBy, this.rollups);
         
         if (matrixData.vendors.length === 0 || matrixData.agencies.length === 0) {
             this.showEmpty();
             return;
         }
         
-        // Limit dimensions for performance
-        const maxVendors = 50;
-        const maxAgencies = 30;
-        
-        // Vendors and agencies are already sorted by API, just limit them
-        const vendorOrder = matrixData.vendors
-            .slice(0, maxVendors)
-            .map((v, i) => ({ name: v, total: matrixData.vendorTotals[i], index: i }));
-        
-        const agencyOrder = matrixData.agencies
-            .slice(0, maxAgencies)
-            .map((a, i) => ({ name: a, total: matrixData.agencyTotals[i], index: i }));
-        
-        // Find max amount for color scale
-        let maxAmount = 0;
-        vendorOrder.forEach(v => {
-            agencyOrder.forEach(a => {
-                const cell = matrixData.matrix[v.index][a.index];
-                if (cell.amount > maxAmount) {
-                    maxAmount = cell.amount;
-                }
-            });
-        });
+        // Metric values per cell, then the display order
+        const metric = this.METRICS[this.metric];
+        const vendorTotals = matrixData.vendors
+            .map((v, i) => ({ amount: matrixData.vendorTotals[i], count: matrixData.vendorCounts[i] }));
+        const agencyTotals = matrixData.agencies
+            .map((a, j) => ({ amount: matrixData.agencyTotals[j], count: matrixData.agencyCounts[j] }));
+        const grandTotal = {
+            amount: d3.sum(vendorTotals, t => t.amount),
+            count: d3.sum(vendorTotals, t => t.count)
+        };
+        const values = matrixData.matrix.map((row, i) => row.map(cell => metric.value(cell, vendorTotals[i])));
+        const { rows, cols } = this.getOrder(values, matrixData.vendors, matrixData.agencies);
         
         // Color scale
+        const maxValue = d3.max(values, row => d3.max(row)) || 0;
         const colorScale = d3.scaleSequential()
-            .domain([0, maxAmount])
+            .domain([0, maxValue])
             .interpolator(d3.interpolateYlOrRd);
         
         // Build table HTML
@@ -73,11 +324,12 @@ const MatrixChart = {
         // Header row
         html += '<thead><tr>';
         html += '<th class="corner row-header">Vendor / Agency</th>';
-        agencyOrder.forEach(a => {
-            html += `<th class="matrix-cell" title="${Utils.escapeHtml(a.name)}">
-                ${Utils.escapeHtml(Utils.truncate(a.name, 20))}
+        cols.forEach(j => {
+            const agency = matrixData.agencies[j];
+            html += `<th ${this.getHeaderAttrs('agency', agency, 'matrix-cell')}>
+                ${this.getHeaderLabel('agency', agency, 20)}
                 <div style="font-size:0.7rem;color:#6b7280;font-weight:400;">
-                    ${Utils.formatCurrency(a.total)}
+                    ${metric.format(metric.value(agencyTotals[j], grandTotal))}
                 </div>
             </th>`;
         });
@@ -86,63 +338,412 @@ const MatrixChart = {
         
         // Data rows
         html += '<tbody>';
-        vendorOrder.forEach(v => {
+        rows.forEach(i => {
+            const vendor = matrixData.vendors[i];
             html += '<tr>';
-            html += `<th class="row-header" title="${Utils.escapeHtml(v.name)}">
-                ${Utils.escapeHtml(Utils.truncate(v.name, 30))}
+            html += `<th ${this.getHeaderAttrs('vendor', vendor, 'row-header')}>
+                ${this.getHeaderLabel('vendor', vendor, 30)}
             </th>`;
             
-            agencyOrder.forEach(a => {
-                const cell = matrixData.matrix[v.index][a.index];
-                const bgColor = cell.amount > 0 ? colorScale(cell.amount) : 'transparent';
-                const textColor = cell.amount > maxAmount * 0.5 ? '#fff' : '#e8eaed';
+            cols.forEach(j => {
+                const agency = matrixData.agencies[j];
+                const cell = matrixData.matrix[i][j];
+                const value = values[i][j];
+                const bgColor = cell.amount > 0 ? colorScale(value) : 'transparent';
+                const textColor = value > maxValue * 0.5 ? '#fff' : '#e8eaed';
                 
-                html += `<td class="matrix-cell" 
+                html += `<td class="matrix-cell${this.isDrilled(vendor, agency) ? ' drilled' : ''}" 
                     style="background-color:${bgColor};color:${textColor}"
-                    data-vendor="${Utils.escapeHtml(v.name)}"
-                    data-agency="${Utils.escapeHtml(a.name)}"
+                    data-vendor="${Utils.escapeHtml(vendor)}"
+                    data-agency="${Utils.escapeHtml(agency)}"
                     data-amount="${cell.amount}"
                     data-count="${cell.count}">
-                    ${cell.amount > 0 ? Utils.formatCurrency(cell.amount) : '-'}
+                    ${cell.amount > 0 ? metric.format(value) : '-'}
                 </td>`;
             });
             
             // Row total
             html += `<td class="matrix-cell" style="background:#232a35;font-weight:600;">
-                ${Utils.formatCurrency(v.total)}
+                ${metric.format(metric.value(vendorTotals[i], vendorTotals[i]))}
             </td>`;
             
             html += '</tr>';
+            html += this.renderDrillRow(vendor, cols.length + 2);
         });
         
         // Footer row with column totals
         html += '<tr>';
         html += '<th class="row-header" style="font-weight:600;">Total</th>';
-        agencyOrder.forEach(a => {
+        cols.forEach(j => {
             html += `<td class="matrix-cell" style="background:#232a35;font-weight:600;">
-                ${Utils.formatCurrency(a.total)}
+                ${metric.format(metric.value(agencyTotals[j], grandTotal))}
             </td>`;
         });
         
-        // Grand total
-        const grandTotal = vendorOrder.reduce((sum, v) => sum + v.total, 0);
+        // Grand total (every vendor is shown or rolled up, so this matches the header stats)
         html += `<td class="matrix-cell" style="background:#ff6b4a;color:#0d0f12;font-weight:700;">
-            ${Utils.formatCurrency(grandTotal)}
+            ${metric.format(metric.value(grandTotal, grandTotal))}
         </td>`;
         html += '</tr>';
         
         html += '</tbody></table>';
         
         container.innerHTML = html;
+        this.renderContext();
         
         // Add hover events
         this.bindCellEvents();
     },
 
+    /**
+     * Describe the active metric and ordering next to the title
+     */
+    renderContext(prefix = '') {
+        const parts = prefix ? [prefix] : [];
+        if (this.metric !== 'amount') {
+            parts.push(this.METRICS[this.metric].label);
+        }
+        if (this.order === 'cluster') {
+            parts.push('clustered');
+        }
+        if (this.sortColumn) {
+            parts.push(`sorted by ${Utils.truncate(this.sortColumn.name, 30)}`);
+        }
+        document.getElementById('matrix-context').textContent = parts.join(' · ');
+    },
+
+    /**
+     * Count records and flags per cell once per render, for cell tooltips
+     * Returns Map("vendor|||agency" -> { records, flags: Map(rule id -> count) })
+     */
+    getCellFlags(data, rollups) {
+        const cells = new Map();
+        data.forEach(record => {
+            const key = `${API.getMatrixName(record, 'vendor', rollups)}|||${API.getMatrixName(record, 'agency', rollups)}`;
+            const cell = cells.get(key) || { records: 0, flags: new Map() };
+            cell.records += 1;
+            (record.flags || []).forEach(id => cell.flags.set(id, (cell.flags.get(id) || 0) + 1));
+            cells.set(key, cell);
+        });
+        return cells;
+    },
+
+    /**
+     * Sum amounts and counts per cell, vendor and agency
+     */
+    getTotals(data, rollups = {}) {
+        const totals = { cells: new Map(), vendors: new Map(), agencies: new Map() };
+        const add = (map, key, record) => {
+            const entry = map.get(key) || { amount: 0, count: 0 };
+            entry.amount += record.contract_amount || 0;
+            entry.count += record.contract_count || 1;
+            map.set(key, entry);
+        };
+        
+        data.forEach(record => {
+            const vendor = API.getMatrixName(record, 'vendor', rollups);
+            const agency = API.getMatrixName(record, 'agency', rollups);
+            add(totals.cells, `${vendor}|||${agency}`, record);
+            add(totals.vendors, vendor, record);
+            add(totals.agencies, agency, record);
+        });
+        
+        return totals;
+    },
+
+    /**
+     * Format a change as "+$1.2M" (or with another metric's format)
+     */
+    formatDelta(value, format = v => Utils.formatCurrency(v)) {
+        if (value === 0) return '0';
+        return `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`;
+    },
+
+    /**
+     * Format a percent change ("new" when there was no baseline)
+     */
+    formatPercent(current, baseline) {
+        if (baseline === 0) return current > 0 ? 'new' : '';
+        const pct = Math.round((current - baseline) / baseline * 100);
+        return `${pct > 0 ? '+' : pct < 0 ? '−' : ''}${Math.abs(pct)}%`;
+    },
+
+    /**
+     * Render the matrix as change from the baseline period
+     */
+    renderCompare(data, baseline) {
+        const container = document.getElementById('matrix-chart');
+        
+        // Order and roll up rows and columns over both periods so vanished pairs still appear
+        const combined = [...data, ...baseline];
+        this.rollups = this.getRollups(combined);
+        const matrixData = API.aggregateForMatrix(combined, Filters.state.sortBy, this.rollups);
+        if (matrixData.vendors.length === 0 || matrixData.agencies.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        this.lastData = data;
+        this.cellFlags = this.getCellFlags(data, this.rollups);
+        
+        const current = this.getTotals(data, this.rollups);
+        const base = this.getTotals(baseline, this.rollups);
+        const empty = { amount: 0, count: 0 };
+        const vendors = matrixData.vendors;
+        const agencies = matrixData.agencies;
+        const metric = this.METRICS[this.metric];
+        const grandCurrent = { amount: d3.sum(data, r => r.contract_amount || 0), count: d3.sum(data, r => r.contract_count || 1) };
+        const grandBaseline = { amount: d3.sum(baseline, r => r.contract_amount || 0), count: d3.sum(baseline, r => r.contract_count || 1) };
+        
+        // Metric change per cell, measured against each period's own row total
+        const getValues = (v, a) => {
+            const key = `${v}|||${a}`;
+            return [
+                metric.value(current.cells.get(key) || empty, current.vendors.get(v) || empty),
+                metric.value(base.cells.get(key) || empty, base.vendors.get(v) || empty)
+            ];
+        };
+        const changes = vendors.map(v => agencies.map(a => {
+            const [cur, old] = getValues(v, a);
+            return cur - old;
+        }));
+        const { rows, cols } = this.getOrder(changes, vendors, agencies);
+        
+        // Diverging scale through the background color: decreases blue, increases orange
+        const maxChange = d3.max(changes, row => d3.max(row, Math.abs)) || 0;
+        const colorScale = d3.scaleDiverging()
+            .domain([-maxChange || -1, 0, maxChange || 1])
+            .interpolator(d3.interpolateRgbBasis(['#3b82f6', '#1c2129', '#ff6b4a']));
+        
+        const renderValue = (cur, old) => `
+            ${this.formatDelta(cur - old, metric.format)}
+            <div class="matrix-delta-pct">${this.formatPercent(cur, old)}</div>
+        `;
+        
+        let html = '<table class="matrix-table">';
+        
+        // Header row
+        html += '<thead><tr>';
+        html += '<th class="corner row-header">Vendor / Agency</th>';
+        cols.forEach(j => {
+            const a = agencies[j];
+            const cur = metric.value(current.agencies.get(a) || empty, grandCurrent);
+            const old = metric.value(base.agencies.get(a) || empty, grandBaseline);
+            html += `<th ${this.getHeaderAttrs('agency', a, 'matrix-cell')}>
+                ${this.getHeaderLabel('agency', a, 20)}
+                <div style="font-size:0.7rem;color:#6b7280;font-weight:400;">
+                    ${this.formatDelta(cur - old, metric.format)}
+                </div>
+            </th>`;
+        });
+        html += '<th class="matrix-cell">Total</th>';
+        html += '</tr></thead>';
+        
+        // Data rows
+        html += '<tbody>';
+        rows.forEach(i => {
+            const v = vendors[i];
+            html += '<tr>';
+            html += `<th ${this.getHeaderAttrs('vendor', v, 'row-header')}>
+                ${this.getHeaderLabel('vendor', v, 30)}
+            </th>`;
+            
+            cols.forEach(j => {
+                const a = agencies[j];
+                const key = `${v}|||${a}`;
+                const cur = current.cells.get(key) || empty;
+                const old = base.cells.get(key) || empty;
+                const hasData = cur.amount > 0 || old.amount > 0;
+                
+                html += `<td class="matrix-cell${this.isDrilled(v, a) ? ' drilled' : ''}"
+                    style="background-color:${hasData ? colorScale(changes[i][j]) : 'transparent'}"
+                    data-vendor="${Utils.escapeHtml(v)}"
+                    data-agency="${Utils.escapeHtml(a)}"
+                    data-amount="${cur.amount}"
+                    data-count="${cur.count}"
+                    data-baseline="${old.amount}"
+                    data-baseline-count="${old.count}">
+                    ${hasData ? renderValue(...getValues(v, a)) : '-'}
+                </td>`;
+            });
+            
+            // Row total
+            const curRow = current.vendors.get(v) || empty;
+            const oldRow = base.vendors.get(v) || empty;
+            html += `<td class="matrix-cell" style="background:#232a35;font-weight:600;">
+                ${renderValue(metric.value(curRow, curRow), metric.value(oldRow, oldRow))}
+            </td>`;
+            
+            html += '</tr>';
+            html += this.renderDrillRow(v, cols.length + 2);
+        });
+        
+        // Footer row with column totals
+        html += '<tr>';
+        html += '<th class="row-header" style="font-weight:600;">Total</th>';
+        cols.forEach(j => {
+            const a = agencies[j];
+            html += `<td class="matrix-cell" style="background:#232a35;font-weight:600;">
+                ${renderValue(
+                    metric.value(current.agencies.get(a) || empty, grandCurrent),
+                    metric.value(base.agencies.get(a) || empty, grandBaseline)
+                )}
+            </td>`;
+        });
+        
+        html += `<td class="matrix-cell" style="background:#ff6b4a;color:#0d0f12;font-weight:700;">
+            ${renderValue(metric.value(grandCurrent, grandCurrent), metric.value(grandBaseline, grandBaseline))}
+        </td>`;
+        html += '</tr>';
+        
+        html += '</tbody></table>';
+        
+        container.innerHTML = html;
+        
+        const { baselineStart, baselineEnd } = Filters.state;
+        this.renderContext(
+            `Change from ${Utils.formatDateDisplay(`${baselineStart}T00:00:00`)} – ${Utils.formatDateDisplay(`${baselineEnd}T00:00:00`)}`
+        );
+        
+        this.bindCellEvents();
+    },
+
+    /**
+     * Whether a cell's contracts are listed
+     */
+    isDrilled(vendor, agency) {
+        return Boolean(this.drill) && this.drill.vendor === vendor && this.drill.agency === agency;
+    },
+
+    /**
+     * Open or close the inline contract list for a cell
+     */
+    toggleDrill(vendor, agency) {
+        this.drill = this.isDrilled(vendor, agency) ? null : { vendor, agency };
+        this.render(this.lastData);
+    },
+
+    /**
+     * Full-width row under a vendor listing the drilled cell's contracts
+     */
+    renderDrillRow(vendor, colspan) {
+        if (!this.drill || this.drill.vendor !== vendor) return '';
+        
+        const { agency } = this.drill;
+        const records = this.getCellRecords(vendor, agency);
+        const baseline = App.baselineFiltered ? this.getCellRecords(vendor, agency, true) : null;
+        const isOther = vendor === this.rollups.vendor.other || agency === this.rollups.agency.other;
+        
+        return `
+            <tr class="matrix-drill-row">
+                <td colspan="${colspan}">
+                    <div class="matrix-drill">
+                        <div class="matrix-drill-header">
+                            <strong>${Utils.escapeHtml(vendor)} → ${Utils.escapeHtml(agency)}</strong>
+                            <span class="matrix-drill-summary">
+                                ${Utils.formatNumber(records.length)} contract${records.length === 1 ? '' : 's'} ·
+                                ${Utils.formatCurrencyFull(d3.sum(records, r => r.contract_amount || 0))}
+                            </span>
+                            ${Flags.renderBadges(records)}
+                            <div class="matrix-drill-actions">
+                                ${isOther ? '' : '<button class="btn btn-secondary btn-small" data-drill-action="filter">Filter to pair</button>'}
+                                <button class="btn btn-secondary btn-small" data-drill-action="records">Open in Records</button>
+                                <button class="btn btn-secondary btn-small" data-drill-action="close">Close</button>
+                            </div>
+                        </div>
+                        ${this.renderDrillTable(records)}
+                        ${baseline ? `<h4>Baseline period</h4>${this.renderDrillTable(baseline)}` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    },
+
+    /**
+     * Table of the largest contracts in a drilled cell
+     */
+    renderDrillTable(records) {
+        if (records.length === 0) {
+            return '<p class="matrix-drill-empty">No contracts.</p>';
+        }
+        
+        const top = [...records]
+            .sort((a, b) => (b.contract_amount || 0) - (a.contract_amount || 0))
+            .slice(0, this.MAX_DRILL);
+        
+        return `
+            <table class="records-table matrix-drill-table">
+                <thead><tr>
+                    <th>Start Date</th>
+                    <th>Title</th>
+                    <th>Selection Method</th>
+                    <th>Amount</th>
+                </tr></thead>
+                <tbody>
+                    ${top.map(r => `
+                        <tr>
+                            <td>${Utils.formatDateDisplay(r.start_date)}</td>
+                            <td title="${Utils.escapeHtml(r.short_title)}">${SearchIndex.highlight(r.short_title || r.request_id, 60)}</td>
+                            <td>${Utils.escapeHtml(Utils.truncate(r.selection_method_description, 30))}</td>
+                            <td class="amount">${Utils.formatCurrencyFull(r.contract_amount)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${records.length > top.length ? `<p class="matrix-drill-more">Largest ${top.length} of ${Utils.formatNumber(records.length)}. Open in Records to see all.</p>` : ''}
+        `;
+    },
+
+    /**
+     * Handle a drill-down button
+     */
+    handleDrillAction(action) {
+        const { vendor, agency } = this.drill;
+        
+        if (action === 'filter') {
+            this.drill = null;
+            Filters.addSelection('vendor', vendor);
+            Filters.addSelection('agency', agency);
+            App.applyClientFilters();
+        } else if (action === 'records') {
+            App.showRecords(this.getCellRecords(vendor, agency), `${vendor} → ${agency}`);
+        } else {
+            this.drill = null;
+            this.render(this.lastData);
+        }
+    },
+
     /**
      * Bind cell hover and click events
      */
     bindCellEvents() {
+        // Profile buttons open the entity profile
+        document.querySelectorAll('#matrix-chart [data-profile-type]').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                ProfilePanel.open(button.dataset.profileType, button.dataset.profileName);
+            });
+        });
+        
+        // Header clicks sort the other axis
+        document.querySelectorAll('#matrix-chart [data-sort-type]').forEach(header => {
+            header.addEventListener('click', () => {
+                this.handleSort(header.dataset.sortType, header.dataset.sortName);
+            });
+        });
+        
+        // "Other" headers reveal the next tier of rows or columns
+        document.querySelectorAll('#matrix-chart [data-expand]').forEach(header => {
+            header.addEventListener('click', () => {
+                this.expanded[header.dataset.expand]++;
+                this.render(this.lastData);
+            });
+        });
+        
+        document.querySelectorAll('#matrix-chart [data-drill-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleDrillAction(button.dataset.drillAction));
+        });
+        
         const cells = document.querySelectorAll('.matrix-cell[data-vendor]');
         
         cells.forEach(cell => {
@@ -151,13 +752,15 @@ const MatrixChart = {
                 const agency = cell.dataset.agency;
                 const amount = parseFloat(cell.dataset.amount);
                 const count = parseInt(cell.dataset.count);
+                const baseline = cell.dataset.baseline !== undefined ? parseFloat(cell.dataset.baseline) : null;
                 
-                if (amount > 0) {
+                if (amount > 0 || baseline > 0) {
+                    const flags = this.cellFlags.get(`${vendor}|||${agency}`);
                     const content = `
-                        <div class="tooltip-title">${Utils.escapeHtml(vendor)}</div>
+                        <div class="tooltip-title">${SearchIndex.highlight(vendor)}</div>
                         <div class="tooltip-row">
                             <span class="tooltip-label">Agency</span>
-                            <span class="tooltip-value">${Utils.escapeHtml(agency)}</span>
+                            <span class="tooltip-value">${SearchIndex.highlight(agency)}</span>
                         </div>
                         <div class="tooltip-row">
                             <span class="tooltip-label">Total Amount</span>
@@ -167,6 +770,21 @@ const MatrixChart = {
                             <span class="tooltip-label">Contracts</span>
                             <span class="tooltip-value">${Utils.formatNumber(count)}</span>
                         </div>
+                        ${baseline !== null ? `
+                            <div class="tooltip-row">
+                                <span class="tooltip-label">Baseline Amount</span>
+                                <span class="tooltip-value">${Utils.formatCurrencyFull(baseline)}</span>
+                            </div>
+                            <div class="tooltip-row">
+                                <span class="tooltip-label">Baseline Contracts</span>
+                                <span class="tooltip-value">${Utils.formatNumber(parseInt(cell.dataset.baselineCount))}</span>
+                            </div>
+                            <div class="tooltip-row">
+                                <span class="tooltip-label">Change</span>
+                                <span class="tooltip-value amount">${this.formatDelta(amount - baseline)} ${this.formatPercent(amount, baseline)}</span>
+                            </div>
+                        ` : ''}
+                        ${flags ? Flags.renderCounts(flags.flags, flags.records > 1) : ''}
                     `;
                     
                     Utils.showTooltip(content, event.clientX, event.clientY);
@@ -174,7 +792,7 @@ const MatrixChart = {
             });
             
             cell.addEventListener('mousemove', (event) => {
-                if (parseFloat(cell.dataset.amount) > 0) {
+                if (parseFloat(cell.dataset.amount) > 0 || parseFloat(cell.dataset.baseline) > 0) {
                     Utils.showTooltip(
                         document.getElementById('tooltip').innerHTML,
                         event.clientX,
@@ -191,22 +809,20 @@ const MatrixChart = {
                 const vendor = cell.dataset.vendor;
                 const agency = cell.dataset.agency;
                 const amount = parseFloat(cell.dataset.amount);
+                const baselineOnly = amount === 0 && parseFloat(cell.dataset.baseline) > 0;
+                const isOther = vendor === this.rollups.vendor.other || agency === this.rollups.agency.other;
                 
-                if (amount > 0) {
-                    // Add both filters
-                    if (!Filters.state.selectedVendors.includes(vendor)) {
-                        Filters.state.selectedVendors.push(vendor);
-                        Filters.updateTags('vendor');
-                        Filters.syncDropdown('vendor-filter', Filters.state.selectedVendors);
-                    }
-                    
-                    if (!Filters.state.selectedAgencies.includes(agency)) {
-                        Filters.state.selectedAgencies.push(agency);
-                        Filters.updateTags('agency');
-                        Filters.syncDropdown('agency-filter', Filters.state.selectedAgencies);
+                if (!(amount > 0 || baselineOnly)) return;
+                Utils.hideTooltip();
+                
+                if (Filters.state.dataMode === 'aggregate') {
+                    // Server-side totals: load the underlying contracts (rolled-up cells have no single pair to fetch)
+                    if (!isOther) {
+                        App.drillDown(vendor, agency, baselineOnly);
                     }
-                    
-                    App.applyClientFilters();
+                } else {
+                    // List the cell's contracts under its row
+                    this.toggleDrill(vendor, agency);
                 }
             });
         });
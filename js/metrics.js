@@ -0,0 +1,345 @@
+/**
+ * Metrics module - spending concentration and competition metrics for the filtered data
+ */
+
+const MetricsPanel = {
+    lastData: null,
+    // 'agencies', 'vendors' or 'methods'
+    table: 'agencies',
+    sortColumn: 'amount',
+    sortDirection: 'desc',
+    // Selection methods counted as competitive (non-competitive ones come from the flag rules,
+    // plus any method that says so, which wins over the competitive pattern)
+    COMPETITIVE_PATTERN: /(?<!non[- ]?)competitive|sealed bid|proposal|\brfp\b|\bbid\b/i,
+    NON_COMPETITIVE_PATTERN: /\bnon[- ]?competitive/i,
+
+    TABLES: {
+        agencies: {
+            label: 'Agency Concentration',
+            dataset: 'concentration',
+            columns: [
+                { key: 'agency', label: 'Agency', type: 'text' },
+                { key: 'amount', label: 'Amount', type: 'amount' },
+                { key: 'contracts', label: 'Contracts', type: 'number' },
+                { key: 'vendors', label: 'Vendors', type: 'number' },
+                { key: 'hhi', label: 'HHI', type: 'hhi', title: 'Herfindahl-Hirschman Index across vendors (0-10,000)' },
+                { key: 'top1', label: 'Top Vendor', type: 'share', title: 'Share of dollars to the largest vendor' },
+                { key: 'top5', label: 'Top 5', type: 'share', title: 'Share of dollars to the five largest vendors' },
+                { key: 'topVendor', label: 'Largest Vendor', type: 'text' },
+                { key: 'competitive', label: 'Competitive', type: 'share' },
+                { key: 'nonCompetitive', label: 'Non-competitive', type: 'share' },
+                { key: 'otherMethods', label: 'Other Methods', type: 'share', title: 'Selection methods that are neither, or missing' }
+            ]
+        },
+        vendors: {
+            label: 'Vendor Dependence',
+            dataset: 'dependence',
+            columns: [
+                { key: 'vendor', label: 'Vendor', type: 'text' },
+                { key: 'amount', label: 'Amount', type: 'amount' },
+                { key: 'contracts', label: 'Contracts', type: 'number' },
+                { key: 'agencies', label: 'Agencies', type: 'number' },
+                { key: 'topAgency', label: 'Main Agency', type: 'text' },
+                { key: 'dependence', label: 'Dependence', type: 'share', title: "Share of the vendor's dollars from its main agency" }
+            ]
+        },
+        methods: {
+            label: 'Selection Methods',
+            dataset: 'methods',
+            columns: [
+                { key: 'method', label: 'Selection Method', type: 'text' },
+                { key: 'competition', label: 'Class', type: 'text' },
+                { key: 'amount', label: 'Amount', type: 'amount' },
+                { key: 'contracts', label: 'Contracts', type: 'number' },
+                { key: 'share', label: 'Share of Dollars', type: 'share' }
+            ]
+        }
+    },
+
+    /**
+     * Initialize the metrics view controls
+     */
+    init() {
+        const select = document.getElementById('metrics-table');
+        select.innerHTML = Object.entries(this.TABLES)
+            .map(([key, table]) => `<option value="${key}">${table.label}</option>`)
+            .join('');
+        select.value = this.table;
+        select.addEventListener('change', () => {
+            this.table = select.value;
+            this.sortColumn = 'amount';
+            this.sortDirection = 'desc';
+            this.rerender();
+        });
+        
+        document.getElementById('metrics-export').addEventListener('click', () => {
+            Export.download(this.TABLES[this.table].dataset, 'csv');
+        });
+        
+        document.getElementById('metrics-chart').addEventListener('click', (e) => {
+            const th = e.target.closest('th[data-sort]');
+            if (th) {
+                this.handleSort(th.dataset.sort);
+                return;
+            }
+            
+            const focus = e.target.closest('[data-focus]');
+            if (focus) {
+                SankeyChart.focus(focus.dataset.type, focus.dataset.focus);
+            }
+        });
+    },
+
+    /**
+     * Redraw with the last data
+     */
+    rerender() {
+        if (this.lastData) {
+            this.render(this.lastData);
+        }
+    },
+
+    /**
+     * Classify a selection method as 'competitive', 'non-competitive' or 'other'
+     * Non-competitive uses the Sole Source and Emergency flag patterns so both views agree
+     */
+    getCompetition(method) {
+        if (!method) return 'other';
+        
+        const nonCompetitive = Flags.RULES
+            .filter(rule => rule.id === 'sole_source' || rule.id === 'emergency')
+            .some(rule => Flags.toRegex(Flags.getConfig(rule).pattern).test(method));
+        if (nonCompetitive || this.NON_COMPETITIVE_PATTERN.test(method)) return 'non-competitive';
+        
+        return this.COMPETITIVE_PATTERN.test(method) ? 'competitive' : 'other';
+    },
+
+    /**
+     * Herfindahl-Hirschman Index for a list of amounts (0-10,000)
+     */
+    getHhi(amounts, total) {
+        if (total <= 0) return 0;
+        return amounts.reduce((sum, amount) => sum + (amount / total * 100) ** 2, 0);
+    },
+
+    /**
+     * Compute the agency, vendor and selection method tables
+     * Returns { agencies: [...], vendors: [...], methods: [...] }
+     */
+    compute(data) {
+        const amountOf = r => r.contract_amount || 0;
+        const countOf = r => r.contract_count || 1;
+        const sumBy = (records, key) => d3.rollups(records, v => d3.sum(v, amountOf), r => r[key] || 'Unknown')
+            .sort((a, b) => b[1] - a[1]);
+        const aggregate = data.length > 0 && data[0].is_aggregate;
+        const competitionCache = new Map();
+        const competitionOf = method => {
+            if (!competitionCache.has(method)) {
+                competitionCache.set(method, this.getCompetition(method));
+            }
+            return competitionCache.get(method);
+        };
+        
+        const agencies = d3.groups(data, r => r.agency_name || 'Unknown Agency').map(([agency, records]) => {
+            const amount = d3.sum(records, amountOf);
+            const byVendor = sumBy(records, 'vendor_name');
+            const byCompetition = d3.rollup(records, v => d3.sum(v, amountOf), r => competitionOf(r.selection_method_description));
+            const share = value => amount > 0 ? value / amount : 0;
+            
+            return {
+                agency,
+                amount,
+                contracts: d3.sum(records, countOf),
+                vendors: byVendor.length,
+                hhi: this.getHhi(byVendor.map(v => v[1]), amount),
+                top1: share(byVendor.length ? byVendor[0][1] : 0),
+                top5: share(d3.sum(byVendor.slice(0, 5), v => v[1])),
+                topVendor: byVendor.length ? byVendor[0][0] : '',
+                // Server-side totals carry no selection method
+                competitive: aggregate ? null : share(byCompetition.get('competitive') || 0),
+                nonCompetitive: aggregate ? null : share(byCompetition.get('non-competitive') || 0),
+                otherMethods: aggregate ? null : share(byCompetition.get('other') || 0)
+            };
+        });
+        
+        const vendors = d3.groups(data, r => r.vendor_name || 'Unknown Vendor').map(([vendor, records]) => {
+            const amount = d3.sum(records, amountOf);
+            const byAgency = sumBy(records, 'agency_name');
+            
+            return {
+                vendor,
+                amount,
+                contracts: d3.sum(records, countOf),
+                agencies: byAgency.length,
+                topAgency: byAgency.length ? byAgency[0][0] : '',
+                dependence: amount > 0 && byAgency.length ? byAgency[0][1] / amount : 0
+            };
+        });
+        
+        const total = d3.sum(data, amountOf);
+        const methods = aggregate ? [] : d3.groups(data, r => r.selection_method_description || '').map(([method, records]) => {
+            const amount = d3.sum(records, amountOf);
+            return {
+                method: method || 'Unknown',
+                competition: competitionOf(method),
+                amount,
+                contracts: d3.sum(records, countOf),
+                share: total > 0 ? amount / total : 0
+            };
+        });
+        
+        return { agencies, vendors, methods };
+    },
+
+    /**
+     * Sort rows by the selected column
+     */
+    sortRows(rows) {
+        const column = this.TABLES[this.table].columns.find(c => c.key === this.sortColumn);
+        const multiplier = this.sortDirection === 'desc' ? -1 : 1;
+        
+        return [...rows].sort((a, b) => {
+            if (column.type === 'text') {
+                return multiplier * String(a[column.key]).localeCompare(String(b[column.key]));
+            }
+            return multiplier * ((a[column.key] ?? -1) - (b[column.key] ?? -1));
+        });
+    },
+
+    /**
+     * Handle header click - toggle sort on a column
+     */
+    handleSort(key) {
+        if (this.sortColumn === key) {
+            this.sortDirection = this.sortDirection === 'desc' ? 'asc' : 'desc';
+        } else {
+            const column = this.TABLES[this.table].columns.find(c => c.key === key);
+            this.sortColumn = key;
+            this.sortDirection = column.type === 'text' ? 'asc' : 'desc';
+        }
+        this.rerender();
+    },
+
+    /**
+     * Format a metric cell
+     */
+    renderCell(row, column) {
+        const value = row[column.key];
+        
+        switch (column.type) {
+            case 'amount':
+                return `<td class="amount">${Utils.formatCurrencyFull(value)}</td>`;
+            case 'number':
+                return `<td class="amount">${Utils.formatNumber(value)}</td>`;
+            case 'share':
+                return `<td class="amount">${value === null ? '&ndash;' : `${(value * 100).toFixed(1)}%`}</td>`;
+            case 'hhi':
+                return `<td class="amount ${this.getHhiClass(value)}" title="${this.getHhiLabel(value)}">${Utils.formatNumber(Math.round(value))}</td>`;
+            default:
+                // Agency and vendor names focus the Sankey on that node
+                if (column.key === 'agency' || column.key === 'vendor' || column.key === 'topVendor' || column.key === 'topAgency') {
+                    const type = column.key === 'agency' || column.key === 'topAgency' ? 'agency' : 'vendor';
+                    return `<td><button class="link-btn" data-type="${type}" data-focus="${Utils.escapeHtml(value)}"
+                        title="Focus in the Sankey diagram">${Utils.escapeHtml(Utils.truncate(value, 45))}</button></td>`;
+                }
+                return `<td title="${Utils.escapeHtml(value)}">${Utils.escapeHtml(Utils.truncate(value, 45))}</td>`;
+        }
+    },
+
+    /**
+     * Concentration band for an HHI value (DOJ/FTC merger guideline thresholds)
+     */
+    getHhiLabel(hhi) {
+        if (hhi > 2500) return 'Highly concentrated';
+        if (hhi >= 1500) return 'Moderately concentrated';
+        return 'Unconcentrated';
+    },
+
+    /**
+     * CSS class for an HHI value
+     */
+    getHhiClass(hhi) {
+        if (hhi > 2500) return 'hhi-high';
+        if (hhi >= 1500) return 'hhi-moderate';
+        return 'hhi-low';
+    },
+
+    /**
+     * Render the selected metrics table
+     */
+    render(data) {
+        const container = document.getElementById('metrics-chart');
+        
+        if (!data || data.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        this.lastData = data;
+        const table = this.TABLES[this.table];
+        const rows = this.sortRows(this.compute(data)[this.table]);
+        
+        if (rows.length === 0) {
+            this.showEmpty('Server-side totals do not include selection methods. Switch the data mode to individual records.');
+            return;
+        }
+        
+        document.getElementById('metrics-context').textContent =
+            `${Utils.formatNumber(rows.length)} ${table.label.toLowerCase()}`;
+        
+        let html = '<table class="records-table metrics-table"><thead><tr>';
+        table.columns.forEach(column => {
+            const sorted = this.sortColumn === column.key;
+            const arrow = sorted ? (this.sortDirection === 'desc' ? ' &darr;' : ' &uarr;') : '';
+            html += `<th class="sortable${sorted ? ' sorted' : ''}" data-sort="${column.key}"${column.title ? ` title="${column.title}"` : ''}>
+                ${Utils.escapeHtml(column.label)}${arrow}
+            </th>`;
+        });
+        html += '</tr></thead><tbody>';
+        
+        rows.forEach(row => {
+            html += '<tr>';
+            table.columns.forEach(column => {
+                html += this.renderCell(row, column);
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        
+        container.innerHTML = html;
+    },
+
+    /**
+     * Rows of a metrics table for export
+     * Returns { key, name, columns: [...], rows: [[...]] }
+     */
+    buildTable(key, data) {
+        const [tableKey, table] = Object.entries(this.TABLES).find(([, t]) => t.dataset === key);
+        const rows = this.compute(data)[tableKey].sort((a, b) => b.amount - a.amount);
+        
+        return {
+            key,
+            name: table.label,
+            // topVendor -> top_vendor, like the other export columns
+            columns: table.columns.map(c => c.key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)),
+            rows: rows.map(row => table.columns.map(c => row[c.key] === null ? '' : row[c.key]))
+        };
+    },
+
+    /**
+     * Show empty state
+     */
+    showEmpty(message = 'Try adjusting your filters or date range to see contract data.') {
+        document.getElementById('metrics-context').textContent = '';
+        document.getElementById('metrics-chart').innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <circle cx="12" cy="12" r="9" stroke-dasharray="2 2"/>
+                    <path d="M12 3v9l6 6"/>
+                </svg>
+                <h3>No Metrics Available</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,471 @@
+/**
+ * Network module - force-directed vendor/agency graph using D3.js
+ */
+
+const NetworkChart = {
+    svg: null,
+    width: 0,
+    height: 0,
+    simulation: null,
+    lastData: null,
+    controlsBound: false,
+    // 'bipartite' (vendors and agencies) or 'vendors' (vendors linked by shared agencies and categories)
+    mode: 'bipartite',
+    // Vendors shown before any expansion (agencies get half as many)
+    topN: 40,
+    // Neighbors added per expanded node
+    NEIGHBORS: 12,
+    // Node ids whose neighborhoods are shown
+    expanded: new Set(),
+    // Label propagation passes for community detection
+    MAX_PASSES: 20,
+
+    MODES: {
+        bipartite: 'Vendors & agencies',
+        vendors: 'Vendors by shared agencies & categories'
+    },
+
+    /**
+     * Initialize the network chart
+     */
+    init() {
+        if (!this.controlsBound) {
+            this.bindControls();
+            this.controlsBound = true;
+        }
+        
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (this.lastData && App.activeTab === 'network') {
+                this.render(this.lastData);
+            }
+        }, 250));
+    },
+
+    /**
+     * Bind mode, top N and reset controls
+     */
+    bindControls() {
+        const modeSelect = document.getElementById('network-mode');
+        modeSelect.innerHTML = Object.entries(this.MODES)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        modeSelect.value = this.mode;
+        modeSelect.addEventListener('change', () => {
+            this.mode = modeSelect.value;
+            this.expanded.clear();
+            this.rerender();
+        });
+        
+        const topInput = document.getElementById('network-top');
+        topInput.value = this.topN;
+        topInput.addEventListener('change', () => {
+            this.topN = Math.max(1, parseInt(topInput.value) || this.topN);
+            topInput.value = this.topN;
+            this.rerender();
+        });
+        
+        document.getElementById('network-reset').addEventListener('click', () => {
+            this.expanded.clear();
+            this.rerender();
+        });
+    },
+
+    /**
+     * Redraw with the last data
+     */
+    rerender() {
+        if (this.lastData) {
+            this.render(this.lastData);
+        }
+    },
+
+    /**
+     * Create a fresh SVG sized to the container, with pan and zoom
+     */
+    createSvg() {
+        const container = document.getElementById('network-chart');
+        container.innerHTML = '';
+        
+        const rect = container.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = Math.max(rect.height, 600);
+        
+        const root = d3.select(container)
+            .append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height);
+        
+        this.svg = root.append('g');
+        root.call(d3.zoom()
+            .scaleExtent([0.2, 5])
+            .on('zoom', (event) => this.svg.attr('transform', event.transform)));
+    },
+
+    /**
+     * Pick the nodes to draw: the top vendors (and agencies), plus the neighbors of expanded nodes
+     * Returns { nodes, edges } limited to the visible nodes
+     */
+    getVisibleGraph(graph) {
+        const visible = new Set();
+        const vendors = graph.nodes.filter(n => n.type === 'vendor');
+        const agencies = graph.nodes.filter(n => n.type === 'agency');
+        vendors.slice(0, this.topN).forEach(n => visible.add(n.id));
+        agencies.slice(0, Math.ceil(this.topN / 2)).forEach(n => visible.add(n.id));
+        
+        const nodeIds = new Set(graph.nodes.map(n => n.id));
+        this.expanded.forEach(id => {
+            if (!nodeIds.has(id)) return;
+            visible.add(id);
+            this.getNeighbors(graph, id)
+                .slice(0, this.NEIGHBORS)
+                .forEach(({ node }) => visible.add(node));
+        });
+        
+        return {
+            nodes: graph.nodes.filter(n => visible.has(n.id)).map(n => ({ ...n })),
+            edges: graph.edges
+                .filter(e => visible.has(e.source) && visible.has(e.target))
+                .map(e => ({ ...e }))
+        };
+    },
+
+    /**
+     * Neighbors of a node, strongest edge first
+     * Returns [{ node: id, edge }, ...]
+     */
+    getNeighbors(graph, id) {
+        return graph.edges
+            .filter(e => e.source === id || e.target === id)
+            .sort((a, b) => b.value - a.value)
+            .map(edge => ({ node: edge.source === id ? edge.target : edge.source, edge }));
+    },
+
+    /**
+     * Group nodes into communities by weighted label propagation
+     * Nodes are visited largest first so results are stable between renders
+     * Sets node.community to a 0-based index (largest community first)
+     */
+    detectCommunities(nodes, edges) {
+        const adjacency = new Map(nodes.map(n => [n.id, []]));
+        edges.forEach(e => {
+            adjacency.get(e.source).push({ id: e.target, weight: e.value || 1 });
+            adjacency.get(e.target).push({ id: e.source, weight: e.value || 1 });
+        });
+        
+        const labels = new Map(nodes.map(n => [n.id, n.id]));
+        const order = [...nodes].sort((a, b) => b.total - a.total);
+        
+        for (let pass = 0; pass < this.MAX_PASSES; pass++) {
+            let changed = false;
+            
+            order.forEach(node => {
+                const weights = new Map();
+                adjacency.get(node.id).forEach(({ id, weight }) => {
+                    const label = labels.get(id);
+                    weights.set(label, (weights.get(label) || 0) + weight);
+                });
+                if (weights.size === 0) return;
+                
+                // Keep the current label on ties so the pass can settle
+                const current = labels.get(node.id);
+                let best = current;
+                let bestWeight = weights.get(current) || 0;
+                weights.forEach((weight, label) => {
+                    if (weight > bestWeight) {
+                        best = label;
+                        bestWeight = weight;
+                    }
+                });
+                
+                if (best !== current) {
+                    labels.set(node.id, best);
+                    changed = true;
+                }
+            });
+            
+            if (!changed) break;
+        }
+        
+        // Number communities by total amount so the biggest gets the first color
+        const totals = d3.rollup(nodes, v => d3.sum(v, n => n.total), n => labels.get(n.id));
+        const ranked = Array.from(totals.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(e => e[0]);
+        nodes.forEach(n => {
+            n.community = ranked.indexOf(labels.get(n.id));
+        });
+        return ranked.length;
+    },
+
+    /**
+     * Render the network graph
+     */
+    render(data) {
+        if (this.simulation) {
+            this.simulation.stop();
+        }
+        
+        if (!data || data.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        this.lastData = data;
+        this.graph = API.aggregateForNetwork(data, Filters.state.sortBy, this.mode);
+        const { nodes, edges } = this.getVisibleGraph(this.graph);
+        
+        if (nodes.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        const communities = this.detectCommunities(nodes, edges);
+        document.getElementById('network-context').textContent =
+            `${Utils.formatNumber(nodes.length)} nodes · ${Utils.formatNumber(communities)} communities`;
+        
+        this.createSvg();
+        
+        const color = d3.scaleOrdinal(d3.schemeTableau10);
+        const radius = d3.scaleSqrt()
+            .domain([0, d3.max(nodes, n => n.total) || 1])
+            .range([4, 28]);
+        const width = d3.scaleSqrt()
+            .domain([0, d3.max(edges, e => e.value) || 1])
+            .range([0.5, 8]);
+        const selected = new Set([
+            ...Filters.state.selectedVendors.map(name => `vendor:${name}`),
+            ...Filters.state.selectedAgencies.map(name => `agency:${name}`)
+        ]);
+        
+        this.simulation = d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(edges)
+                .id(n => n.id)
+                .distance(e => 40 + radius(e.source.total) + radius(e.target.total))
+                .strength(0.3))
+            .force('charge', d3.forceManyBody().strength(-120))
+            .force('center', d3.forceCenter(this.width / 2, this.height / 2))
+            .force('collide', d3.forceCollide(n => radius(n.total) + 2));
+        
+        const link = this.svg.append('g')
+            .attr('class', 'network-links')
+            .selectAll('line')
+            .data(edges)
+            .join('line')
+            .attr('class', 'network-link')
+            .attr('stroke-width', e => width(e.value))
+            // Links between communities keep the neutral stroke from the stylesheet
+            .style('stroke', e => e.source.community === e.target.community
+                ? color(e.source.community) : null)
+            .on('mouseover', (event, e) => this.showEdgeTooltip(event, e))
+            .on('mousemove', (event) => {
+                Utils.showTooltip(
+                    document.getElementById('tooltip').innerHTML,
+                    event.clientX,
+                    event.clientY
+                );
+            })
+            .on('mouseout', () => Utils.hideTooltip())
+            .on('click', (event, e) => this.handleEdgeClick(e));
+        
+        const node = this.svg.append('g')
+            .attr('class', 'network-nodes')
+            .selectAll('.network-node')
+            .data(nodes)
+            .join('g')
+            .attr('class', n => `network-node ${n.type}${this.expanded.has(n.id) ? ' expanded' : ''}${selected.has(n.id) ? ' selected' : ''}`)
+            .call(this.drag());
+        
+        // Vendors are circles, agencies squares
+        node.append('path')
+            .attr('d', n => d3.symbol()
+                .type(n.type === 'agency' ? d3.symbolSquare : d3.symbolCircle)
+                .size(Math.PI * radius(n.total) ** 2)())
+            .attr('fill', n => color(n.community));
+        
+        node.filter(n => radius(n.total) > 10 || this.expanded.has(n.id) || selected.has(n.id))
+            .append('text')
+            .attr('dy', n => radius(n.total) + 12)
+            .attr('text-anchor', 'middle')
+            .text(n => Utils.truncate(n.name, 28));
+        
+        node.on('mouseover', (event, n) => {
+            link.attr('stroke-opacity', e => e.source === n || e.target === n ? 0.9 : 0.15);
+            this.showNodeTooltip(event, n);
+        })
+        .on('mousemove', (event) => {
+            Utils.showTooltip(
+                document.getElementById('tooltip').innerHTML,
+                event.clientX,
+                event.clientY
+            );
+        })
+        .on('mouseout', () => {
+            link.attr('stroke-opacity', null);
+            Utils.hideTooltip();
+        })
+        .on('click', (event, n) => this.handleNodeClick(event, n));
+        
+        this.simulation.on('tick', () => {
+            link
+                .attr('x1', e => e.source.x)
+                .attr('y1', e => e.source.y)
+                .attr('x2', e => e.target.x)
+                .attr('y2', e => e.target.y);
+            node.attr('transform', n => `translate(${n.x},${n.y})`);
+        });
+    },
+
+    /**
+     * Drag behavior that pins a node while it is dragged
+     */
+    drag() {
+        return d3.drag()
+            .on('start', (event, n) => {
+                if (!event.active) this.simulation.alphaTarget(0.3).restart();
+                n.fx = n.x;
+                n.fy = n.y;
+            })
+            .on('drag', (event, n) => {
+                n.fx = event.x;
+                n.fy = event.y;
+            })
+            .on('end', (event, n) => {
+                if (!event.active) this.simulation.alphaTarget(0);
+                n.fx = null;
+                n.fy = null;
+            });
+    },
+
+    /**
+     * Show tooltip for a node
+     */
+    showNodeTooltip(event, n) {
+        const neighbors = this.getNeighbors(this.graph, n.id);
+        const neighborLabel = this.mode === 'vendors' ? 'Connected Vendors'
+            : n.type === 'vendor' ? 'Agencies' : 'Vendors';
+        
+        const content = `
+            <div class="tooltip-title">${SearchIndex.highlight(n.name)}</div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Type</span>
+                <span class="tooltip-value">${API.SANKEY_DIMENSIONS[n.type].label}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Total Amount</span>
+                <span class="tooltip-value amount">${Utils.formatCurrencyFull(n.total)}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">Contracts</span>
+                <span class="tooltip-value">${Utils.formatNumber(n.count)}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">${neighborLabel}</span>
+                <span class="tooltip-value">${Utils.formatNumber(neighbors.length)}</span>
+            </div>
+            <div class="tooltip-info">Click to ${this.expanded.has(n.id) ? 'collapse' : 'expand'} its neighborhood. Shift+click to add it to the filters.</div>
+        `;
+        
+        Utils.showTooltip(content, event.clientX, event.clientY);
+    },
+
+    /**
+     * Show tooltip for an edge
+     */
+    showEdgeTooltip(event, e) {
+        const shared = e.shared || [];
+        const sharedRows = ['agency', 'category']
+            .map(type => [type, shared.filter(s => s.type === type).map(s => s.name)])
+            .filter(([, names]) => names.length > 0);
+        
+        const content = `
+            <div class="tooltip-title">${SearchIndex.highlight(e.source.name)}</div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">${API.SANKEY_DIMENSIONS[e.target.type].label}</span>
+                <span class="tooltip-value">${SearchIndex.highlight(e.target.name)}</span>
+            </div>
+            <div class="tooltip-row">
+                <span class="tooltip-label">${e.shared ? 'Shared Amount' : 'Total Amount'}</span>
+                <span class="tooltip-value amount">${Utils.formatCurrencyFull(e.value)}</span>
+            </div>
+            ${e.shared ? sharedRows.map(([type, names]) => `
+                <div class="tooltip-row">
+                    <span class="tooltip-label">Shared ${API.SANKEY_DIMENSIONS[type].plural}</span>
+                    <span class="tooltip-value">${Utils.formatNumber(names.length)}</span>
+                </div>
+                <div class="tooltip-info">${names.slice(0, 5).map(name => Utils.escapeHtml(name)).join('; ')}${names.length > 5 ? '; ...' : ''}</div>
+            `).join('') : `
+                <div class="tooltip-row">
+                    <span class="tooltip-label">Contracts</span>
+                    <span class="tooltip-value">${Utils.formatNumber(e.count)}</span>
+                </div>
+                ${Flags.renderBadges(e.contracts || [])}
+            `}
+        `;
+        
+        Utils.showTooltip(content, event.clientX, event.clientY);
+    },
+
+    /**
+     * Handle node click - expand or collapse its neighborhood, or add it to the filters with Shift
+     */
+    handleNodeClick(event, n) {
+        Utils.hideTooltip();
+        
+        if (event.shiftKey) {
+            if (Filters.addSelection(n.type, n.name)) {
+                App.applyClientFilters();
+            }
+            return;
+        }
+        
+        if (this.expanded.has(n.id)) {
+            this.expanded.delete(n.id);
+        } else {
+            this.expanded.add(n.id);
+        }
+        this.rerender();
+    },
+
+    /**
+     * Handle edge click - list the contracts behind it
+     */
+    handleEdgeClick(e) {
+        Utils.hideTooltip();
+        
+        if (!e.shared) {
+            if (Filters.state.dataMode === 'aggregate') {
+                App.drillDown(e.vendor, e.agency);
+            } else {
+                App.showRecords(e.contracts, `${e.vendor} → ${e.agency}`);
+            }
+            return;
+        }
+        
+        // Both vendors' contracts in the agencies and categories they share
+        const vendors = new Set([e.source.name, e.target.name]);
+        const shared = new Set(e.shared.map(s => `${s.type}:${s.name}`));
+        const records = this.lastData.filter(r => vendors.has(API.getSankeyName(r, 'vendor')) &&
+            (shared.has(`agency:${r.agency_name}`) || shared.has(`category:${r.category_description}`)));
+        App.showRecords(records, `${e.source.name} ↔ ${e.target.name} (shared agencies & categories)`);
+    },
+
+    /**
+     * Show empty state
+     */
+    showEmpty() {
+        document.getElementById('network-context').textContent = '';
+        const container = document.getElementById('network-chart');
+        container.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <circle cx="6" cy="6" r="2"/>
+                    <circle cx="18" cy="8" r="2"/>
+                    <circle cx="12" cy="18" r="2"/>
+                    <path d="M8 6.5l8 1.2M7 8l4 8M17 10l-4 6" stroke-dasharray="2 2"/>
+                </svg>
+                <h3>No Data Available</h3>
+                <p>Try adjusting your filters or date range to see contract data.</p>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,160 @@
+/**
+ * Permalink module - keeps filter state and active tab in the URL
+ */
+
+const Permalink = {
+    restoring: false,
+
+    // Filters.state keys -> URL query parameter names
+    PARAMS: {
+        startDate: 'start',
+        endDate: 'end',
+        searchQuery: 'q',
+        minAmount: 'min',
+        maxAmount: 'max',
+        sortBy: 'sort',
+        activePreset: 'preset',
+        dataMode: 'mode',
+        selectedVendors: 'vendor',
+        selectedAgencies: 'agency',
+        selectedFlags: 'flag',
+        selectedLocations: 'loc',
+        selectedCategories: 'cat',
+        selectedMethods: 'method',
+        selectedNotices: 'notice',
+        selectedKeywords: 'kw',
+        query: 'query',
+        queryServer: 'server',
+        compare: 'compare',
+        baselineStart: 'bstart',
+        baselineEnd: 'bend',
+        baselinePreset: 'bpreset'
+    },
+
+    /**
+     * Initialize permalink handling and restore state from the current URL
+     */
+    init() {
+        if (window.location.search) {
+            this.restore();
+        }
+        this.update(true);
+        
+        window.addEventListener('popstate', () => {
+            this.handlePopState();
+        });
+    },
+
+    /**
+     * Encode filter state and tab as a query string
+     */
+    encode(state, tab) {
+        const params = new URLSearchParams();
+        const defaults = Filters.getDefaultState();
+        
+        Object.entries(this.PARAMS).forEach(([key, param]) => {
+            const value = state[key];
+            
+            if (Array.isArray(value)) {
+                value.forEach(v => params.append(param, v));
+            } else if (key === 'startDate' || key === 'endDate') {
+                // Always keep dates so a link opens the exact range the sender saw
+                if (value) params.set(param, value);
+            } else if (value !== null && value !== defaults[key]) {
+                params.set(param, value);
+            }
+        });
+        
+        if (tab && tab !== 'sankey') {
+            params.set('tab', tab);
+        }
+        
+        return `?${params.toString()}`;
+    },
+
+    /**
+     * Decode a query string into { state, tab }
+     * Values that are not valid for their filter (see Filters.isValidValue) are dropped
+     */
+    decode(search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+        const defaults = Filters.getDefaultState();
+        
+        Object.entries(this.PARAMS).forEach(([key, param]) => {
+            if (!params.has(param)) return;
+            
+            if (Array.isArray(defaults[key])) {
+                state[key] = params.getAll(param);
+            } else if (key === 'minAmount' || key === 'maxAmount') {
+                state[key] = parseFloat(params.get(param));
+            } else if (key === 'queryServer' || key === 'compare') {
+                state[key] = params.get(param) === 'true';
+            } else {
+                state[key] = params.get(param);
+            }
+            
+            if (!Filters.isValidValue(key, state[key])) {
+                delete state[key];
+            }
+        });
+        
+        // Drop a preset that no longer matches the linked dates
+        if (state.activePreset) {
+            const [start, end] = Filters.getPresetRange(state.activePreset);
+            if (state.startDate !== start || state.endDate !== end) {
+                state.activePreset = null;
+            }
+        }
+        
+        return { state, tab: params.get('tab') };
+    },
+
+    /**
+     * Push current state to the browser history (replace when requested)
+     */
+    update(replace = false) {
+        if (this.restoring) return;
+        
+        const search = this.encode(Filters.state, App.activeTab);
+        if (search === window.location.search) return;
+        
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (replace) {
+            history.replaceState({ permalink: true }, '', url);
+        } else {
+            history.pushState({ permalink: true }, '', url);
+        }
+    },
+
+    /**
+     * Apply state from the current URL to Filters and App
+     */
+    restore() {
+        const { state, tab } = this.decode(window.location.search);
+        Filters.setState(state);
+        
+        App.setActiveTab(App.isTab(tab) ? tab : 'sankey');
+    },
+
+    /**
+     * Handle back/forward navigation
+     */
+    async handlePopState() {
+        const previousParams = JSON.stringify(Filters.getApiParams());
+        
+        this.restoring = true;
+        try {
+            this.restore();
+            
+            // Only re-fetch when the server-side parameters changed
+            if (JSON.stringify(Filters.getApiParams()) !== previousParams) {
+                await App.fetchAndRender();
+            } else {
+                App.applyClientFilters();
+            }
+        } finally {
+            this.restoring = false;
+        }
+    }
+};
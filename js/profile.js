@@ -0,0 +1,345 @@
+/**
+ * Profile panel module - side panel summarizing a vendor or agency
+ */
+
+const ProfilePanel = {
+    current: null,
+    MAX_ITEMS: 10,
+    MAX_CONTRACTS: 25,
+
+    /**
+     * Initialize the profile panel
+     */
+    init() {
+        const panel = document.getElementById('profile-panel');
+        
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('.profile-close')) {
+                this.close();
+                return;
+            }
+            
+            const link = e.target.closest('[data-profile-type]');
+            if (link) {
+                this.open(link.dataset.profileType, link.dataset.profileName);
+                return;
+            }
+            
+            const action = e.target.closest('[data-action]');
+            if (action) {
+                this.handleAction(action.dataset.action);
+            }
+        });
+        
+        panel.addEventListener('change', (e) => {
+            if (e.target.dataset.note !== undefined) {
+                Investigations.setNote(this.current.type, this.current.name, e.target.value);
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.current) {
+                this.close();
+            }
+        });
+    },
+
+    /**
+     * Open the profile for a vendor or agency
+     */
+    open(type, name) {
+        this.current = { type, name };
+        this.render();
+        document.getElementById('profile-panel').classList.add('open');
+    },
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.current = null;
+        document.getElementById('profile-panel').classList.remove('open');
+    },
+
+    /**
+     * Get records for the current entity (all loaded data, ignoring vendor/agency selections)
+     */
+    getRecords() {
+        const field = this.current.type === 'vendor' ? 'vendor_name' : 'agency_name';
+        return App.rawData.filter(r => r[field] === this.current.name);
+    },
+
+    /**
+     * Handle profile action buttons
+     */
+    handleAction(action) {
+        const { type, name } = this.current;
+        
+        if (action === 'filter') {
+            if (Filters.addSelection(type, name)) {
+                App.applyClientFilters();
+            }
+        } else if (action === 'records') {
+            App.showRecords(this.getRecords(), name);
+        } else if (action === 'pin') {
+            Investigations.togglePin(type, name);
+            this.render();
+        } else if (action === 'watch') {
+            Watchlists.toggle(type, name);
+            this.render();
+        }
+    },
+
+    /**
+     * Sum amount by a field
+     * Returns [[value, amount], ...] sorted by amount
+     */
+    breakdown(records, field) {
+        const totals = new Map();
+        records.forEach(r => {
+            const key = r[field] || 'Unknown';
+            totals.set(key, (totals.get(key) || 0) + (r.contract_amount || 0));
+        });
+        return Array.from(totals.entries()).sort((a, b) => b[1] - a[1]);
+    },
+
+    /**
+     * Render the panel for the current entity
+     */
+    render() {
+        const { type, name } = this.current;
+        const body = document.getElementById('profile-body');
+        const records = this.getRecords();
+        
+        document.getElementById('profile-type').textContent = type === 'vendor' ? 'Vendor' : 'Agency';
+        document.getElementById('profile-name').textContent = name;
+        
+        if (records.length === 0) {
+            body.innerHTML = '<p class="panel-empty">No contracts in the loaded data.</p>';
+            return;
+        }
+        
+        const isAggregate = records[0].is_aggregate;
+        const counterpartField = type === 'vendor' ? 'agency_name' : 'vendor_name';
+        const counterpartType = type === 'vendor' ? 'agency' : 'vendor';
+        const total = d3.sum(records, r => r.contract_amount || 0);
+        const count = d3.sum(records, r => r.contract_count || 1);
+        const dates = records.map(r => r.start_date_parsed).filter(Boolean);
+        const counterparts = this.breakdown(records, counterpartField);
+        
+        let html = `
+            <div class="profile-actions">
+                <button class="btn btn-primary btn-small" data-action="filter">Filter to this ${type}</button>
+                ${isAggregate ? '' : '<button class="btn btn-secondary btn-small" data-action="records">View contracts</button>'}
+                <button class="btn btn-secondary btn-small" data-action="pin">${Investigations.isPinned(type, name) ? 'Unpin' : 'Pin to investigation'}</button>
+                <button class="btn btn-secondary btn-small" data-action="watch">${Watchlists.isWatched(type, name) ? 'Unwatch' : 'Watch'}</button>
+            </div>
+            <div class="profile-stats">
+                ${this.renderStat('Total Amount', Utils.formatCurrency(total))}
+                ${this.renderStat('Contracts', Utils.formatNumber(count))}
+                ${this.renderStat(type === 'vendor' ? 'Agencies' : 'Vendors', Utils.formatNumber(counterparts.length))}
+                ${dates.length ? this.renderStat('First Award', Utils.formatDateDisplay(d3.min(dates))) : ''}
+                ${dates.length ? this.renderStat('Last Award', Utils.formatDateDisplay(d3.max(dates))) : ''}
+            </div>
+        `;
+        
+        if (Investigations.getActive()) {
+            html += `
+                <div class="profile-section">
+                    <h4>Notes</h4>
+                    <textarea class="note-input" rows="3" data-note placeholder="Notes for this investigation...">${Utils.escapeHtml(Investigations.getNote(type, name))}</textarea>
+                </div>
+            `;
+        }
+        
+        const flagCounts = Flags.count(records);
+        if (flagCounts.size > 0) {
+            html += this.renderList('Flags', Array.from(flagCounts.entries())
+                .sort((a, b) => b[1] - a[1])
+                .map(([id, n]) => [Flags.getLabel(id), `${Utils.formatNumber(n)}&times;`]));
+        }
+        
+        if (type === 'vendor') {
+            const variants = Entities.getVariants(name);
+            if (variants.length > 1) {
+                html += this.renderList('Recorded As', variants.map(v => [v.name, `${Utils.formatNumber(v.count)}&times;`]));
+            }
+        }
+        
+        html += this.renderBreakdown(
+            type === 'vendor' ? 'Top Agencies' : 'Top Vendors',
+            counterparts, total, counterpartType
+        );
+        
+        if (!isAggregate) {
+            html += this.renderBreakdown('By Selection Method',
+                this.breakdown(records, 'selection_method_description'), total);
+            html += this.renderBreakdown('By Category',
+                this.breakdown(records, 'category_description'), total);
+            
+            if (type === 'vendor') {
+                const addresses = d3.rollups(
+                    records.filter(r => r.vendor_address),
+                    v => v.length,
+                    r => r.vendor_address
+                ).sort((a, b) => b[1] - a[1]);
+                if (addresses.length) {
+                    html += this.renderList('Addresses', addresses.map(([address, n]) => [address, `${n}&times;`]));
+                }
+            }
+            
+            html += `
+                <div class="profile-section">
+                    <h4>Timeline</h4>
+                    <div id="profile-timeline" class="profile-timeline"></div>
+                </div>
+            `;
+            html += this.renderContracts(records, counterpartField);
+        }
+        
+        body.innerHTML = html;
+        
+        if (!isAggregate) {
+            this.renderTimeline(records);
+        }
+    },
+
+    /**
+     * Render a stat block
+     */
+    renderStat(label, value) {
+        return `
+            <div class="profile-stat">
+                <span class="profile-stat-value">${value}</span>
+                <span class="profile-stat-label">${label}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Render a simple two-column list
+     */
+    renderList(title, rows) {
+        return `
+            <div class="profile-section">
+                <h4>${title}</h4>
+                <ul class="profile-list">
+                    ${rows.slice(0, this.MAX_ITEMS).map(([label, value]) => `
+                        <li>
+                            <span>${Utils.escapeHtml(label)}</span>
+                            <span class="profile-list-value">${value}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Render an amount breakdown as horizontal bars
+     * linkType makes each row open that entity's profile
+     */
+    renderBreakdown(title, entries, total, linkType = null) {
+        if (entries.length === 0) return '';
+        
+        return `
+            <div class="profile-section">
+                <h4>${title}</h4>
+                <ul class="profile-bars">
+                    ${entries.slice(0, this.MAX_ITEMS).map(([label, amount]) => `
+                        <li ${linkType ? `class="profile-link" data-profile-type="${linkType}" data-profile-name="${Utils.escapeHtml(label)}"` : ''}>
+                            <div class="profile-bar-label">
+                                <span title="${Utils.escapeHtml(label)}">${Utils.escapeHtml(Utils.truncate(label, 40))}</span>
+                                <span class="profile-list-value">${Utils.formatCurrency(amount)}</span>
+                            </div>
+                            <div class="profile-bar">
+                                <div class="profile-bar-fill" style="width:${total > 0 ? (amount / total * 100).toFixed(1) : 0}%"></div>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the largest underlying contracts
+     */
+    renderContracts(records, counterpartField) {
+        const top = [...records]
+            .sort((a, b) => (b.contract_amount || 0) - (a.contract_amount || 0))
+            .slice(0, this.MAX_CONTRACTS);
+        
+        return `
+            <div class="profile-section">
+                <h4>Largest Contracts${records.length > top.length ? ` (top ${top.length} of ${Utils.formatNumber(records.length)})` : ''}</h4>
+                <ul class="profile-contracts">
+                    ${top.map(r => `
+                        <li>
+                            <div class="profile-bar-label">
+                                <span title="${Utils.escapeHtml(r.short_title)}">${Utils.escapeHtml(Utils.truncate(r.short_title || r.request_id, 50))}</span>
+                                <span class="profile-list-value">${Utils.formatCurrency(r.contract_amount)}</span>
+                            </div>
+                            <div class="profile-contract-meta">
+                                ${Utils.formatDateDisplay(r.start_date)} &middot; ${Utils.escapeHtml(Utils.truncate(r[counterpartField], 40))}
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    },
+
+    /**
+     * Render a mini monthly timeline of amounts
+     */
+    renderTimeline(records) {
+        const container = document.getElementById('profile-timeline');
+        const dated = records.filter(r => r.start_date_parsed);
+        if (dated.length === 0) return;
+        
+        const width = container.getBoundingClientRect().width || 360;
+        const height = 80;
+        const byMonth = d3.rollup(dated, v => d3.sum(v, r => r.contract_amount || 0),
+            r => d3.timeMonth.floor(r.start_date_parsed).getTime());
+        const [minDate, maxDate] = d3.extent(dated, r => r.start_date_parsed);
+        const months = d3.timeMonth.range(d3.timeMonth.floor(minDate), d3.timeMonth.offset(maxDate, 1));
+        
+        const x = d3.scaleBand()
+            .domain(months.map(m => m.getTime()))
+            .range([0, width])
+            .padding(0.15);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(months, m => byMonth.get(m.getTime()) || 0) || 1])
+            .range([height - 14, 0]);
+        
+        const svg = d3.select(container)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+        
+        svg.selectAll('rect')
+            .data(months)
+            .join('rect')
+            .attr('x', m => x(m.getTime()))
+            .attr('y', m => y(byMonth.get(m.getTime()) || 0))
+            .attr('width', x.bandwidth())
+            .attr('height', m => (height - 14) - y(byMonth.get(m.getTime()) || 0))
+            .attr('fill', '#ff6b4a')
+            .append('title')
+            .text(m => `${d3.timeFormat('%b %Y')(m)}: ${Utils.formatCurrency(byMonth.get(m.getTime()) || 0)}`);
+        
+        const formatMonth = d3.timeFormat('%b %Y');
+        svg.append('text')
+            .attr('class', 'profile-axis')
+            .attr('x', 0)
+            .attr('y', height - 2)
+            .text(formatMonth(months[0]));
+        svg.append('text')
+            .attr('class', 'profile-axis')
+            .attr('x', width)
+            .attr('y', height - 2)
+            .attr('text-anchor', 'end')
+            .text(formatMonth(months[months.length - 1]));
+    }
+};
@@ -0,0 +1,715 @@
+/**
+ * Query module - field-specific boolean query language
+ * e.g. vendor:"acme" AND (category:construction OR amount>1M) -agency:DOE
+ */
+
+const Query = {
+    MAX_SUGGESTIONS: 8,
+    MAX_VENDOR_VARIANTS: 100,
+
+    // Query field -> record fields (client) and SoQL columns (server, null when client-only)
+    FIELDS: {
+        vendor: { label: 'Vendor name', type: 'text', fields: ['vendor_name', 'vendor_name_raw'], soql: ['vendor_name'] },
+        agency: { label: 'Agency name', type: 'text', fields: ['agency_name'], soql: ['agency_name'] },
+        title: { label: 'Contract title', type: 'text', fields: ['short_title'], soql: ['short_title'] },
+        category: { label: 'Category', type: 'text', fields: ['category_description'], soql: ['category_description'] },
+        method: { label: 'Selection method', type: 'text', fields: ['selection_method_description'], soql: ['selection_method_description'] },
+        notice: { label: 'Notice type', type: 'text', fields: ['type_of_notice_description'], soql: ['type_of_notice_description'] },
+        pin: { label: 'PIN', type: 'text', fields: ['pin'], soql: ['pin'] },
+        address: { label: 'Vendor address', type: 'text', fields: ['vendor_address'], soql: ['vendor_address'] },
+        city: { label: 'Vendor city', type: 'text', fields: ['vendor_city'], soql: null },
+        state: { label: 'Vendor state (NY, NJ)', type: 'text', fields: ['vendor_state'], soql: null },
+        zip: { label: 'Vendor ZIP code', type: 'text', fields: ['vendor_zip'], soql: null },
+        borough: { label: 'Vendor borough', type: 'text', fields: ['vendor_borough'], soql: null },
+        info: { label: 'Additional info', type: 'text', fields: ['additional_info'], soql: ['other_info_1', 'other_info_2', 'other_info_3'] },
+        amount: { label: 'Contract amount (50000, 250K, 1.5M)', type: 'amount' },
+        date: { label: 'Start date (2026, 2026-03, 2026-03-15)', type: 'date' },
+        flag: { label: 'Red flag rule', type: 'flag', soql: null }
+    },
+
+    // Fields searched by a term without a field name
+    DEFAULT_FIELDS: ['vendor', 'agency', 'title', 'info'],
+
+    // Query text -> { ast, error, predicate }
+    compiled: new Map(),
+    // Distinct values for autocomplete, rebuilt when the loaded data changes
+    valueCache: { data: null, values: new Map() },
+    suggestions: [],
+    activeIndex: -1,
+    context: null,
+
+    /**
+     * Initialize the query input, autocomplete and help
+     */
+    init() {
+        this.bindInput();
+        this.renderHelp();
+    },
+
+    /**
+     * Throw a parse error pointing at a position in the query
+     */
+    fail(message, position) {
+        const error = new Error(`Position ${position + 1}: ${message}`);
+        error.position = position;
+        throw error;
+    },
+
+    /**
+     * Split query text into tokens
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        
+        while (i < text.length) {
+            const ch = text[i];
+            
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch, value: ch, pos: i });
+                i++;
+            } else if (ch === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) {
+                    this.fail('Unterminated quote', i);
+                }
+                tokens.push({ type: 'string', value: text.slice(i + 1, end), pos: i });
+                i = end + 1;
+            } else if (/[:<>=]/.test(ch)) {
+                const op = /^[<>]=/.test(text.slice(i, i + 2)) ? text.slice(i, i + 2) : ch;
+                tokens.push({ type: 'op', value: op, pos: i });
+                i += op.length;
+            } else if (ch === '-' && (i === 0 || /[\s(]/.test(text[i - 1])) && text[i + 1] && !/\s/.test(text[i + 1])) {
+                // A leading minus negates the next term ("-agency:DOE")
+                tokens.push({ type: 'NOT', value: '-', pos: i });
+                i++;
+            } else {
+                const word = text.slice(i).match(/^[^\s()"<>=:]+/)[0];
+                const type = ['AND', 'OR', 'NOT'].includes(word) ? word : 'word';
+                tokens.push({ type, value: word, pos: i });
+                i += word.length;
+            }
+        }
+        
+        return tokens;
+    },
+
+    /**
+     * Parse query text into an AST
+     * Throws an Error with a position on invalid syntax; returns null for an empty query
+     */
+    parse(text) {
+        const tokens = this.tokenize(text);
+        if (tokens.length === 0) return null;
+        
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() && peek().type === 'OR') {
+                next();
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        
+        // Terms next to each other are ANDed; the AND keyword is optional
+        const parseAnd = () => {
+            let node = parseUnary();
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') next();
+                node = { type: 'and', left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        
+        const parseUnary = () => {
+            const token = peek();
+            if (!token) {
+                this.fail('Expected a search term', text.length);
+            }
+            if (token.type === 'NOT') {
+                next();
+                return { type: 'not', child: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        
+        const parsePrimary = () => {
+            const token = next();
+            
+            if (token.type === '(') {
+                if (peek() && peek().type === ')') {
+                    this.fail('Empty parentheses', token.pos);
+                }
+                const node = parseOr();
+                const close = next();
+                if (!close || close.type !== ')') {
+                    this.fail(`Missing ')' to close the '(' at position ${token.pos + 1}`, close ? close.pos : text.length);
+                }
+                return node;
+            }
+            
+            if (token.type === 'word' || token.type === 'string') {
+                const op = peek();
+                if (token.type === 'word' && op && op.type === 'op' && op.pos === token.pos + token.value.length) {
+                    next();
+                    return this.buildTerm(token, op, next(), text);
+                }
+                return { type: 'term', field: null, op: ':', value: token.value };
+            }
+            
+            if (token.type === 'op') {
+                this.fail(`Unexpected '${token.value}' (put a field name right before it, e.g. amount>1M)`, token.pos);
+            }
+            this.fail(`Unexpected '${token.value}'`, token.pos);
+        };
+        
+        const ast = parseOr();
+        if (index < tokens.length) {
+            this.fail(`Unexpected '${peek().value}'`, peek().pos);
+        }
+        
+        return ast;
+    },
+
+    /**
+     * Build and validate a field:value term
+     */
+    buildTerm(fieldToken, opToken, valueToken, text) {
+        const name = fieldToken.value.toLowerCase();
+        const field = this.FIELDS[name];
+        const op = opToken.value;
+        
+        if (!field) {
+            this.fail(`Unknown field '${fieldToken.value}'. Fields: ${Object.keys(this.FIELDS).join(', ')}`, fieldToken.pos);
+        }
+        if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+            this.fail(`Expected a value after '${fieldToken.value}${op}'`, valueToken ? valueToken.pos : text.length);
+        }
+        
+        let value = valueToken.value;
+        if (field.type === 'amount') {
+            value = this.parseAmount(value);
+            if (value === null) {
+                this.fail(`'${valueToken.value}' is not an amount (try 50000, 250K or 1.5M)`, valueToken.pos);
+            }
+        } else if (field.type === 'date') {
+            if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+                this.fail(`'${value}' is not a date (use 2026, 2026-03 or 2026-03-15)`, valueToken.pos);
+            }
+        } else if (op !== ':' && op !== '=') {
+            this.fail(`'${op}' only works with amount and date fields`, opToken.pos);
+        }
+        
+        return { type: 'term', field: name, op, value };
+    },
+
+    /**
+     * Parse an amount like "$1,500", "250K" or "1.5M" (null when invalid)
+     */
+    parseAmount(text) {
+        const match = text.replace(/[$,]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+        if (!match) return null;
+        
+        const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+        return parseFloat(match[1]) * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+    },
+
+    /**
+     * Parse and compile query text (memoized)
+     * Returns { ast, error, predicate }
+     */
+    compile(text = '') {
+        if (this.compiled.has(text)) {
+            return this.compiled.get(text);
+        }
+        
+        let result;
+        try {
+            const ast = this.parse(text);
+            result = { ast, error: null, predicate: ast ? this.toPredicate(ast) : null };
+        } catch (error) {
+            result = { ast: null, error: error.message, predicate: null };
+        }
+        
+        if (this.compiled.size > 200) {
+            this.compiled.clear();
+        }
+        this.compiled.set(text, result);
+        return result;
+    },
+
+    /**
+     * Get a record predicate for query text (null when empty or invalid)
+     */
+    getPredicate(text) {
+        return this.compile(text).predicate;
+    },
+
+    /**
+     * Get a SoQL $where condition for query text
+     * Returns null when the query is empty, invalid or cannot run on the server
+     */
+    getWhere(text) {
+        const { ast } = this.compile(text);
+        if (!ast) return null;
+        
+        const result = this.toSoql(ast);
+        return result ? result.sql : null;
+    },
+
+    /**
+     * Compile an AST node into a record predicate
+     */
+    toPredicate(node) {
+        switch (node.type) {
+            case 'and': {
+                const left = this.toPredicate(node.left);
+                const right = this.toPredicate(node.right);
+                return r => left(r) && right(r);
+            }
+            case 'or': {
+                const left = this.toPredicate(node.left);
+                const right = this.toPredicate(node.right);
+                return r => left(r) || right(r);
+            }
+            case 'not': {
+                const child = this.toPredicate(node.child);
+                return r => !child(r);
+            }
+            default:
+                return this.termPredicate(node);
+        }
+    },
+
+    /**
+     * Compile a term into a record predicate
+     */
+    termPredicate(node) {
+        const field = node.field ? this.FIELDS[node.field] : null;
+        const type = field ? field.type : 'text';
+        
+        if (type === 'amount') {
+            return r => this.compare(r.contract_amount || 0, node.op, node.value);
+        }
+        
+        if (type === 'date') {
+            // Compare at the precision given ("2026-03" matches any day in March)
+            return r => Boolean(r.start_date) &&
+                this.compare(r.start_date.substring(0, node.value.length), node.op, node.value);
+        }
+        
+        const value = node.value.toLowerCase();
+        const matches = (text) => node.op === '='
+            ? text.toLowerCase() === value
+            : text.toLowerCase().includes(value);
+        
+        if (type === 'flag') {
+            return r => (r.flags || []).some(id => matches(id) || matches(Flags.getLabel(id)));
+        }
+        
+        const fields = (node.field ? [node.field] : this.DEFAULT_FIELDS)
+            .flatMap(name => this.FIELDS[name].fields);
+        return r => fields.some(f => r[f] && matches(String(r[f])));
+    },
+
+    /**
+     * Compare two values with a query operator
+     */
+    compare(a, op, b) {
+        switch (op) {
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            default: return a === b;
+        }
+    },
+
+    /**
+     * Compile an AST node into SoQL
+     * Returns { sql, exact } or null; inexact conditions match a superset and are refined in the browser
+     */
+    toSoql(node) {
+        switch (node.type) {
+            case 'and': {
+                const left = this.toSoql(node.left);
+                const right = this.toSoql(node.right);
+                if (!left && !right) return null;
+                // Dropping a client-only side still narrows the download safely
+                if (!left || !right) return { sql: (left || right).sql, exact: false };
+                return { sql: `(${left.sql} AND ${right.sql})`, exact: left.exact && right.exact };
+            }
+            case 'or': {
+                const left = this.toSoql(node.left);
+                const right = this.toSoql(node.right);
+                if (!left || !right) return null;
+                return { sql: `(${left.sql} OR ${right.sql})`, exact: left.exact && right.exact };
+            }
+            case 'not': {
+                const child = this.toSoql(node.child);
+                if (!child || !child.exact) return null;
+                return { sql: `NOT (${child.sql})`, exact: true };
+            }
+            default: {
+                const sql = this.termSoql(node);
+                // SoQL like has no ESCAPE, so % and _ in a contains term match any text
+                const wildcards = node.op === ':' && /[%_]/.test(node.value);
+                return sql ? { sql, exact: !wildcards } : null;
+            }
+        }
+    },
+
+    /**
+     * Compile a term into SoQL (null when it can only run in the browser)
+     * Text and date conditions are guarded with IS NOT NULL so NOT behaves like the client predicate
+     */
+    termSoql(node) {
+        const names = node.field ? [node.field] : this.DEFAULT_FIELDS;
+        const field = this.FIELDS[names[0]];
+        
+        if (field.type === 'amount') {
+            return `contract_amount ${node.op === ':' ? '=' : node.op} ${node.value}`;
+        }
+        if (field.type === 'date') {
+            return this.dateSoql(node);
+        }
+        if (names.some(name => !this.FIELDS[name].soql)) {
+            return null;
+        }
+        
+        const value = node.value.toUpperCase();
+        const clauses = names
+            .flatMap(name => this.FIELDS[name].soql)
+            .map(column => node.op === '='
+                ? `(${column} IS NOT NULL AND upper(${column}) = ${API.quote(value)})`
+                : `(${column} IS NOT NULL AND upper(${column}) like ${API.quote(`%${value}%`)})`);
+        
+        // The server only knows original spellings; include those merged into a matching entity
+        if (names.includes('vendor')) {
+            const variants = this.getVendorVariants(node);
+            if (variants === null) return null;
+            if (variants.length > 0) {
+                clauses.push(`vendor_name IN (${variants.map(v => API.quote(v)).join(', ')})`);
+            }
+        }
+        
+        return clauses.length > 1 ? `(${clauses.join(' OR ')})` : clauses[0];
+    },
+
+    /**
+     * Raw vendor names whose canonical entity matches a term but which do not match themselves
+     * Returns null when there are too many to send to the server
+     */
+    getVendorVariants(node) {
+        const value = node.value.toLowerCase();
+        const matches = (name) => node.op === '='
+            ? name.toLowerCase() === value
+            : name.toLowerCase().includes(value);
+        
+        const variants = [];
+        Entities.canonicalOf.forEach((canonical, raw) => {
+            if (matches(canonical) && !matches(raw)) {
+                variants.push(raw);
+            }
+        });
+        
+        return variants.length > this.MAX_VENDOR_VARIANTS ? null : variants;
+    },
+
+    /**
+     * Compile a date term into a start_date range
+     */
+    dateSoql(node) {
+        const [start, next] = this.getDateBounds(node.value);
+        let condition;
+        
+        switch (node.op) {
+            case '>':
+                condition = `start_date >= '${next}'`;
+                break;
+            case '>=':
+                condition = `start_date >= '${start}'`;
+                break;
+            case '<':
+                condition = `start_date < '${start}'`;
+                break;
+            case '<=':
+                condition = `start_date < '${next}'`;
+                break;
+            default:
+                condition = `start_date >= '${start}' AND start_date < '${next}'`;
+        }
+        
+        return `(start_date IS NOT NULL AND ${condition})`;
+    },
+
+    /**
+     * Get [first day, first day after] for a year, month or day
+     */
+    getDateBounds(value) {
+        const [year, month = 1, day = 1] = value.split('-').map(Number);
+        const parts = value.split('-').length;
+        const start = new Date(Date.UTC(year, month - 1, day));
+        const next = parts === 1
+            ? new Date(Date.UTC(year + 1, 0, 1))
+            : parts === 2
+                ? new Date(Date.UTC(year, month, 1))
+                : new Date(Date.UTC(year, month - 1, day + 1));
+        
+        return [start, next].map(d => d.toISOString().split('T')[0]);
+    },
+
+    /**
+     * Bind query input, autocomplete keys and server toggle
+     */
+    bindInput() {
+        const input = document.getElementById('query-input');
+        const list = document.getElementById('query-suggestions');
+        
+        this.scheduleApply = Utils.debounce(() => {
+            Filters.state.query = input.value;
+            this.renderStatus();
+            if (!this.compile(input.value).error) {
+                App.applyClientFilters();
+            }
+        }, 300);
+        
+        input.addEventListener('input', () => {
+            this.renderSuggestions();
+            this.scheduleApply();
+        });
+        
+        input.addEventListener('focus', () => this.renderSuggestions());
+        input.addEventListener('click', () => this.renderSuggestions());
+        input.addEventListener('blur', () => this.closeSuggestions());
+        
+        input.addEventListener('keydown', (e) => {
+            const open = list.classList.contains('open');
+            
+            if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.suggestions.length) % this.suggestions.length;
+                this.highlightSuggestion();
+            } else if (open && (e.key === 'Tab' || e.key === 'Enter') && this.activeIndex >= 0) {
+                e.preventDefault();
+                this.applySuggestion(this.suggestions[this.activeIndex]);
+            } else if (e.key === 'Escape') {
+                this.closeSuggestions();
+            } else if (e.key === 'Enter') {
+                this.closeSuggestions();
+                this.applyNow();
+            }
+        });
+        
+        list.addEventListener('mousedown', (e) => {
+            // mousedown fires before the input loses focus
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                e.preventDefault();
+                this.applySuggestion(this.suggestions[parseInt(item.dataset.index)]);
+            }
+        });
+        
+        document.getElementById('query-server').addEventListener('change', (e) => {
+            // Applied on the next fetch, like the data mode
+            Filters.state.queryServer = e.target.checked;
+            this.renderStatus();
+        });
+    },
+
+    /**
+     * Apply the query immediately (re-fetching when it also runs on the server)
+     */
+    applyNow() {
+        Filters.state.query = document.getElementById('query-input').value;
+        this.renderStatus();
+        if (this.compile(Filters.state.query).error) return;
+        
+        if (Filters.state.queryServer) {
+            App.fetchAndRender();
+        } else {
+            App.applyClientFilters();
+        }
+    },
+
+    /**
+     * Show parse errors, or a note when the query cannot run on the server
+     */
+    renderStatus() {
+        const el = document.getElementById('query-error');
+        const { ast, error } = this.compile(Filters.state.query);
+        
+        el.classList.toggle('info', !error);
+        if (error) {
+            el.textContent = error;
+        } else if (ast && Filters.state.queryServer && !this.getWhere(Filters.state.query)) {
+            el.textContent = 'This query can only be applied in the browser.';
+        } else {
+            el.textContent = '';
+        }
+    },
+
+    /**
+     * Work out what is being typed at the cursor
+     * Returns { kind: 'field' | 'value', field, partial, start } or null
+     */
+    getContext(text, cursor) {
+        const before = text.slice(0, cursor);
+        
+        const valueMatch = before.match(/(?:^|[\s(-])([A-Za-z]+)(?:>=|<=|[:<>=])(?:"([^"]*)|([^"\s()]*))$/);
+        if (valueMatch && this.FIELDS[valueMatch[1].toLowerCase()]) {
+            const quoted = valueMatch[2] !== undefined;
+            const partial = quoted ? valueMatch[2] : valueMatch[3];
+            return {
+                kind: 'value',
+                field: valueMatch[1].toLowerCase(),
+                partial,
+                start: cursor - partial.length - (quoted ? 1 : 0)
+            };
+        }
+        
+        const fieldMatch = before.match(/(?:^|[\s(-])([A-Za-z]*)$/);
+        if (fieldMatch && (fieldMatch[1] || text.trim() === '')) {
+            return { kind: 'field', partial: fieldMatch[1], start: cursor - fieldMatch[1].length };
+        }
+        
+        return null;
+    },
+
+    /**
+     * Known values of a field for autocomplete
+     */
+    getValues(name) {
+        if (this.valueCache.data !== App.rawData) {
+            this.valueCache = { data: App.rawData, values: new Map() };
+        }
+        if (this.valueCache.values.has(name)) {
+            return this.valueCache.values.get(name);
+        }
+        
+        const field = this.FIELDS[name];
+        let values = [];
+        if (name === 'vendor' || name === 'agency') {
+            values = (Filters.options && Filters.options[name === 'vendor' ? 'vendors' : 'agencies']) || [];
+        } else if (field.type === 'flag') {
+            values = Flags.RULES.map(rule => rule.id);
+        } else if (['category', 'method', 'notice'].includes(name)) {
+            values = Array.from(new Set(App.rawData.map(r => r[field.fields[0]]).filter(Boolean))).sort();
+        }
+        
+        this.valueCache.values.set(name, values);
+        return values;
+    },
+
+    /**
+     * Get suggestions for the text at the cursor
+     */
+    getSuggestions(context) {
+        if (context.kind === 'field') {
+            const partial = context.partial.toLowerCase();
+            return Object.entries(this.FIELDS)
+                .filter(([name]) => name.startsWith(partial) && name !== partial)
+                .map(([name, field]) => ({ text: `${name}:`, label: `${name}:`, hint: field.label }));
+        }
+        
+        const partial = context.partial.toLowerCase();
+        return this.getValues(context.field)
+            .filter(value => value.toLowerCase().includes(partial) && value.toLowerCase() !== partial)
+            .slice(0, this.MAX_SUGGESTIONS)
+            .map(value => ({
+                text: `${/[\s()":<>=]/.test(value) ? `"${value}"` : value} `,
+                label: value,
+                hint: ''
+            }));
+    },
+
+    /**
+     * Render autocomplete suggestions under the query input
+     */
+    renderSuggestions() {
+        const input = document.getElementById('query-input');
+        const list = document.getElementById('query-suggestions');
+        
+        this.context = this.getContext(input.value, input.selectionStart);
+        this.suggestions = this.context ? this.getSuggestions(this.context) : [];
+        this.activeIndex = -1;
+        
+        if (this.suggestions.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+        
+        list.innerHTML = `
+            <div class="search-group">${this.context.kind === 'field' ? 'Fields' : 'Values'}</div>
+            ${this.suggestions.map((s, i) => `
+                <div class="search-result" data-index="${i}">
+                    ${Utils.escapeHtml(Utils.truncate(s.label, 40))}
+                    ${s.hint ? `<span class="suggestion-hint">${Utils.escapeHtml(s.hint)}</span>` : ''}
+                </div>
+            `).join('')}
+        `;
+        list.classList.add('open');
+    },
+
+    /**
+     * Highlight the keyboard-selected suggestion
+     */
+    highlightSuggestion() {
+        document.querySelectorAll('#query-suggestions [data-index]').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.index) === this.activeIndex);
+        });
+    },
+
+    /**
+     * Hide autocomplete suggestions
+     */
+    closeSuggestions() {
+        document.getElementById('query-suggestions').classList.remove('open');
+        this.activeIndex = -1;
+    },
+
+    /**
+     * Replace the text at the cursor with a suggestion
+     */
+    applySuggestion(suggestion) {
+        const input = document.getElementById('query-input');
+        const text = input.value;
+        const end = input.selectionStart;
+        
+        input.value = text.slice(0, this.context.start) + suggestion.text + text.slice(end);
+        const cursor = this.context.start + suggestion.text.length;
+        input.setSelectionRange(cursor, cursor);
+        input.focus();
+        
+        // A field suggestion is followed by its values
+        this.renderSuggestions();
+        this.scheduleApply();
+    },
+
+    /**
+     * Render the syntax reference
+     */
+    renderHelp() {
+        document.getElementById('query-help').innerHTML = `
+            <p><code>vendor:"acme" AND (category:construction OR amount&gt;1M) -agency:DOE</code></p>
+            <ul>
+                <li><code>field:text</code> contains, <code>field=text</code> exact match</li>
+                <li><code>amount</code> and <code>date</code> also take <code>&gt; &gt;= &lt; &lt;=</code></li>
+                <li><code>AND</code> (optional), <code>OR</code>, <code>NOT</code> or <code>-</code>, and parentheses</li>
+                <li>Words without a field search vendor, agency, title and additional info</li>
+            </ul>
+            <ul>
+                ${Object.entries(this.FIELDS).map(([name, field]) => `
+                    <li><code>${name}</code> ${Utils.escapeHtml(field.label)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+};
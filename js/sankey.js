@@ -8,6 +8,35 @@ const SankeyChart = {
     height: 0,
     margin: { top: 20, right: 200, bottom: 20, left: 200 },
     highlightedNode: null,
+    controlsBound: false,
+    // Dimension per column, left to right (keys of API.SANKEY_DIMENSIONS)
+    stages: ['vendor', 'agency'],
+    // Nodes shown per column before the rest roll up into "Other"
+    topN: 15,
+    // Extra tiers revealed per column by clicking "Other"
+    expanded: {},
+    // Node kept out of "Other" and highlighted ({ type, name }), e.g. from the metrics view
+    focused: null,
+    // Relative change below which a link counts as steady in compare mode
+    CHANGE_THRESHOLD: 0.1,
+
+    // Link colors by change from the baseline period
+    CHANGE_COLORS: {
+        new: '#10b981',
+        grown: '#ff6b4a',
+        steady: '#9aa0a8',
+        shrunk: '#3b82f6',
+        vanished: '#6b7280'
+    },
+
+    // Node color ramps by column
+    STAGE_INTERPOLATORS: [
+        d3.interpolateTurbo,
+        d3.interpolateViridis,
+        d3.interpolatePlasma,
+        d3.interpolateCool,
+        d3.interpolateWarm
+    ],
 
     /**
      * Initialize the Sankey chart
@@ -31,6 +60,11 @@ const SankeyChart = {
             .append('g')
             .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
         
+        if (!this.controlsBound) {
+            this.bindControls();
+            this.controlsBound = true;
+        }
+        
         // Add resize listener
         window.addEventListener('resize', Utils.debounce(() => {
             if (this.lastData) {
@@ -39,11 +73,153 @@ const SankeyChart = {
         }, 250));
     },
 
+    /**
+     * Bind the column pickers
+     */
+    bindControls() {
+        const container = document.getElementById('sankey-stages');
+        
+        container.addEventListener('change', (e) => {
+            const stage = parseInt(e.target.dataset.stage);
+            if (isNaN(stage)) return;
+            
+            // Picking a dimension already shown in another column swaps the two
+            const stages = [...this.getStages()];
+            const existing = stages.indexOf(e.target.value);
+            if (existing !== -1) stages[existing] = stages[stage];
+            stages[stage] = e.target.value;
+            this.setStages(stages);
+        });
+        
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            const stages = [...this.getStages()];
+            if (button.dataset.remove !== undefined) {
+                stages.splice(parseInt(button.dataset.remove), 1);
+            } else {
+                const unused = this.getAvailableDimensions().find(key => !stages.includes(key));
+                if (unused) stages.push(unused);
+            }
+            this.setStages(stages);
+        });
+        
+        document.getElementById('sankey-focus').addEventListener('click', () => {
+            this.focused = null;
+            if (this.lastData) {
+                this.render(this.lastData);
+            }
+        });
+        
+        const topInput = document.getElementById('sankey-top');
+        topInput.value = this.topN;
+        topInput.addEventListener('change', () => {
+            this.topN = Math.max(1, parseInt(topInput.value) || this.topN);
+            topInput.value = this.topN;
+            this.expanded = {};
+            if (this.lastData) {
+                this.render(this.lastData);
+            }
+        });
+    },
+
+    /**
+     * Dimensions that can be used as columns for the loaded data
+     * Server-side totals only carry vendor and agency
+     */
+    getAvailableDimensions() {
+        const keys = Object.keys(API.SANKEY_DIMENSIONS);
+        return Filters.state.dataMode === 'aggregate'
+            ? keys.filter(key => key === 'vendor' || key === 'agency')
+            : keys;
+    },
+
+    /**
+     * Get the columns to draw, falling back to vendor → agency when some are unavailable
+     */
+    getStages() {
+        const available = this.getAvailableDimensions();
+        const stages = this.stages.filter(key => available.includes(key));
+        return stages.length >= 2 ? stages : ['vendor', 'agency'];
+    },
+
+    /**
+     * Change the columns and redraw
+     */
+    setStages(stages) {
+        this.stages = stages;
+        this.expanded = {};
+        if (this.lastData) {
+            this.render(this.lastData);
+        } else {
+            this.renderControls();
+        }
+    },
+
+    /**
+     * Build a rollup per column keeping the top N values (plus any expanded tiers and the focused node)
+     */
+    getRollups(data, stages) {
+        return stages.map((key, stage) => API.getRollup(
+            data,
+            r => API.getSankeyName(r, key),
+            this.topN * (1 + (this.expanded[stage] || 0)),
+            Filters.state.sortBy,
+            `Other ${API.SANKEY_DIMENSIONS[key].plural.toLowerCase()}`,
+            this.focused && this.focused.type === key ? [this.focused.name] : []
+        ));
+    },
+
+    /**
+     * Show the Sankey with one vendor or agency highlighted
+     */
+    focus(type, name) {
+        this.focused = { type, name };
+        if (!this.getStages().includes(type)) {
+            this.stages = ['vendor', 'agency'];
+        }
+        App.switchTab('sankey');
+    },
+
+    /**
+     * Render the column pickers and the chart title
+     */
+    renderControls() {
+        const stages = this.getStages();
+        const available = this.getAvailableDimensions();
+        
+        document.getElementById('sankey-title').textContent =
+            `${stages.map(key => API.SANKEY_DIMENSIONS[key].label).join(' → ')} Contract Flow`;
+        
+        document.getElementById('sankey-stages').innerHTML = stages.map((key, stage) => `
+            ${stage > 0 ? '<span class="stage-arrow">→</span>' : ''}
+            <select data-stage="${stage}" aria-label="Column ${stage + 1}">
+                ${available.map(option => `
+                    <option value="${option}" ${option === key ? 'selected' : ''}>${API.SANKEY_DIMENSIONS[option].label}</option>
+                `).join('')}
+            </select>
+            ${stages.length > 2 ? `<button class="stage-remove" data-remove="${stage}" title="Remove column">&times;</button>` : ''}
+        `).join('') + (stages.length < available.length
+            ? '<button class="btn btn-secondary btn-small" id="sankey-add-stage">+ Column</button>'
+            : '');
+        
+        const focusButton = document.getElementById('sankey-focus');
+        focusButton.style.display = this.focused ? '' : 'none';
+        focusButton.textContent = this.focused ? `Focus: ${Utils.truncate(this.focused.name, 30)} ×` : '';
+        focusButton.title = this.focused ? 'Clear focus' : '';
+    },
+
     /**
      * Render the Sankey diagram
      */
     render(data) {
-        if (!data || data.length === 0) {
+        const baseline = App.baselineFiltered;
+        const stages = this.getStages();
+        this.renderControls();
+        this.renderLegend(stages, Boolean(baseline));
+        
+        if ((!data || data.length === 0) && !(baseline && baseline.length > 0)) {
             this.showEmpty();
             return;
         }
@@ -66,81 +242,60 @@ const SankeyChart = {
         // Get current sort setting
         const sortBy = Filters.state.sortBy;
         
-        // Aggregate data for Sankey with sorting
-        const sankeyData = API.aggregateForSankey(data, sortBy);
-        
-        if (sankeyData.nodes.length === 0 || sankeyData.links.length === 0) {
-            this.showEmpty();
-            return;
+        // Aggregate data for Sankey with sorting; values past the top N roll up into "Other"
+        // so every contract stays in the picture and column totals match the header stats
+        const rollups = this.getRollups(baseline ? [...data, ...baseline] : data, stages);
+        const sankeyData = API.aggregateForSankey(data, sortBy, stages, rollups);
+        if (baseline) {
+            this.addComparison(sankeyData, baseline, stages, rollups);
         }
         
-        // Limit to top connections for performance
-        const maxLinks = 100;
-        const topLinks = sankeyData.links
-            .sort((a, b) => b.value - a.value)
-            .slice(0, maxLinks);
-        
-        // Get nodes that are actually used in top links
-        const usedNodeIndices = new Set();
-        topLinks.forEach(link => {
-            usedNodeIndices.add(link.source);
-            usedNodeIndices.add(link.target);
-        });
-        
-        // Rebuild nodes and links with new indices
-        const nodeMap = new Map();
-        const filteredNodes = [];
-        
-        sankeyData.nodes.forEach((node, oldIndex) => {
-            if (usedNodeIndices.has(oldIndex)) {
-                nodeMap.set(oldIndex, filteredNodes.length);
-                filteredNodes.push({ ...node, index: filteredNodes.length });
-            }
-        });
-        
-        const filteredLinks = topLinks.map(link => ({
-            ...link,
-            source: nodeMap.get(link.source),
-            target: nodeMap.get(link.target)
-        })).filter(link => link.source !== undefined && link.target !== undefined);
-        
-        // Check if we have valid data
-        if (filteredNodes.length === 0 || filteredLinks.length === 0) {
+        if (sankeyData.nodes.length === 0 || sankeyData.links.length === 0) {
             this.showEmpty();
             return;
         }
         
-        // Create Sankey layout
+        // Create Sankey layout - each node stays in its own stage's column
         const sankey = d3.sankey()
             .nodeWidth(15)
             .nodePadding(12)
-            .nodeAlign(d3.sankeyJustify)
+            .nodeAlign(d => d.stage)
             .extent([[0, 0], [this.width, this.height]]);
         
         // Generate layout - use numeric indices
         const { nodes, links } = sankey({
-            nodes: filteredNodes.map((d, i) => ({ ...d })),
-            links: filteredLinks.map(d => ({ 
+            nodes: sankeyData.nodes.map(d => ({ ...d })),
+            links: sankeyData.links.map(d => ({ 
                 source: d.source, 
                 target: d.target, 
+                id: d.id,
                 value: d.value,
                 count: d.count,
+                sourceName: d.sourceName,
+                targetName: d.targetName,
                 vendor: d.vendor,
                 agency: d.agency,
-                contracts: d.contracts
+                contracts: d.contracts,
+                baselineValue: d.baselineValue,
+                change: d.change
             }))
         });
         
-        // Color scales
-        const vendorColor = d3.scaleOrdinal()
-            .domain(nodes.filter(n => n.type === 'vendor').map(n => n.name))
-            .range(d3.quantize(t => d3.interpolateTurbo(t * 0.7 + 0.1), 
-                nodes.filter(n => n.type === 'vendor').length || 1));
+        // Color scales, one per column
+        const stageColors = stages.map((key, stage) => {
+            const stageNodes = nodes.filter(n => n.stage === stage);
+            const interpolator = this.STAGE_INTERPOLATORS[stage % this.STAGE_INTERPOLATORS.length];
+            return d3.scaleOrdinal()
+                .domain(stageNodes.map(n => n.name))
+                .range(d3.quantize(t => interpolator(t * 0.7 + 0.1), stageNodes.length || 1));
+        });
+        const nodeColor = n => stageColors[n.stage](n.name);
         
-        const agencyColor = d3.scaleOrdinal()
-            .domain(nodes.filter(n => n.type === 'agency').map(n => n.name))
-            .range(d3.quantize(t => d3.interpolateViridis(t * 0.7 + 0.1),
-                nodes.filter(n => n.type === 'agency').length || 1));
+        // A focused node keeps its own links lit and dims the rest
+        const focusNode = this.focused
+            ? nodes.find(n => n.type === this.focused.type && n.name === this.focused.name)
+            : null;
+        const restOpacity = l => !focusNode ? 0.4 : (l.source === focusNode || l.target === focusNode ? 0.7 : 0.08);
         
         // Draw links
         const linkGroup = this.svg.append('g')
@@ -152,9 +307,10 @@ const SankeyChart = {
             .join('path')
             .attr('class', 'sankey-link')
             .attr('d', d3.sankeyLinkHorizontal())
-            .attr('stroke', d => vendorColor(d.vendor))
+            .attr('stroke', d => d.change ? this.CHANGE_COLORS[d.change] : nodeColor(d.source))
             .attr('stroke-width', d => Math.max(1, d.width))
-            .attr('stroke-opacity', 0.4)
+            .attr('stroke-opacity', restOpacity)
+            .attr('stroke-dasharray', d => d.change === 'vanished' ? '6 4' : null)
             .style('mix-blend-mode', 'screen');
         
         // Link hover events
@@ -173,8 +329,11 @@ const SankeyChart = {
             );
         })
         .on('mouseout', () => {
-            link.attr('stroke-opacity', 0.4);
+            link.attr('stroke-opacity', restOpacity);
             Utils.hideTooltip();
+        })
+        .on('click', (event, d) => {
+            this.handleLinkClick(d);
         });
         
         // Draw nodes
@@ -184,26 +343,28 @@ const SankeyChart = {
         const node = nodeGroup.selectAll('.sankey-node')
             .data(nodes)
             .join('g')
-            .attr('class', 'sankey-node')
+            .attr('class', d => `sankey-node${d === focusNode ? ' focused' : ''}`)
             .attr('transform', d => `translate(${d.x0},${d.y0})`);
         
         // Node rectangles
         node.append('rect')
             .attr('width', d => d.x1 - d.x0)
             .attr('height', d => Math.max(1, d.y1 - d.y0))
-            .attr('fill', d => d.type === 'vendor' ? vendorColor(d.name) : agencyColor(d.name))
+            .attr('fill', nodeColor)
             .attr('opacity', 0.9)
             .attr('rx', 2);
         
-        // Node labels
+        // Node labels (first column on the left, the rest on the right)
         node.append('text')
-            .attr('x', d => d.type === 'vendor' ? -8 : (d.x1 - d.x0) + 8)
+            .attr('x', d => d.stage === 0 ? -8 : (d.x1 - d.x0) + 8)
             .attr('y', d => (d.y1 - d.y0) / 2)
             .attr('dy', '0.35em')
-            .attr('text-anchor', d => d.type === 'vendor' ? 'end' : 'start')
+            .attr('text-anchor', d => d.stage === 0 ? 'end' : 'start')
             .attr('fill', '#9aa0a8')
             .attr('font-size', '11px')
-            .text(d => Utils.truncate(d.name, 30));
+            .text(d => d.isOther
+                ? `${d.name} (${Utils.formatNumber(d.hidden)})`
+                : Utils.truncate(d.name, stages.length > 2 && d.stage > 0 ? 20 : 30));
         
         // Node hover events
         node.on('mouseover', (event, d) => {
@@ -212,7 +373,7 @@ const SankeyChart = {
                 (l.source === d || l.target === d) ? 0.8 : 0.1
             );
             
-            this.showNodeTooltip(event, d, links);
+            this.showNodeTooltip(event, d);
         })
         .on('mousemove', (event) => {
             Utils.showTooltip(
@@ -222,7 +383,7 @@ const SankeyChart = {
             );
         })
         .on('mouseout', () => {
-            link.attr('stroke-opacity', 0.4);
+            link.attr('stroke-opacity', restOpacity);
             Utils.hideTooltip();
         })
         .on('click', (event, d) => {
@@ -230,6 +391,76 @@ const SankeyChart = {
         });
     },
 
+    /**
+     * Annotate links with their baseline amount and change
+     * Links only present in the baseline are added at their baseline size
+     */
+    addComparison(sankeyData, baseline, stages, rollups) {
+        const { nodes, links } = sankeyData;
+        const nodeIndex = new Map(nodes.map((node, i) => [node.id, i]));
+        const previous = API.aggregateForSankey(baseline, undefined, stages, rollups);
+        const baselineLinks = new Map(previous.links.map(l => [l.id, l]));
+        
+        links.forEach(link => {
+            link.baselineValue = baselineLinks.has(link.id) ? baselineLinks.get(link.id).value : 0;
+            link.change = this.getChange(link.value, link.baselineValue);
+            baselineLinks.delete(link.id);
+        });
+        
+        // Vanished links keep their baseline contracts so a click shows what was awarded then
+        baselineLinks.forEach(old => {
+            const [source, target] = [old.source, old.target].map(i => {
+                const node = previous.nodes[i];
+                if (!nodeIndex.has(node.id)) {
+                    nodeIndex.set(node.id, nodes.length);
+                    nodes.push({ ...node, total: 0 });
+                }
+                return nodeIndex.get(node.id);
+            });
+            
+            links.push({
+                ...old,
+                source,
+                target,
+                count: 0,
+                baselineValue: old.value,
+                change: 'vanished'
+            });
+        });
+    },
+
+    /**
+     * Classify a link's change between periods
+     */
+    getChange(current, baseline) {
+        if (baseline === 0) return 'new';
+        if (current === 0) return 'vanished';
+        
+        const ratio = current / baseline;
+        if (ratio > 1 + this.CHANGE_THRESHOLD) return 'grown';
+        if (ratio < 1 - this.CHANGE_THRESHOLD) return 'shrunk';
+        return 'steady';
+    },
+
+    /**
+     * Render the header legend: column colors, or change colors in compare mode
+     */
+    renderLegend(stages, comparing) {
+        const legend = document.getElementById('sankey-legend');
+        
+        legend.innerHTML = comparing
+            ? Object.entries(this.CHANGE_COLORS).map(([change, color]) => `
+                <span class="legend-item">
+                    <span class="legend-color" style="background:${color}"></span>${change.charAt(0).toUpperCase() + change.slice(1)}
+                </span>
+            `).join('')
+            : stages.map((key, stage) => `
+                <span class="legend-item">
+                    <span class="legend-color" style="background:${this.STAGE_INTERPOLATORS[stage % this.STAGE_INTERPOLATORS.length](0.45)}"></span>${API.SANKEY_DIMENSIONS[key].plural}
+                </span>
+            `).join('');
+    },
+
     /**
      * Show tooltip for link
      */
@@ -239,20 +470,31 @@ const SankeyChart = {
         const additionalInfo = sampleContract ? sampleContract.additional_info : '';
         
         const content = `
-            <div class="tooltip-title">${Utils.escapeHtml(d.vendor)}</div>
+            <div class="tooltip-title">${SearchIndex.highlight(d.sourceName)}</div>
             <div class="tooltip-row">
-                <span class="tooltip-label">Agency</span>
-                <span class="tooltip-value">${Utils.escapeHtml(d.agency)}</span>
+                <span class="tooltip-label">${API.SANKEY_DIMENSIONS[d.target.type].label}</span>
+                <span class="tooltip-value">${SearchIndex.highlight(d.targetName)}</span>
             </div>
             <div class="tooltip-row">
                 <span class="tooltip-label">Total Amount</span>
-                <span class="tooltip-value amount">${Utils.formatCurrencyFull(d.value)}</span>
+                <span class="tooltip-value amount">${Utils.formatCurrencyFull(d.change === 'vanished' ? 0 : d.value)}</span>
             </div>
             <div class="tooltip-row">
                 <span class="tooltip-label">Contracts</span>
                 <span class="tooltip-value">${Utils.formatNumber(d.count)}</span>
             </div>
-            ${additionalInfo ? `<div class="tooltip-info">${Utils.escapeHtml(Utils.truncate(additionalInfo, 200))}</div>` : ''}
+            ${d.change ? `
+                <div class="tooltip-row">
+                    <span class="tooltip-label">Baseline Amount</span>
+                    <span class="tooltip-value">${Utils.formatCurrencyFull(d.baselineValue)}</span>
+                </div>
+                <div class="tooltip-row">
+                    <span class="tooltip-label">Change</span>
+                    <span class="tooltip-value amount">${MatrixChart.formatDelta(d.change === 'vanished' ? -d.baselineValue : d.value - d.baselineValue)} (${d.change})</span>
+                </div>
+            ` : ''}
+            ${additionalInfo ? `<div class="tooltip-info">${SearchIndex.highlight(additionalInfo, 200)}</div>` : ''}
+            ${Flags.renderBadges(d.contracts || [])}
         `;
         
         Utils.showTooltip(content, event.clientX, event.clientY);
@@ -261,17 +503,24 @@ const SankeyChart = {
     /**
      * Show tooltip for node
      */
-    showNodeTooltip(event, d, links) {
-        const connectedLinks = links.filter(l => l.source === d || l.target === d);
-        const totalAmount = connectedLinks.reduce((sum, l) => sum + l.value, 0);
-        const totalContracts = connectedLinks.reduce((sum, l) => sum + l.count, 0);
-        const connections = connectedLinks.length;
-        
-        const typeLabel = d.type === 'vendor' ? 'Vendor' : 'Agency';
-        const connectionLabel = d.type === 'vendor' ? 'Agencies' : 'Vendors';
+    showNodeTooltip(event, d) {
+        // Every contract passes through one side of the node, so totals come from one side only
+        const sideLinks = this.getNodeLinks(d);
+        // Vanished links are drawn at their baseline size but add nothing to the current total
+        const totalAmount = sideLinks.reduce((sum, l) => sum + (l.change === 'vanished' ? 0 : l.value), 0);
+        const totalContracts = sideLinks.reduce((sum, l) => sum + l.count, 0);
+        
+        const typeLabel = API.SANKEY_DIMENSIONS[d.type].label;
+        const connections = [d.targetLinks, d.sourceLinks]
+            .filter(side => side.length > 0)
+            .map(side => {
+                const other = side === d.targetLinks ? side[0].source : side[0].target;
+                return [API.SANKEY_DIMENSIONS[other.type].plural, side.length];
+            });
+        const variants = d.type === 'vendor' ? Entities.getVariants(d.name) : [];
         
         const content = `
-            <div class="tooltip-title">${Utils.escapeHtml(d.name)}</div>
+            <div class="tooltip-title">${SearchIndex.highlight(d.name)}</div>
             <div class="tooltip-row">
                 <span class="tooltip-label">Type</span>
                 <span class="tooltip-value">${typeLabel}</span>
@@ -284,36 +533,71 @@ const SankeyChart = {
                 <span class="tooltip-label">Total Contracts</span>
                 <span class="tooltip-value">${Utils.formatNumber(totalContracts)}</span>
             </div>
-            <div class="tooltip-row">
-                <span class="tooltip-label">${connectionLabel}</span>
-                <span class="tooltip-value">${Utils.formatNumber(connections)}</span>
-            </div>
+            ${connections.map(([label, n]) => `
+                <div class="tooltip-row">
+                    <span class="tooltip-label">${label}</span>
+                    <span class="tooltip-value">${Utils.formatNumber(n)}</span>
+                </div>
+            `).join('')}
+            ${variants.length > 1 ? `<div class="tooltip-info">Also recorded as: ${variants
+                .filter(v => v.name !== d.name)
+                .slice(0, 5)
+                .map(v => Utils.escapeHtml(v.name))
+                .join('; ')}</div>` : ''}
+            ${d.isOther ? `<div class="tooltip-info">${Utils.formatNumber(d.hidden)} more ${API.SANKEY_DIMENSIONS[d.type].plural.toLowerCase()}. Click to show the next ${this.topN}.</div>` : ''}
+            ${Flags.renderBadges(sideLinks.flatMap(l => l.change === 'vanished' ? [] : l.contracts || []))}
         `;
         
         Utils.showTooltip(content, event.clientX, event.clientY);
     },
 
     /**
-     * Handle node click - filter to show only this node's connections
+     * Links on one side of a node (incoming, or outgoing for the first column)
      */
-    handleNodeClick(d) {
-        if (d.type === 'vendor') {
-            // Add to vendor filter
-            if (!Filters.state.selectedVendors.includes(d.name)) {
-                Filters.state.selectedVendors.push(d.name);
-                Filters.updateTags('vendor');
-                Filters.syncDropdown('vendor-filter', Filters.state.selectedVendors);
-                App.applyClientFilters();
-            }
-        } else {
-            // Add to agency filter
-            if (!Filters.state.selectedAgencies.includes(d.name)) {
-                Filters.state.selectedAgencies.push(d.name);
-                Filters.updateTags('agency');
-                Filters.syncDropdown('agency-filter', Filters.state.selectedAgencies);
-                App.applyClientFilters();
+    getNodeLinks(d) {
+        return d.targetLinks.length > 0 ? d.targetLinks : d.sourceLinks;
+    },
+
+    /**
+     * Handle link click - drill into the link's contracts
+     */
+    handleLinkClick(d) {
+        Utils.hideTooltip();
+        const vanished = d.change === 'vanished';
+        
+        // Server-side totals have no contracts attached, so fetch the vendor/agency pair
+        // (rolled-up "Other" flows have no single pair to fetch)
+        if (Filters.state.dataMode === 'aggregate') {
+            if (!d.source.isOther && !d.target.isOther) {
+                App.drillDown(d.vendor, d.agency, vanished);
             }
+            return;
         }
+        
+        App.showRecords(d.contracts, `${d.sourceName} → ${d.targetName}${vanished ? ' (baseline period)' : ''}`);
+    },
+
+    /**
+     * Handle node click - expand "Other", open the entity profile, or list the contracts for other dimensions
+     */
+    handleNodeClick(d) {
+        Utils.hideTooltip();
+        
+        if (d.isOther) {
+            this.expanded[d.stage] = (this.expanded[d.stage] || 0) + 1;
+            this.render(this.lastData);
+            return;
+        }
+        
+        if (d.type === 'vendor' || d.type === 'agency') {
+            ProfilePanel.open(d.type, d.name);
+            return;
+        }
+        
+        const records = this.getNodeLinks(d)
+            .filter(l => l.change !== 'vanished')
+            .flatMap(l => l.contracts);
+        App.showRecords(records, `${API.SANKEY_DIMENSIONS[d.type].label}: ${d.name}`);
     },
 
     /**
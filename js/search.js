@@ -0,0 +1,362 @@
+/**
+ * Search module - inverted index over vendor, agency, title and additional info with
+ * stemming, prefix and typo-tolerant matching, "phrase" queries and BM25 relevance scoring
+ */
+
+const SearchIndex = {
+    // Indexed fields and how much a match in each counts
+    FIELDS: [
+        { key: 'vendor_name', weight: 3 },
+        { key: 'vendor_name_raw', weight: 2 },
+        { key: 'agency_name', weight: 2 },
+        { key: 'short_title', weight: 1.5 },
+        { key: 'additional_info', weight: 1 }
+    ],
+
+    // Words left out of the index and queries
+    STOPWORDS: new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']),
+
+    // Score multipliers for the ways a query term can match an indexed term
+    PREFIX_WEIGHT: 0.7,
+    FUZZY_WEIGHT: 0.5,
+    // Most indexed terms a prefix expands to
+    MAX_EXPANSIONS: 50,
+
+    // BM25 parameters
+    K1: 1.2,
+    B: 0.75,
+
+    // Record array -> index (built by App.resolvePeriods, or on first search)
+    indexes: new WeakMap(),
+    // Record array -> { query, scores } for the last search over it
+    results: new WeakMap(),
+    // Stems to highlight for the last query and loaded data
+    highlightCache: { query: null, records: null, terms: null },
+
+    /**
+     * Lowercase words and numbers in a text, without stopwords
+     */
+    tokenize(text) {
+        if (!text) return [];
+        return (String(text).toLowerCase().replace(/['’]/g, '').match(/[a-z0-9]+/g) || [])
+            .filter(token => !this.STOPWORDS.has(token));
+    },
+
+    /**
+     * Light suffix-stripping stemmer ("services", "service" -> "servic"; "supplies" -> "supply")
+     */
+    stem(token) {
+        if (token.length <= 3 || /\d/.test(token)) return token;
+        let word = token;
+        
+        if (word.endsWith('ies') && word.length > 4) {
+            word = `${word.slice(0, -3)}y`;
+        } else if (/(?:s|x|z|ch|sh)es$/.test(word)) {
+            word = word.slice(0, -2);
+        } else if (word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) {
+            word = word.slice(0, -1);
+        }
+        
+        const suffix = ['ment', 'ing', 'ed', 'ly'].find(s => word.endsWith(s) && word.length - s.length >= 3);
+        if (suffix) {
+            word = word.slice(0, -suffix.length);
+        }
+        
+        if (word.endsWith('e') && word.length > 4) {
+            word = word.slice(0, -1);
+        }
+        return word;
+    },
+
+    /**
+     * Build and keep the index for an array of records
+     */
+    build(records) {
+        const postings = new Map();
+        const lengths = new Float64Array(records.length);
+        // The same names and texts repeat across many records
+        const tokenCache = new Map();
+        
+        records.forEach((record, id) => {
+            const weights = new Map();
+            
+            this.FIELDS.forEach(({ key, weight }) => {
+                const text = record[key];
+                if (!text || (key === 'vendor_name_raw' && text.toLowerCase() === (record.vendor_name || '').toLowerCase())) return;
+                
+                if (!tokenCache.has(text)) {
+                    tokenCache.set(text, this.tokenize(text).map(token => this.stem(token)));
+                }
+                const terms = tokenCache.get(text);
+                terms.forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+                lengths[id] += terms.length;
+            });
+            
+            weights.forEach((tf, term) => {
+                if (!postings.has(term)) {
+                    postings.set(term, { docs: [], tfs: [] });
+                }
+                const posting = postings.get(term);
+                posting.docs.push(id);
+                posting.tfs.push(tf);
+            });
+        });
+        
+        const index = {
+            postings,
+            lengths,
+            avgLength: d3.mean(lengths) || 1,
+            vocabulary: Array.from(postings.keys()).sort()
+        };
+        this.indexes.set(records, index);
+        this.results.delete(records);
+        return index;
+    },
+
+    /**
+     * Index for an array of records (built on first use)
+     */
+    getIndex(records) {
+        return this.indexes.get(records) || this.build(records);
+    },
+
+    /**
+     * Split a query into stemmed terms and "quoted phrases"
+     * Returns { terms: [stem], phrases: [[stem]] } or null when nothing is searchable
+     */
+    parse(query) {
+        const phrases = [];
+        const rest = (query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+            const stems = this.tokenize(phrase).map(token => this.stem(token));
+            if (stems.length > 1) {
+                phrases.push(stems);
+                return ' ';
+            }
+            return ` ${phrase} `;
+        });
+        const terms = [...new Set(this.tokenize(rest).map(token => this.stem(token)))];
+        
+        return terms.length || phrases.length ? { terms, phrases } : null;
+    },
+
+    /**
+     * Edit distance between two strings (swapped neighbours count as one edit),
+     * or max + 1 once it is certainly larger than max
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let before = null;
+        let previous = Array.from({ length: b.length + 1 }, (v, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], before[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            before = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    /**
+     * Typos allowed for a term of this length
+     */
+    getMaxTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    },
+
+    /**
+     * Indexed terms a query term matches
+     * Exact stems count fully, longer terms starting with it a little less;
+     * only a term with neither falls back to terms within a typo or two
+     * Returns [{ term, weight }]
+     */
+    expand(index, term, exactOnly = false) {
+        const matches = [];
+        if (index.postings.has(term)) {
+            matches.push({ term, weight: 1 });
+        }
+        if (exactOnly) return matches;
+        
+        if (term.length >= 3) {
+            const vocabulary = index.vocabulary;
+            for (let i = d3.bisectLeft(vocabulary, term); i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+                if (vocabulary[i] !== term) {
+                    matches.push({ term: vocabulary[i], weight: this.PREFIX_WEIGHT });
+                }
+                if (matches.length >= this.MAX_EXPANSIONS) break;
+            }
+        }
+        
+        const maxTypos = this.getMaxTypos(term);
+        if (matches.length === 0 && maxTypos > 0) {
+            index.vocabulary.forEach(candidate => {
+                const distance = this.editDistance(term, candidate, maxTypos);
+                if (distance <= maxTypos) {
+                    matches.push({ term: candidate, weight: Math.pow(this.FUZZY_WEIGHT, distance) });
+                }
+            });
+        }
+        
+        return matches;
+    },
+
+    /**
+     * BM25 score of each record for one query term (best of its expansions)
+     * Returns Map(recordIndex -> score)
+     */
+    scoreTerm(index, term, count, exactOnly = false) {
+        const scores = new Map();
+        
+        this.expand(index, term, exactOnly).forEach(({ term: match, weight }) => {
+            const posting = index.postings.get(match);
+            const idf = Math.log(1 + (count - posting.docs.length + 0.5) / (posting.docs.length + 0.5));
+            
+            posting.docs.forEach((id, k) => {
+                const tf = posting.tfs[k];
+                const norm = this.K1 * (1 - this.B + this.B * index.lengths[id] / index.avgLength);
+                const score = weight * idf * tf * (this.K1 + 1) / (tf + norm);
+                if (score > (scores.get(id) || 0)) {
+                    scores.set(id, score);
+                }
+            });
+        });
+        
+        return scores;
+    },
+
+    /**
+     * Whether a record has the phrase's stems next to each other in one field
+     */
+    hasPhrase(record, phrase) {
+        return this.FIELDS.some(({ key }) => {
+            const stems = this.tokenize(record[key]).map(token => this.stem(token));
+            for (let i = 0; i + phrase.length <= stems.length; i++) {
+                if (phrase.every((stem, k) => stems[i + k] === stem)) return true;
+            }
+            return false;
+        });
+    },
+
+    /**
+     * Score records against a query; every term and phrase must match
+     * Returns Map(record -> score), or null for an empty query (no filtering)
+     */
+    search(records, query) {
+        const parsed = this.parse(query);
+        if (!parsed) return null;
+        
+        const cached = this.results.get(records);
+        if (cached && cached.query === query) return cached.scores;
+        
+        const index = this.getIndex(records);
+        const termScores = [
+            ...parsed.terms.map(term => this.scoreTerm(index, term, records.length)),
+            ...parsed.phrases.flat().map(term => this.scoreTerm(index, term, records.length, true))
+        ];
+        
+        // Intersect, starting from the rarest term
+        termScores.sort((a, b) => a.size - b.size);
+        const scores = new Map();
+        termScores[0].forEach((score, id) => {
+            let total = score;
+            for (let t = 1; t < termScores.length; t++) {
+                const other = termScores[t].get(id);
+                if (other === undefined) return;
+                total += other;
+            }
+            const record = records[id];
+            if (parsed.phrases.every(phrase => this.hasPhrase(record, phrase))) {
+                scores.set(record, total);
+            }
+        });
+        
+        this.results.set(records, { query, scores });
+        return scores;
+    },
+
+    /**
+     * Score a short text (a vendor or agency name) against a query; 0 when a term does not match
+     */
+    scoreText(text, query) {
+        const parsed = this.parse(query);
+        if (!parsed) return 0;
+        
+        const stems = this.tokenize(text).map(token => this.stem(token));
+        const phraseText = ` ${stems.join(' ')} `;
+        if (!parsed.phrases.every(phrase => phraseText.includes(` ${phrase.join(' ')} `))) return 0;
+        
+        let total = 0;
+        for (const term of parsed.terms) {
+            const best = d3.max(stems, stem => {
+                if (stem === term) return 1;
+                if (term.length >= 3 && stem.startsWith(term)) return this.PREFIX_WEIGHT;
+                const distance = this.editDistance(term, stem, this.getMaxTypos(term));
+                return distance <= this.getMaxTypos(term) ? Math.pow(this.FUZZY_WEIGHT, distance) : 0;
+            }) || 0;
+            if (best === 0) return 0;
+            total += best;
+        }
+        
+        // Shorter names with the same matches rank first
+        return total + parsed.phrases.length - stems.length * 0.01;
+    },
+
+    /**
+     * Indexed stems a query matches in the loaded data
+     */
+    getHighlightTerms(query) {
+        const records = typeof App !== 'undefined' ? App.rawData : [];
+        if (this.highlightCache.query === query && this.highlightCache.records === records) {
+            return this.highlightCache.terms;
+        }
+        
+        const parsed = this.parse(query);
+        let terms = null;
+        if (parsed) {
+            const index = this.getIndex(records);
+            terms = new Set(parsed.phrases.flat());
+            parsed.terms.forEach(term => {
+                terms.add(term);
+                this.expand(index, term).forEach(match => terms.add(match.term));
+            });
+        }
+        
+        this.highlightCache = { query, records, terms };
+        return terms;
+    },
+
+    /**
+     * Escaped (and optionally truncated) text with words matching the search in <mark>
+     */
+    highlight(text, maxLength = null, query = Filters.state.searchQuery) {
+        const value = maxLength ? Utils.truncate(text, maxLength) : String(text || '');
+        const terms = this.getHighlightTerms(query);
+        if (!terms || !value) return Utils.escapeHtml(value);
+        
+        let html = '';
+        let last = 0;
+        value.replace(/[A-Za-z0-9'’]+/g, (word, offset) => {
+            const token = word.toLowerCase().replace(/['’]/g, '');
+            if (terms.has(this.stem(token))) {
+                html += `${Utils.escapeHtml(value.slice(last, offset))}<mark>${Utils.escapeHtml(word)}</mark>`;
+                last = offset + word.length;
+            }
+            return word;
+        });
+        return html + Utils.escapeHtml(value.slice(last));
+    }
+};
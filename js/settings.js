@@ -0,0 +1,196 @@
+/**
+ * Settings module - SODA domain, dataset id and app token for the data source, saved locally
+ */
+
+const Settings = {
+    STORAGE_KEY: 'crol-explorer:settings',
+
+    DEFAULTS: {
+        domain: 'data.cityofnewyork.us',
+        dataset: 'dg92-zbpx',
+        appToken: ''
+    },
+
+    // Saved { domain, dataset, appToken }
+    values: null,
+    // Endpoint whose failed check the user chose to save anyway (a second click on Save)
+    unverified: null,
+
+    /**
+     * Load saved settings, hand them to the API and bind the settings panel
+     */
+    init() {
+        this.values = { ...this.DEFAULTS, ...Utils.loadLocal(this.STORAGE_KEY, {}) };
+        this.apply();
+        this.bindPanel();
+    },
+
+    /**
+     * SODA resource URL for a domain and dataset id
+     * The domain may carry a scheme and port (http://localhost:8090); https is assumed otherwise
+     */
+    getBaseUrl(values = this.values) {
+        const domain = values.domain.trim().replace(/\/+$/, '');
+        const origin = /^https?:\/\//i.test(domain) ? domain : `https://${domain}`;
+        return `${origin}/resource/${encodeURIComponent(values.dataset.trim())}.json`;
+    },
+
+    /**
+     * Whether settings point at the NYC Open Data dataset
+     */
+    isDefaultEndpoint(values = this.values) {
+        return this.getBaseUrl(values) === this.getBaseUrl(this.DEFAULTS);
+    },
+
+    /**
+     * Use the saved endpoint and token for requests
+     */
+    apply() {
+        API.BASE_URL = this.getBaseUrl();
+        API.appToken = this.values.appToken;
+        this.renderSource();
+    },
+
+    /**
+     * Show the data source under Data Mode
+     */
+    renderSource() {
+        const el = document.getElementById('data-source');
+        const url = new URL(this.getBaseUrl());
+        const name = this.isDefaultEndpoint() ? 'NYC Open Data' : `${url.host} · ${this.values.dataset}`;
+        
+        el.textContent = `${name}${this.values.appToken ? ' · app token' : ''}`;
+        el.title = url.toString();
+    },
+
+    /**
+     * Settings entered in the panel
+     */
+    readForm() {
+        return {
+            domain: document.getElementById('settings-domain').value.trim(),
+            dataset: document.getElementById('settings-dataset').value.trim(),
+            appToken: document.getElementById('settings-token').value.trim()
+        };
+    },
+
+    /**
+     * Fill the panel with settings
+     */
+    fillForm(values) {
+        document.getElementById('settings-domain').value = values.domain;
+        document.getElementById('settings-dataset').value = values.dataset;
+        document.getElementById('settings-token').value = values.appToken;
+    },
+
+    /**
+     * Problem with entered settings, or null when they can be used
+     */
+    validate(values) {
+        if (!values.domain) return 'Enter the SODA domain.';
+        if (!values.dataset) return 'Enter the dataset ID.';
+        
+        try {
+            new URL(this.getBaseUrl(values));
+        } catch (error) {
+            return `"${values.domain}" is not a valid domain or URL.`;
+        }
+        return null;
+    },
+
+    /**
+     * Show the result of a check or save in the panel
+     * status is 'ok', 'error' or 'pending'
+     */
+    showStatus(message, status) {
+        const el = document.getElementById('settings-status');
+        el.textContent = message;
+        el.className = `settings-status ${status}`;
+    },
+
+    /**
+     * Check the entered endpoint; returns whether it passed
+     */
+    async test(values = this.readForm()) {
+        const error = this.validate(values);
+        if (error) {
+            this.showStatus(error, 'error');
+            return false;
+        }
+        
+        this.showStatus(`Checking ${this.getBaseUrl(values)}...`, 'pending');
+        const result = await API.checkEndpoint(this.getBaseUrl(values), values.appToken);
+        this.showStatus(result.message, result.ok ? 'ok' : 'error');
+        return result.ok;
+    },
+
+    /**
+     * Save the entered settings and reload data from a new endpoint
+     * A new endpoint is checked first; if the check fails, a second Save keeps it anyway
+     */
+    async save() {
+        const values = this.readForm();
+        const error = this.validate(values);
+        if (error) {
+            this.showStatus(error, 'error');
+            return;
+        }
+        
+        const baseUrl = this.getBaseUrl(values);
+        const endpointChanged = baseUrl !== this.getBaseUrl();
+        if (endpointChanged && this.unverified !== baseUrl && !(await this.test(values))) {
+            this.unverified = baseUrl;
+            document.getElementById('settings-save').textContent = 'Save anyway';
+            return;
+        }
+        
+        this.values = values;
+        Utils.saveLocal(this.STORAGE_KEY, values);
+        this.apply();
+        document.getElementById('settings-modal').classList.remove('open');
+        
+        if (endpointChanged) {
+            // Every endpoint keeps its own offline cache
+            RecordCache.reset();
+            App.fetchAndRender();
+        }
+    },
+
+    /**
+     * Bind settings panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('settings-modal');
+        const saveBtn = document.getElementById('settings-save');
+        
+        document.getElementById('open-settings').addEventListener('click', () => {
+            this.fillForm(this.values);
+            this.showStatus('', '');
+            this.unverified = null;
+            saveBtn.textContent = 'Save';
+            modal.classList.add('open');
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+            }
+        });
+        
+        // Editing the endpoint asks for a fresh check before saving
+        modal.addEventListener('input', () => {
+            this.unverified = null;
+            saveBtn.textContent = 'Save';
+        });
+        
+        document.getElementById('settings-test').addEventListener('click', () => this.test());
+        saveBtn.addEventListener('click', () => this.save());
+        
+        document.getElementById('settings-reset').addEventListener('click', () => {
+            this.fillForm(this.DEFAULTS);
+            this.unverified = null;
+            saveBtn.textContent = 'Save';
+            this.showStatus('Defaults restored. Save to use them.', 'pending');
+        });
+    }
+};
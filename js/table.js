@@ -0,0 +1,362 @@
+/**
+ * Records table module - paginated contract detail table
+ */
+
+const RecordsTable = {
+    lastData: null,
+    sortedData: [],
+    sortColumn: null,
+    sortDirection: 'desc',
+    page: 0,
+    pageSize: 100,
+    PAGE_SIZES: [50, 100, 250, 500],
+
+    // Column definitions (every field selected by API.buildUrl plus derived fields)
+    COLUMNS: [
+        { key: 'pinned', label: 'Pin', type: 'pin', visible: true },
+        { key: 'flags', label: 'Flags', type: 'flags', visible: true },
+        { key: 'changes', label: 'Changes', type: 'changes', visible: true },
+        { key: 'request_id', label: 'Request ID', type: 'text', visible: true },
+        { key: 'start_date', label: 'Start Date', type: 'date', visible: true },
+        { key: 'end_date', label: 'End Date', type: 'date', visible: false },
+        { key: 'vendor_name', label: 'Vendor', type: 'text', visible: true },
+        { key: 'vendor_name_raw', label: 'Vendor (Original)', type: 'text', visible: false },
+        { key: 'vendor_address', label: 'Vendor Address', type: 'text', visible: false },
+        { key: 'vendor_city', label: 'Vendor City', type: 'text', visible: false },
+        { key: 'vendor_state', label: 'Vendor State', type: 'text', visible: false },
+        { key: 'vendor_zip', label: 'Vendor ZIP', type: 'text', visible: false },
+        { key: 'vendor_borough', label: 'Vendor Borough', type: 'text', visible: false },
+        { key: 'agency_name', label: 'Agency', type: 'text', visible: true },
+        { key: 'contract_amount', label: 'Amount', type: 'amount', visible: true },
+        { key: 'short_title', label: 'Title', type: 'text', visible: true },
+        { key: 'type_of_notice_description', label: 'Notice Type', type: 'text', visible: false },
+        { key: 'category_description', label: 'Category', type: 'text', visible: true },
+        { key: 'selection_method_description', label: 'Selection Method', type: 'text', visible: true },
+        { key: 'pin', label: 'PIN', type: 'text', visible: true },
+        { key: 'additional_info', label: 'Additional Info', type: 'text', visible: true },
+        { key: 'other_info_1', label: 'Other Info 1', type: 'text', visible: false },
+        { key: 'other_info_2', label: 'Other Info 2', type: 'text', visible: false },
+        { key: 'other_info_3', label: 'Other Info 3', type: 'text', visible: false }
+    ],
+
+    /**
+     * Initialize the records table
+     */
+    init() {
+        this.bindColumnToggle();
+        this.bindPager();
+        this.bindPins();
+    },
+
+    /**
+     * Bind pin buttons (pinned contracts are kept in the active investigation) and change history links
+     */
+    bindPins() {
+        document.getElementById('records-table').addEventListener('click', (e) => {
+            const history = e.target.closest('[data-history]');
+            if (history) {
+                Changelog.showRecord(history.dataset.history);
+                return;
+            }
+            
+            const button = e.target.closest('[data-pin]');
+            if (!button) return;
+            
+            const record = this.sortedData.find(r => r.request_id === button.dataset.pin);
+            Investigations.togglePin('contract', button.dataset.pin, record);
+            this.renderTable();
+        });
+    },
+
+    /**
+     * Bind column show/hide menu
+     */
+    bindColumnToggle() {
+        const button = document.getElementById('records-columns-btn');
+        const menu = document.getElementById('records-columns-menu');
+        
+        menu.innerHTML = this.COLUMNS.map(col => `
+            <label class="column-option">
+                <input type="checkbox" data-column="${col.key}" ${col.visible ? 'checked' : ''}>
+                ${Utils.escapeHtml(col.label)}
+            </label>
+        `).join('');
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('open');
+        });
+        
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => menu.classList.remove('open'));
+        
+        menu.addEventListener('change', (e) => {
+            const col = this.COLUMNS.find(c => c.key === e.target.dataset.column);
+            if (col) {
+                col.visible = e.target.checked;
+                this.renderTable();
+            }
+        });
+    },
+
+    /**
+     * Bind pagination controls
+     */
+    bindPager() {
+        const pager = document.getElementById('records-pager');
+        
+        pager.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (!btn || btn.disabled) return;
+            
+            const pageCount = this.getPageCount();
+            switch (btn.dataset.page) {
+                case 'first':
+                    this.page = 0;
+                    break;
+                case 'prev':
+                    this.page = Math.max(0, this.page - 1);
+                    break;
+                case 'next':
+                    this.page = Math.min(pageCount - 1, this.page + 1);
+                    break;
+                case 'last':
+                    this.page = pageCount - 1;
+                    break;
+            }
+            this.renderTable();
+        });
+        
+        pager.addEventListener('change', (e) => {
+            if (e.target.id === 'records-page-size') {
+                this.pageSize = parseInt(e.target.value) || 100;
+                this.page = 0;
+                this.renderTable();
+            }
+        });
+    },
+
+    /**
+     * Render the table for a new set of records
+     * context describes where the records came from (e.g. a drilled pair)
+     */
+    render(data, context = '') {
+        document.getElementById('records-context').textContent = context;
+        
+        if (!data || data.length === 0) {
+            this.lastData = null;
+            this.showEmpty();
+            return;
+        }
+        
+        if (data !== this.lastData) {
+            this.lastData = data;
+            this.page = 0;
+            this.sortRecords();
+        }
+        
+        this.renderTable();
+    },
+
+    /**
+     * Sort records by the selected column (keeps filter order when unsorted)
+     */
+    sortRecords() {
+        if (!this.sortColumn) {
+            this.sortedData = this.lastData;
+            return;
+        }
+        
+        const col = this.COLUMNS.find(c => c.key === this.sortColumn);
+        const multiplier = this.sortDirection === 'desc' ? -1 : 1;
+        
+        this.sortedData = [...this.lastData].sort((a, b) => {
+            const valueA = this.getSortValue(a, col);
+            const valueB = this.getSortValue(b, col);
+            
+            if (col.type === 'text') {
+                return multiplier * valueA.localeCompare(valueB);
+            }
+            return multiplier * (valueA - valueB);
+        });
+    },
+
+    /**
+     * Get comparable value for a record column
+     */
+    getSortValue(record, col) {
+        switch (col.type) {
+            case 'amount':
+                return record.contract_amount || 0;
+            case 'flags':
+                return (record.flags || []).length;
+            case 'pin':
+                return Investigations.isPinned('contract', record.request_id) ? 1 : 0;
+            case 'changes':
+                return Changelog.getHistory(record).length;
+            case 'date': {
+                const parsed = record[`${col.key}_parsed`];
+                return parsed ? parsed.getTime() : 0;
+            }
+            default:
+                return (record[col.key] || '').toString().toLowerCase();
+        }
+    },
+
+    /**
+     * Handle header click - toggle sort on a column
+     */
+    handleSort(key) {
+        if (this.sortColumn === key) {
+            if (this.sortDirection === 'desc') {
+                this.sortDirection = 'asc';
+            } else {
+                // Third click clears the column sort
+                this.sortColumn = null;
+                this.sortDirection = 'desc';
+            }
+        } else {
+            this.sortColumn = key;
+            this.sortDirection = 'desc';
+        }
+        
+        this.page = 0;
+        this.sortRecords();
+        this.renderTable();
+    },
+
+    /**
+     * Get total page count
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.sortedData.length / this.pageSize));
+    },
+
+    /**
+     * Render the current page (only visible rows are added to the DOM)
+     */
+    renderTable() {
+        if (!this.lastData) return;
+        
+        const container = document.getElementById('records-table');
+        const columns = this.COLUMNS.filter(c => c.visible);
+        const start = this.page * this.pageSize;
+        const rows = this.sortedData.slice(start, start + this.pageSize);
+        
+        let html = '<table class="records-table">';
+        
+        // Header row
+        html += '<thead><tr>';
+        columns.forEach(col => {
+            const sorted = this.sortColumn === col.key;
+            const arrow = sorted ? (this.sortDirection === 'desc' ? ' &darr;' : ' &uarr;') : '';
+            html += `<th class="sortable${sorted ? ' sorted' : ''}" data-sort="${col.key}">
+                ${Utils.escapeHtml(col.label)}${arrow}
+            </th>`;
+        });
+        html += '</tr></thead>';
+        
+        // Data rows
+        html += '<tbody>';
+        rows.forEach(record => {
+            html += '<tr>';
+            columns.forEach(col => {
+                html += this.renderCell(record, col);
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        
+        container.innerHTML = html;
+        container.scrollTop = 0;
+        
+        container.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => this.handleSort(th.dataset.sort));
+        });
+        
+        this.renderPager();
+    },
+
+    /**
+     * Render a single table cell
+     */
+    renderCell(record, col) {
+        const value = record[col.key];
+        
+        switch (col.type) {
+            case 'amount':
+                return `<td class="amount">${Utils.formatCurrencyFull(value)}</td>`;
+            case 'date':
+                return `<td class="date">${Utils.formatDateDisplay(value)}</td>`;
+            case 'flags':
+                return `<td>${Flags.renderBadges([record])}</td>`;
+            case 'pin': {
+                if (!record.request_id) return '<td></td>';
+                const pinned = Investigations.isPinned('contract', record.request_id);
+                return `<td><button class="pin-btn${pinned ? ' pinned' : ''}" data-pin="${Utils.escapeHtml(record.request_id)}"
+                    title="${pinned ? 'Unpin' : 'Pin to investigation'}">${pinned ? '&#9733;' : '&#9734;'}</button></td>`;
+            }
+            case 'changes': {
+                const count = Changelog.getHistory(record).length;
+                if (count === 0) return '<td></td>';
+                return `<td><button class="link-btn" data-history="${Utils.escapeHtml(RecordCache.getKey(record))}"
+                    title="Show change history">${count} change${count === 1 ? '' : 's'}</button></td>`;
+            }
+            default:
+                // Searched fields show the matched words
+                if (SearchIndex.FIELDS.some(field => field.key === col.key)) {
+                    return `<td title="${Utils.escapeHtml(value)}">${SearchIndex.highlight(value, 60)}</td>`;
+                }
+                return `<td title="${Utils.escapeHtml(value)}">${Utils.escapeHtml(Utils.truncate(value, 60))}</td>`;
+        }
+    },
+
+    /**
+     * Render pagination controls
+     */
+    renderPager() {
+        const pager = document.getElementById('records-pager');
+        const total = this.sortedData.length;
+        const pageCount = this.getPageCount();
+        const start = total === 0 ? 0 : this.page * this.pageSize + 1;
+        const end = Math.min(total, (this.page + 1) * this.pageSize);
+        const isFirst = this.page === 0;
+        const isLast = this.page >= pageCount - 1;
+        
+        pager.innerHTML = `
+            <span class="pager-info">
+                ${Utils.formatNumber(start)}&ndash;${Utils.formatNumber(end)} of ${Utils.formatNumber(total)}
+            </span>
+            <div class="pager-buttons">
+                <button class="pager-btn" data-page="first" ${isFirst ? 'disabled' : ''}>&laquo;</button>
+                <button class="pager-btn" data-page="prev" ${isFirst ? 'disabled' : ''}>&lsaquo;</button>
+                <span class="pager-info">Page ${Utils.formatNumber(this.page + 1)} of ${Utils.formatNumber(pageCount)}</span>
+                <button class="pager-btn" data-page="next" ${isLast ? 'disabled' : ''}>&rsaquo;</button>
+                <button class="pager-btn" data-page="last" ${isLast ? 'disabled' : ''}>&raquo;</button>
+            </div>
+            <select id="records-page-size" class="page-size">
+                ${this.PAGE_SIZES.map(size => `
+                    <option value="${size}" ${size === this.pageSize ? 'selected' : ''}>${size} / page</option>
+                `).join('')}
+            </select>
+        `;
+    },
+
+    /**
+     * Show empty state
+     */
+    showEmpty() {
+        document.getElementById('records-pager').innerHTML = '';
+        const container = document.getElementById('records-table');
+        container.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <rect x="3" y="3" width="18" height="18" rx="2"/>
+                    <path d="M3 9h18M3 15h18" stroke-dasharray="2 2"/>
+                </svg>
+                <h3>No Data Available</h3>
+                <p>Try adjusting your filters or date range to see contract data.</p>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,317 @@
+/**
+ * Time series module - contract amount/count over time using D3.js
+ */
+
+const TimeSeriesChart = {
+    svg: null,
+    width: 0,
+    height: 0,
+    margin: { top: 20, right: 30, bottom: 40, left: 80 },
+    lastData: null,
+    interval: 'week',
+    metric: 'amount',
+    stackBy: 'none',
+    maxSeries: 8,
+
+    INTERVALS: {
+        day: d3.timeDay,
+        week: d3.timeMonday,
+        month: d3.timeMonth
+    },
+
+    // Summed per bar: contract amounts or one per contract
+    METRICS: ['amount', 'count'],
+
+    STACK_FIELDS: {
+        none: null,
+        agency: 'agency_name',
+        vendor: 'vendor_name',
+        category: 'category_description',
+        method: 'selection_method_description'
+    },
+
+    /**
+     * Initialize the time series chart
+     */
+    init() {
+        this.bindControls();
+        
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (this.lastData && App.activeTab === 'timeseries') {
+                this.render(this.lastData);
+            }
+        }, 250));
+    },
+
+    /**
+     * Bind interval/metric/stack selectors
+     */
+    bindControls() {
+        [['ts-interval', 'interval'], ['ts-metric', 'metric'], ['ts-stack', 'stackBy']].forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            select.value = this[key];
+            select.addEventListener('change', () => {
+                this[key] = select.value;
+                if (this.lastData) {
+                    this.render(this.lastData);
+                }
+            });
+        });
+    },
+
+    /**
+     * Create a fresh SVG sized to the container
+     */
+    createSvg() {
+        const container = document.getElementById('timeseries-chart');
+        container.innerHTML = '';
+        
+        const rect = container.getBoundingClientRect();
+        const fullHeight = Math.max(rect.height, 400);
+        this.width = rect.width - this.margin.left - this.margin.right;
+        this.height = fullHeight - this.margin.top - this.margin.bottom;
+        
+        this.svg = d3.select(container)
+            .append('svg')
+            .attr('width', rect.width)
+            .attr('height', fullHeight)
+            .append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+    },
+
+    /**
+     * Bin records into periods, stacked by the selected field
+     * Returns { periods: [{ date, values: {series: value}, total }], series: [...] }
+     */
+    aggregate(data) {
+        const interval = this.INTERVALS[this.interval];
+        const field = this.STACK_FIELDS[this.stackBy];
+        const dated = data.filter(r => r.start_date_parsed && !isNaN(r.start_date_parsed));
+        
+        // Pick the largest series; the rest roll up into "Other"
+        let series = ['All'];
+        if (field) {
+            const totals = d3.rollup(dated, v => d3.sum(v, r => this.getValue(r)), r => r[field] || 'Unknown');
+            const ranked = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]).map(e => e[0]);
+            series = ranked.slice(0, this.maxSeries);
+            if (ranked.length > this.maxSeries) {
+                series.push('Other');
+            }
+        }
+        const seriesSet = new Set(series);
+        
+        const periodMap = new Map();
+        dated.forEach(record => {
+            const date = interval.floor(record.start_date_parsed);
+            const key = date.getTime();
+            if (!periodMap.has(key)) {
+                periodMap.set(key, { date, values: {}, total: 0 });
+            }
+            
+            let name = field ? (record[field] || 'Unknown') : 'All';
+            if (!seriesSet.has(name)) name = 'Other';
+            
+            const period = periodMap.get(key);
+            const value = this.getValue(record);
+            period.values[name] = (period.values[name] || 0) + value;
+            period.total += value;
+        });
+        
+        // Fill empty periods so gaps are visible
+        const extent = d3.extent(dated, r => r.start_date_parsed);
+        const periods = extent[0]
+            ? interval.range(interval.floor(extent[0]), interval.offset(interval.floor(extent[1]), 1))
+                .map(date => periodMap.get(date.getTime()) || { date, values: {}, total: 0 })
+            : [];
+        
+        return { periods, series };
+    },
+
+    /**
+     * Value of a record for the current metric
+     */
+    getValue(record) {
+        return this.metric === 'count' ? 1 : (record.contract_amount || 0);
+    },
+
+    /**
+     * Render the time series chart
+     */
+    render(data) {
+        this.lastData = data;
+        
+        if (Filters.state.dataMode === 'aggregate') {
+            this.showEmpty('Not available for server-side totals. Switch Data Mode to individual contracts.');
+            return;
+        }
+        
+        if (!data || data.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        const { periods, series } = this.aggregate(data);
+        if (periods.length === 0) {
+            this.showEmpty();
+            return;
+        }
+        
+        this.createSvg();
+        
+        const interval = this.INTERVALS[this.interval];
+        const x = d3.scaleTime()
+            .domain([periods[0].date, interval.offset(periods[periods.length - 1].date, 1)])
+            .range([0, this.width]);
+        
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(periods, p => p.total) || 1])
+            .nice()
+            .range([this.height, 0]);
+        
+        const color = d3.scaleOrdinal()
+            .domain(series)
+            .range(series.map((s, i) => s === 'Other' ? '#6b7280' : d3.schemeTableau10[i % 10]));
+        
+        const stacked = d3.stack()
+            .keys(series)
+            .value((p, key) => p.values[key] || 0)(periods);
+        
+        // Axes
+        this.svg.append('g')
+            .attr('class', 'ts-axis')
+            .attr('transform', `translate(0,${this.height})`)
+            .call(d3.axisBottom(x).ticks(Math.min(12, periods.length)));
+        
+        this.svg.append('g')
+            .attr('class', 'ts-axis')
+            .call(d3.axisLeft(y)
+                .ticks(6)
+                .tickFormat(d => this.metric === 'count' ? Utils.formatNumber(d) : Utils.formatCurrency(d)));
+        
+        // Stacked bars
+        const barWidth = d => Math.max(1, x(interval.offset(d.data.date, 1)) - x(d.data.date) - 1);
+        
+        this.svg.append('g')
+            .attr('class', 'ts-bars')
+            .selectAll('g')
+            .data(stacked)
+            .join('g')
+            .attr('fill', d => color(d.key))
+            .selectAll('rect')
+            .data(d => d)
+            .join('rect')
+            .attr('x', d => x(d.data.date))
+            .attr('y', d => y(d[1]))
+            .attr('width', barWidth)
+            .attr('height', d => Math.max(0, y(d[0]) - y(d[1])));
+        
+        // Brush to select a date range
+        const brush = d3.brushX()
+            .extent([[0, 0], [this.width, this.height]])
+            .on('end', (event) => this.handleBrush(event, x));
+        
+        const brushGroup = this.svg.append('g')
+            .attr('class', 'ts-brush')
+            .call(brush);
+        
+        // The brush overlay sits on top, so it also drives the period tooltip
+        const periodIndex = new Map(periods.map(p => [p.date.getTime(), p]));
+        brushGroup.select('.overlay')
+            .on('mousemove.tooltip', (event) => {
+                const [mx] = d3.pointer(event);
+                const period = periodIndex.get(interval.floor(x.invert(mx)).getTime());
+                if (period) {
+                    this.showTooltip(event, period, series, color);
+                }
+            })
+            .on('mouseout.tooltip', () => Utils.hideTooltip());
+        
+        this.renderLegend(series, color);
+    },
+
+    /**
+     * Render series legend
+     */
+    renderLegend(series, color) {
+        const legend = document.getElementById('timeseries-legend');
+        
+        if (series.length <= 1) {
+            legend.innerHTML = '';
+            return;
+        }
+        
+        legend.innerHTML = series.map(s => `
+            <span class="legend-item" title="${Utils.escapeHtml(s)}">
+                <span class="legend-color" style="background:${color(s)}"></span>${Utils.escapeHtml(Utils.truncate(s, 25))}
+            </span>
+        `).join('');
+    },
+
+    /**
+     * Show tooltip for a period with its series breakdown
+     */
+    showTooltip(event, period, series, color) {
+        const format = v => this.metric === 'count' ? Utils.formatNumber(v) : Utils.formatCurrencyFull(v);
+        const rows = series.length > 1
+            ? series
+                .filter(s => period.values[s])
+                .map(s => `
+                    <div class="tooltip-row">
+                        <span class="tooltip-label">
+                            <span class="legend-color" style="display:inline-block;background:${color(s)}"></span>
+                            ${Utils.escapeHtml(Utils.truncate(s, 30))}
+                        </span>
+                        <span class="tooltip-value">${format(period.values[s])}</span>
+                    </div>
+                `).join('')
+            : '';
+        
+        const content = `
+            <div class="tooltip-title">${Utils.formatDateDisplay(period.date)}</div>
+            ${rows}
+            <div class="tooltip-row">
+                <span class="tooltip-label">${this.metric === 'count' ? 'Contracts' : 'Total Amount'}</span>
+                <span class="tooltip-value amount">${format(period.total)}</span>
+            </div>
+        `;
+        
+        Utils.showTooltip(content, event.clientX, event.clientY);
+    },
+
+    /**
+     * Handle brush end - write the selected range into the date filters and re-fetch
+     */
+    handleBrush(event, x) {
+        if (!event.selection) return;
+        
+        const [start, end] = event.selection.map(x.invert);
+        // The brush end is exclusive; step back to the last included day
+        const lastDay = d3.timeDay.offset(d3.timeDay.ceil(end), -1);
+        
+        const formatDay = d3.timeFormat('%Y-%m-%d');
+        Filters.state.startDate = formatDay(start);
+        Filters.state.endDate = formatDay(lastDay < start ? start : lastDay);
+        Filters.state.activePreset = null;
+        Filters.syncUI();
+        
+        App.fetchAndRender();
+    },
+
+    /**
+     * Show empty state
+     */
+    showEmpty(message = 'Try adjusting your filters or date range to see contract data.') {
+        document.getElementById('timeseries-legend').innerHTML = '';
+        const container = document.getElementById('timeseries-chart');
+        container.innerHTML = `
+            <div class="empty-state">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <path d="M3 3v18h18"/>
+                    <path d="M7 14v4M11 10v8M15 12v6M19 7v11" stroke-dasharray="2 2"/>
+                </svg>
+                <h3>No Data Available</h3>
+                <p>${Utils.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+};
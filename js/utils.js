@@ -175,7 +175,8 @@ const Utils = {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Also escape quotes so the result is safe inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     },
 
     /**
@@ -187,6 +188,32 @@ const Utils = {
         return text.toLowerCase().includes(query.toLowerCase());
     },
 
+    /**
+     * Load a JSON value from localStorage
+     */
+    loadLocal(key, fallback = null) {
+        try {
+            const value = localStorage.getItem(key);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (error) {
+            console.warn(`Could not read ${key} from localStorage:`, error);
+            return fallback;
+        }
+    },
+
+    /**
+     * Save a JSON value to localStorage; returns whether it was saved
+     */
+    saveLocal(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Could not save ${key} to localStorage:`, error);
+            return false;
+        }
+    },
+
     /**
      * Show tooltip at position
      */
@@ -238,6 +265,52 @@ const Utils = {
         document.getElementById('loading').classList.add('hidden');
     },
 
+    /**
+     * Show download progress in the loading overlay and the progress strip
+     * Without a total the bar runs indeterminate; a message replaces the page/record count
+     */
+    showProgress({ pages = 0, rows = 0, total = null, message = null } = {}) {
+        let label = message;
+        if (!label) {
+            label = pages === 0
+                ? 'Loading contract data...'
+                : `${this.formatNumber(pages)} page${pages === 1 ? '' : 's'} · ${this.formatNumber(rows)}${total !== null ? ` of ${this.formatNumber(total)}` : ''} records loaded`;
+        }
+        const percent = total ? Math.min(100, rows / total * 100) : null;
+        
+        document.querySelectorAll('.fetch-progress-bar').forEach(bar => {
+            bar.classList.toggle('indeterminate', percent === null);
+            bar.style.width = percent === null ? '' : `${percent}%`;
+        });
+        document.querySelectorAll('.fetch-progress-label').forEach(el => {
+            el.textContent = label;
+        });
+        document.getElementById('fetch-progress').classList.remove('hidden');
+    },
+
+    /**
+     * Hide the progress strip
+     */
+    hideProgress() {
+        document.getElementById('fetch-progress').classList.add('hidden');
+    },
+
+    /**
+     * Show a warning notice above the views
+     */
+    showNotice(message) {
+        const notice = document.getElementById('notice');
+        notice.querySelector('.notice-message').textContent = message;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the notice
+     */
+    hideNotice() {
+        document.getElementById('notice').classList.add('hidden');
+    },
+
     /**
      * Update header stats
      */
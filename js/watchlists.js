@@ -0,0 +1,460 @@
+/**
+ * Watchlists module - watched vendors, agencies, keywords and queries with new-award alerts
+ */
+
+const Watchlists = {
+    STORAGE_KEY: 'crol-explorer:watchlists',
+
+    TYPES: {
+        vendor: 'Vendor',
+        agency: 'Agency',
+        keyword: 'Keyword',
+        query: 'Query'
+    },
+
+    // Each watch: { id, type, value, primed, seen: [request_id], alerted: [request_id], checked, synced }
+    // checked is the time of its last check, synced the newest cache sync id it has seen
+    items: [],
+    // Awards published up to this many days before a check can still reach the dataset after it
+    LATE_DAYS: 14,
+    // Most request_ids kept per watch in seen and alerted (the newest are kept)
+    MAX_IDS: 5000,
+    notify: false,
+    lastChecked: null,
+    // Watch id -> { matches: [...], fresh: [...], error } from the last check
+    results: new Map(),
+
+    /**
+     * Initialize watchlists and the watchlist panel
+     */
+    init() {
+        const saved = Utils.loadLocal(this.STORAGE_KEY, {});
+        this.items = saved.items || [];
+        this.notify = Boolean(saved.notify) && this.canNotify();
+        this.lastChecked = saved.lastChecked || null;
+        
+        this.bindPanel();
+        this.renderIndicator();
+    },
+
+    /**
+     * Save watchlists (including seen request_ids) to localStorage
+     */
+    save() {
+        const saved = Utils.saveLocal(this.STORAGE_KEY, {
+            items: this.items,
+            notify: this.notify,
+            lastChecked: this.lastChecked
+        });
+        if (!saved) {
+            Utils.showNotice('Watchlists could not be saved (browser storage may be full), so seen awards may be reported again.');
+        }
+    },
+
+    /**
+     * Whether browser notifications are supported and allowed
+     */
+    canNotify() {
+        return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    },
+
+    /**
+     * Display label for a watch ("Vendor: ACME CORP")
+     */
+    getLabel(watch) {
+        return `${this.TYPES[watch.type]}: ${watch.value}`;
+    },
+
+    /**
+     * Get a record matcher for a watch
+     * Returns { test, error }
+     */
+    getMatcher(watch) {
+        switch (watch.type) {
+            case 'vendor':
+                return { test: r => r.vendor_name === watch.value || r.vendor_name_raw === watch.value };
+            case 'agency':
+                return { test: r => r.agency_name === watch.value };
+            case 'keyword': {
+                const keyword = watch.value.toLowerCase();
+                return {
+                    test: r => [r.short_title, r.vendor_name, r.agency_name, r.additional_info]
+                        .some(field => field && field.toLowerCase().includes(keyword))
+                };
+            }
+            case 'query': {
+                const { predicate, error } = Query.compile(watch.value);
+                return { test: predicate || (() => false), error };
+            }
+            default:
+                return { test: () => false, error: `Unknown watch type "${watch.type}"` };
+        }
+    },
+
+    /**
+     * Add a watch; awards already loaded count as seen so only later ones are reported
+     */
+    add(type, value) {
+        value = value.trim();
+        if (!value || !this.TYPES[type]) return null;
+        if (this.items.some(w => w.type === type && w.value === value)) {
+            Utils.showNotice(`Already watching ${this.getLabel({ type, value })}.`);
+            return null;
+        }
+        
+        const watch = {
+            id: `watch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            value,
+            primed: false,
+            seen: [],
+            alerted: []
+        };
+        this.items.push(watch);
+        this.save();
+        this.check(App.rawData);
+        return watch;
+    },
+
+    /**
+     * Remove a watch
+     */
+    remove(id) {
+        this.items = this.items.filter(w => w.id !== id);
+        this.results.delete(id);
+        this.save();
+        this.renderIndicator();
+    },
+
+    /**
+     * Whether a vendor or agency is watched
+     */
+    isWatched(type, value) {
+        return this.items.some(w => w.type === type && w.value === value);
+    },
+
+    /**
+     * Watch or stop watching a vendor or agency
+     */
+    toggle(type, value) {
+        const watch = this.items.find(w => w.type === type && w.value === value);
+        if (watch) {
+            this.remove(watch.id);
+        } else {
+            this.add(type, value);
+        }
+    },
+
+    /**
+     * Diff loaded records against each watch's seen request_ids
+     * Called whenever new data is loaded
+     */
+    check(records) {
+        // Server-side totals carry no request_ids to diff
+        if (!records || records.length === 0 || records[0].is_aggregate) {
+            this.results.clear();
+            this.renderIndicator();
+            return;
+        }
+        
+        const alerts = [];
+        const now = new Date().toISOString();
+        const latestSync = d3.max(records, r => r.first_synced || r.synced) || null;
+        
+        this.items.forEach(watch => {
+            const { test, error } = this.getMatcher(watch);
+            const matches = error ? [] : records.filter(r => r.request_id && test(r));
+            
+            // A new watch starts from what is already loaded
+            if (!watch.primed && !error) {
+                watch.seen = matches.map(r => r.request_id);
+                watch.primed = true;
+            }
+            // Watches saved before per-watch check times start from the last global check
+            watch.checked = watch.checked || this.lastChecked || now;
+            
+            // New: not seen, and downloaded after this watch's last check (or still unseen from an earlier one)
+            const seen = new Set(watch.seen);
+            const alerted = new Set(watch.alerted);
+            const fresh = matches.filter(r => !seen.has(r.request_id) &&
+                (alerted.has(r.request_id) || this.isNewSince(r, watch)));
+            this.results.set(watch.id, { matches, fresh, error });
+            
+            // Alert once per award, not on every refresh
+            const unalerted = fresh.filter(r => !alerted.has(r.request_id));
+            if (unalerted.length > 0) {
+                alerts.push({ watch, count: unalerted.length });
+            }
+            watch.alerted = fresh.map(r => r.request_id).slice(-this.MAX_IDS);
+            
+            if (!error) {
+                watch.checked = now;
+                // Never move back, as a narrower load holds only older syncs
+                if (latestSync && (!watch.synced || latestSync > watch.synced)) {
+                    watch.synced = latestSync;
+                }
+                
+                // Awards published before the late window can never be new again, so they need not be remembered
+                const earliest = this.getEarliest(watch);
+                const expired = new Set(matches
+                    .filter(r => (r.start_date || '').slice(0, 10) < earliest)
+                    .map(r => r.request_id));
+                watch.seen = watch.seen.filter(id => !expired.has(id));
+            }
+            watch.seen = watch.seen.slice(-this.MAX_IDS);
+        });
+        
+        this.lastChecked = new Date().toISOString();
+        this.save();
+        this.renderIndicator();
+        this.sendNotifications(alerts);
+        
+        if (document.getElementById('watch-modal').classList.contains('open')) {
+            this.renderPanel();
+        }
+    },
+
+    /**
+     * Whether a record reached this app after a watch's last check
+     * Cached records compare the sync that first downloaded them with the newest sync the watch saw;
+     * records that bypassed the cache fall back to their start date. Awards published long before
+     * the check (loaded by widening the date range) are never new
+     */
+    isNewSince(record, watch) {
+        const published = (record.start_date || '').slice(0, 10);
+        if (published < this.getEarliest(watch)) return false;
+        
+        const downloaded = record.first_synced || record.synced;
+        if (downloaded) {
+            return !watch.synced || downloaded > watch.synced;
+        }
+        return published >= watch.checked.slice(0, 10);
+    },
+
+    /**
+     * Earliest publication date (YYYY-MM-DD) an award can have and still be new for a watch
+     */
+    getEarliest(watch) {
+        return new Date(Date.parse(watch.checked) - this.LATE_DAYS * 86400000).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Mark a watch's current matches as seen (all watches when id is omitted)
+     */
+    markSeen(id = null) {
+        this.items
+            .filter(w => !id || w.id === id)
+            .forEach(watch => {
+                const result = this.results.get(watch.id);
+                if (!result) return;
+                
+                const seen = new Set(watch.seen);
+                result.fresh.forEach(r => seen.add(r.request_id));
+                watch.seen = Array.from(seen).slice(-this.MAX_IDS);
+                watch.alerted = [];
+                result.fresh = [];
+            });
+        
+        this.save();
+        this.renderIndicator();
+        this.renderPanel();
+    },
+
+    /**
+     * Total unseen awards across watches
+     */
+    getNewCount() {
+        let count = 0;
+        this.results.forEach(result => {
+            count += result.fresh.length;
+        });
+        return count;
+    },
+
+    /**
+     * Show a browser notification per watch with new awards (opt-in)
+     */
+    sendNotifications(alerts) {
+        if (!this.notify || !this.canNotify() || alerts.length === 0) return;
+        
+        alerts.forEach(({ watch, count }) => {
+            const notification = new Notification('New contract awards', {
+                body: `${Utils.formatNumber(count)} new award${count === 1 ? '' : 's'} for ${this.getLabel(watch)}`,
+                tag: watch.id
+            });
+            notification.onclick = () => {
+                window.focus();
+                this.showNew(watch.id);
+            };
+        });
+    },
+
+    /**
+     * Turn browser notifications on (asks for permission) or off
+     */
+    async setNotify(enabled) {
+        if (enabled && typeof Notification === 'undefined') {
+            Utils.showNotice('This browser does not support notifications.');
+            enabled = false;
+        } else if (enabled && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                Utils.showNotice('Notifications were not allowed. You can change this in your browser settings.');
+                enabled = false;
+            }
+        }
+        
+        this.notify = enabled;
+        this.save();
+        document.getElementById('watch-notify').checked = enabled;
+    },
+
+    /**
+     * List a watch's new awards in the Records tab
+     */
+    showNew(id) {
+        const watch = this.items.find(w => w.id === id);
+        const result = this.results.get(id);
+        if (!watch || !result) return;
+        
+        document.getElementById('watch-modal').classList.remove('open');
+        App.showRecords(result.fresh, `New for ${this.getLabel(watch)}`);
+    },
+
+    /**
+     * Bind watchlist panel controls
+     */
+    bindPanel() {
+        const modal = document.getElementById('watch-modal');
+        
+        document.getElementById('watch-btn').addEventListener('click', () => {
+            this.renderPanel();
+            modal.classList.add('open');
+        });
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close')) {
+                modal.classList.remove('open');
+                return;
+            }
+            
+            const button = e.target.closest('[data-watch-action]');
+            if (!button) return;
+            
+            const id = button.dataset.id;
+            if (button.dataset.watchAction === 'show') {
+                this.showNew(id);
+            } else if (button.dataset.watchAction === 'seen') {
+                this.markSeen(id);
+            } else if (button.dataset.watchAction === 'remove') {
+                this.remove(id);
+                this.renderPanel();
+            }
+        });
+        
+        const typeSelect = document.getElementById('watch-type');
+        const valueInput = document.getElementById('watch-value');
+        
+        typeSelect.addEventListener('change', () => this.updateSuggestions());
+        
+        const addWatch = () => {
+            if (this.add(typeSelect.value, valueInput.value)) {
+                valueInput.value = '';
+                this.renderPanel();
+            }
+        };
+        document.getElementById('watch-add').addEventListener('click', addWatch);
+        valueInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addWatch();
+        });
+        
+        document.getElementById('watch-seen-all').addEventListener('click', () => this.markSeen());
+        
+        document.getElementById('watch-notify').addEventListener('change', (e) => {
+            this.setNotify(e.target.checked);
+        });
+    },
+
+    /**
+     * Fill the value suggestions for the selected watch type
+     */
+    updateSuggestions() {
+        const type = document.getElementById('watch-type').value;
+        const options = Filters.options || { vendors: [], agencies: [] };
+        const values = type === 'vendor' ? options.vendors : type === 'agency' ? options.agencies : [];
+        
+        document.getElementById('watch-value').placeholder = {
+            vendor: 'Vendor name',
+            agency: 'Agency name',
+            keyword: 'Word or phrase in title, names or description',
+            query: 'e.g. method:"sole source" amount>1M'
+        }[type];
+        document.getElementById('watch-names').innerHTML = values
+            .slice(0, 5000)
+            .map(v => `<option value="${Utils.escapeHtml(v)}">`)
+            .join('');
+    },
+
+    /**
+     * Show the number of new awards on the header button
+     */
+    renderIndicator() {
+        const count = this.getNewCount();
+        const badge = document.getElementById('watch-count');
+        badge.textContent = count > 0 ? Utils.formatNumber(count) : '';
+        badge.title = count > 0 ? `${Utils.formatNumber(count)} new since last visit` : '';
+    },
+
+    /**
+     * Render the "new since last visit" summary and the list of watches
+     */
+    renderPanel() {
+        document.getElementById('watch-notify').checked = this.notify;
+        document.getElementById('watch-checked').textContent = this.lastChecked
+            ? `Last checked ${new Date(this.lastChecked).toLocaleString()}`
+            : '';
+        this.updateSuggestions();
+        
+        const list = document.getElementById('watch-list');
+        if (this.items.length === 0) {
+            list.innerHTML = '<p class="panel-empty">Nothing watched yet. Add a vendor, agency, keyword or query above, or use "Watch" in a profile.</p>';
+            return;
+        }
+        
+        const aggregate = App.rawData.length > 0 && App.rawData[0].is_aggregate;
+        
+        list.innerHTML = [...this.items]
+            .sort((a, b) => ((this.results.get(b.id) || { fresh: [] }).fresh.length -
+                (this.results.get(a.id) || { fresh: [] }).fresh.length))
+            .map(watch => {
+                const result = this.results.get(watch.id);
+                const fresh = result ? result.fresh.length : 0;
+                let status;
+                if (result && result.error) {
+                    status = `<span class="watch-error">${Utils.escapeHtml(result.error)}</span>`;
+                } else if (aggregate) {
+                    status = 'Not checked with server-side totals';
+                } else {
+                    status = `${Utils.formatNumber(result ? result.matches.length : 0)} in loaded data`;
+                }
+                
+                return `
+                    <div class="entity-item watch-item${fresh > 0 ? ' has-new' : ''}">
+                        <div class="pin-header">
+                            <span class="pin-type">${this.TYPES[watch.type]}</span>
+                            <span class="pin-label" title="${Utils.escapeHtml(watch.value)}">${Utils.escapeHtml(Utils.truncate(watch.value, 60))}</span>
+                            ${fresh > 0 ? `<span class="watch-new">${Utils.formatNumber(fresh)} new</span>` : ''}
+                            <button class="entity-split" data-watch-action="remove" data-id="${watch.id}" title="Stop watching">&times;</button>
+                        </div>
+                        <div class="investigation-meta">${status}</div>
+                        ${fresh > 0 ? `
+                            <div class="investigation-actions">
+                                <button class="btn btn-primary btn-small" data-watch-action="show" data-id="${watch.id}">View new awards</button>
+                                <button class="btn btn-secondary btn-small" data-watch-action="seen" data-id="${watch.id}">Mark seen</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+    }
+};
@@ -0,0 +1,245 @@
+/**
+ * Mock SODA server - serves generated City Record contracts for testing the fetch layer offline
+ *
+ * Usage: node tools/mock-soda.js [--port 8090] [--rows 25000] [--delay 200]
+ *                                [--rate-limit 0.1] [--retry-after 2] [--errors 0.05] [--fail-offset 40000]
+ *
+ *   --rows         records in the dataset
+ *   --delay        milliseconds before each response
+ *   --rate-limit   share of requests answered 429 with a Retry-After header
+ *   --retry-after  seconds sent in Retry-After
+ *   --errors       share of requests answered 503
+ *   --fail-offset  every page at or past this $offset fails with 503 (to test partial results)
+ *
+ * Supports the subset of SoQL the app sends: $select (fields, count(*), sum() with $group),
+ * $where (start_date range, contract_amount lower bound and :updated_at; other conditions are ignored),
+ * $order, $limit and $offset. No dependencies beyond Node.
+ */
+
+const http = require('http');
+
+const OPTIONS = {
+    port: 8090,
+    rows: 25000,
+    delay: 200,
+    'rate-limit': 0,
+    'retry-after': 2,
+    errors: 0,
+    'fail-offset': Infinity
+};
+
+const AGENCIES = [
+    'Department of Education', 'Department of Transportation', 'Department of Sanitation',
+    'Department of Parks and Recreation', 'Department of Design and Construction',
+    'Department of Health and Mental Hygiene', 'Police Department', 'Fire Department',
+    'Department of Environmental Protection', 'Human Resources Administration'
+];
+const CATEGORIES = ['Construction/Construction Services', 'Services (other than human services)', 'Goods', 'Human Services/Client Services'];
+const METHODS = ['Competitive Sealed Bids', 'Request for Proposals', 'Sole Source', 'Emergency Purchase', 'Negotiated Acquisition'];
+const WORDS = ['snow', 'removal', 'paving', 'school', 'repair', 'supplies', 'consulting', 'security', 'cleaning', 'software', 'vehicles', 'roof', 'elevator', 'catering'];
+const CITIES = ['New York, NY 10007', 'Brooklyn, NY 11201', 'Long Island City, NY 11101', 'Bronx, NY 10451', 'Newark, NJ 07102', 'Albany, NY 12207'];
+
+// Every row counts as last updated when the server started (the :updated_at system field)
+const UPDATED_AT = new Date().toISOString();
+
+// Columns of the dataset (selecting any other one is an error, as on Socrata)
+const COLUMNS = [
+    'request_id', 'start_date', 'end_date', 'agency_name', 'vendor_name', 'vendor_address',
+    'contract_amount', 'short_title', 'type_of_notice_description', 'category_description',
+    'selection_method_description', 'pin', 'other_info_1', 'other_info_2', 'other_info_3'
+];
+
+/**
+ * Read --name value pairs from the command line
+ */
+function parseArgs(argv) {
+    const options = { ...OPTIONS };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`Unknown option --${name}`);
+        }
+        options[name] = Number(argv[i + 1]);
+    }
+    return options;
+}
+
+/**
+ * Seeded random numbers so every run serves the same dataset
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Generate the dataset
+ */
+function generateRecords(count) {
+    const random = createRandom(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const start = Date.UTC(2026, 0, 1);
+    
+    return Array.from({ length: count }, (v, i) => {
+        const date = new Date(start + Math.floor(random() * 290) * 86400000).toISOString().slice(0, 10);
+        const title = `${pick(WORDS)} ${pick(WORDS)}`;
+        return {
+            request_id: String(20260000000 + i),
+            start_date: `${date}T00:00:00.000`,
+            end_date: `${date}T00:00:00.000`,
+            agency_name: pick(AGENCIES),
+            vendor_name: `Vendor ${Math.floor(Math.pow(random(), 2) * 800)} ${pick(['LLC', 'Inc.', 'Corp', 'Co'])}`,
+            vendor_address: `${1 + Math.floor(random() * 900)} Main Street, ${pick(CITIES)}`,
+            contract_amount: String(Math.round(Math.pow(10, 3 + random() * 5))),
+            short_title: title.toUpperCase(),
+            type_of_notice_description: 'Award',
+            category_description: pick(CATEGORIES),
+            selection_method_description: pick(METHODS),
+            pin: `${String(i).padStart(8, '0')}`,
+            other_info_1: `Contract for ${title}`
+        };
+    });
+}
+
+/**
+ * Keep records matching the parts of a $where clause the mock understands
+ */
+function applyWhere(records, where) {
+    const after = where.match(/start_date >= '([^']+)'/);
+    const before = where.match(/start_date <= '([^']+)'/);
+    const amount = where.match(/contract_amount > ([\d.]+)/);
+    const updated = where.match(/:updated_at > '([^']+)'/);
+    if (updated && UPDATED_AT <= updated[1]) return [];
+    
+    return records.filter(record => {
+        const date = record.start_date.slice(0, 10);
+        if (after && date < after[1]) return false;
+        if (before && date > before[1].slice(0, 10)) return false;
+        if (amount && Number(record.contract_amount) <= Number(amount[1])) return false;
+        return true;
+    });
+}
+
+/**
+ * Vendor/agency totals for a $group query
+ */
+function groupRecords(records) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = `${record.vendor_name}\u0000${record.agency_name}`;
+        const group = groups.get(key) || {
+            vendor_name: record.vendor_name,
+            agency_name: record.agency_name,
+            total_amount: 0,
+            contract_count: 0
+        };
+        group.total_amount += Number(record.contract_amount);
+        group.contract_count += 1;
+        groups.set(key, group);
+    });
+    return Array.from(groups.values())
+        .sort((a, b) => b.total_amount - a.total_amount)
+        .map(group => ({
+            ...group,
+            total_amount: String(group.total_amount),
+            contract_count: String(group.contract_count)
+        }));
+}
+
+/**
+ * Answer a SODA query
+ * Returns { status, body }
+ */
+function query(records, params) {
+    const select = params.get('$select') || '';
+    const limit = parseInt(params.get('$limit')) || 1000;
+    const offset = parseInt(params.get('$offset')) || 0;
+    const matching = applyWhere(records, params.get('$where') || '');
+    
+    if (/^count\(\*\)/i.test(select)) {
+        return { status: 200, body: [{ count: String(matching.length) }] };
+    }
+    
+    let rows;
+    if (params.get('$group')) {
+        rows = groupRecords(matching);
+    } else {
+        const fields = select ? select.split(',') : null;
+        const unknown = (fields || []).find(field => !COLUMNS.includes(field));
+        if (unknown) {
+            return { status: 400, body: { error: true, message: `No such column: ${unknown}` } };
+        }
+        rows = matching
+            .slice()
+            .sort((a, b) => Number(b.contract_amount) - Number(a.contract_amount))
+            .map(record => fields ? Object.fromEntries(fields.filter(f => f in record).map(f => [f, record[f]])) : record);
+    }
+    return { status: 200, body: rows.slice(offset, offset + limit) };
+}
+
+/**
+ * Send a JSON response the browser may read cross-origin
+ */
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'X-App-Token',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        ...headers
+    });
+    response.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Start the server
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const records = generateRecords(options.rows);
+    let requests = 0;
+    
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, `http://localhost:${options.port}`);
+        const id = ++requests;
+        
+        // CORS preflight for requests carrying X-App-Token
+        if (request.method === 'OPTIONS') {
+            send(response, 204, null);
+            return;
+        }
+        
+        if (!/^\/resource\/[\w-]+\.json$/.test(url.pathname)) {
+            send(response, 404, { error: true, message: 'Not found' });
+            return;
+        }
+        
+        setTimeout(() => {
+            const offset = parseInt(url.searchParams.get('$offset')) || 0;
+            let status = 200;
+            
+            if (Math.random() < options['rate-limit']) {
+                status = 429;
+                send(response, status, { error: true, message: 'Too many requests' }, { 'Retry-After': String(options['retry-after']) });
+            } else if (Math.random() < options.errors || offset >= options['fail-offset']) {
+                status = 503;
+                send(response, status, { error: true, message: 'Service unavailable' });
+            } else {
+                const result = query(records, url.searchParams);
+                status = result.status;
+                send(response, status, result.body);
+            }
+            
+            console.log(`#${id} ${status} offset=${offset} ${url.searchParams.get('$select') || ''}`.slice(0, 120));
+        }, options.delay);
+    });
+    
+    server.listen(options.port, () => {
+        console.log(`Mock SODA server with ${records.length} records at http://localhost:${options.port}/resource/dg92-zbpx.json`);
+    });
+}
+
+main();